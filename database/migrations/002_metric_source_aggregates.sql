@@ -0,0 +1,66 @@
+-- Split heatmap_aggregated by metric and source
+-- One row per (cell, metric, source) plus a blended 'all' row per (cell, metric).
+-- normalized_value is the cell's percentile within its country, H3 level,
+-- metric and source, computed on every refresh.
+
+DROP FUNCTION IF EXISTS compute_percentiles(TEXT);
+DROP MATERIALIZED VIEW IF EXISTS heatmap_aggregated;
+
+CREATE MATERIALIZED VIEW heatmap_aggregated AS
+WITH aggregated AS (
+  SELECT
+    h3_index,
+    h3_level,
+    MAX(country_code) AS country_code,
+    MAX(region) AS region,
+    metric_type,
+    COALESCE(metric_source, 'all') AS metric_source,
+
+    -- Weighted average based on confidence
+    SUM(metric_value * confidence_score) / NULLIF(SUM(confidence_score), 0)
+      AS weighted_metric,
+
+    -- Total transactions
+    SUM(transaction_count) AS tx_count,
+
+    -- Average confidence
+    AVG(confidence_score) AS avg_confidence,
+
+    -- Latest update
+    MAX(last_seen) AS last_update
+  FROM heatmap_cells
+  GROUP BY h3_index, h3_level, metric_type, GROUPING SETS ((metric_source), ())
+)
+SELECT
+  h3_index,
+  h3_level,
+  country_code,
+  region,
+  metric_type,
+  metric_source,
+  weighted_metric,
+  tx_count,
+  avg_confidence,
+
+  -- Percentile ranking per country, level, metric and source
+  CUME_DIST() OVER (
+    PARTITION BY country_code, h3_level, metric_type, metric_source
+    ORDER BY weighted_metric
+  ) AS normalized_value,
+
+  last_update,
+
+  -- Data freshness indicator
+  CASE
+    WHEN last_update > NOW() - INTERVAL '7 days' THEN 'fresh'
+    WHEN last_update > NOW() - INTERVAL '30 days' THEN 'recent'
+    ELSE 'stale'
+  END AS freshness
+FROM aggregated;
+
+CREATE UNIQUE INDEX idx_aggregated_h3_metric_source
+ON heatmap_aggregated (h3_index, metric_type, metric_source);
+CREATE INDEX idx_aggregated_level ON heatmap_aggregated (h3_level, metric_type, metric_source);
+CREATE INDEX idx_aggregated_country ON heatmap_aggregated (country_code);
+
+COMMENT ON MATERIALIZED VIEW heatmap_aggregated IS 'Pre-aggregated view for fast tile generation, per metric and source';
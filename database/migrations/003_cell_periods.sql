@@ -0,0 +1,50 @@
+-- Monthly period buckets per cell, for time-window queries
+-- Each bucket keeps a sparse log-scale histogram of the metric values
+-- (see scripts/price_histogram.js) so the median over any window can be
+-- recomputed by merging buckets.
+
+CREATE TABLE IF NOT EXISTS heatmap_cell_periods (
+  id BIGSERIAL PRIMARY KEY,
+  h3_index TEXT NOT NULL,
+  h3_level INT NOT NULL,
+  country_code TEXT,
+  metric_source TEXT NOT NULL,
+  metric_type TEXT NOT NULL DEFAULT 'median_price',
+  period_start DATE NOT NULL,
+  metric_value NUMERIC,
+  transaction_count INT DEFAULT 0,
+  histogram_bins SMALLINT[] NOT NULL,
+  histogram_counts INT[] NOT NULL,
+  first_seen TIMESTAMPTZ,
+  last_seen TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_periods_unique
+ON heatmap_cell_periods (h3_index, metric_source, metric_type, period_start);
+
+CREATE INDEX IF NOT EXISTS idx_periods_level_metric
+ON heatmap_cell_periods (h3_level, metric_type, period_start);
+
+-- All-time percentile breakpoints per country, level, metric and source.
+-- Time-window tiles are normalised against these so colours stay comparable.
+DROP MATERIALIZED VIEW IF EXISTS heatmap_percentiles;
+
+CREATE MATERIALIZED VIEW heatmap_percentiles AS
+SELECT
+  country_code,
+  h3_level,
+  metric_type,
+  metric_source,
+  PERCENTILE_CONT(
+    (SELECT array_agg(g / 100.0) FROM generate_series(1, 99) AS g)
+  ) WITHIN GROUP (ORDER BY weighted_metric) AS breakpoints
+FROM heatmap_aggregated
+WHERE weighted_metric IS NOT NULL
+GROUP BY country_code, h3_level, metric_type, metric_source;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_percentiles_key
+ON heatmap_percentiles (country_code, h3_level, metric_type, metric_source);
+
+COMMENT ON TABLE heatmap_cell_periods IS 'Monthly metric histograms per H3 cell for time-window queries';
+COMMENT ON MATERIALIZED VIEW heatmap_percentiles IS 'Percentile breakpoints used to normalise time-window tiles';
@@ -0,0 +1,22 @@
+-- Property type, tenure and new-build dimensions on period buckets
+-- Values follow src/types/property.ts: property_type is one of detached,
+-- semi-detached, terraced, flat, other; tenure is freehold, leasehold or
+-- unknown (PPD duration 'U').
+--
+-- Existing buckets blend every dimension and cannot be split, so they are
+-- cleared here. Re-run the ETL to rebuild them.
+
+TRUNCATE heatmap_cell_periods;
+
+ALTER TABLE heatmap_cell_periods
+  ADD COLUMN IF NOT EXISTS property_type TEXT NOT NULL,
+  ADD COLUMN IF NOT EXISTS tenure TEXT NOT NULL,
+  ADD COLUMN IF NOT EXISTS new_build BOOLEAN NOT NULL;
+
+DROP INDEX IF EXISTS idx_periods_unique;
+
+CREATE UNIQUE INDEX idx_periods_unique
+ON heatmap_cell_periods (
+  h3_index, metric_source, metric_type, period_start,
+  property_type, tenure, new_build
+);
@@ -0,0 +1,9 @@
+-- Dataset version per successful ETL run
+-- The tile API derives strong ETags from the latest version, so tiles are
+-- revalidated as soon as a new run completes.
+
+ALTER TABLE etl_runs ADD COLUMN IF NOT EXISTS dataset_version TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_etl_success_completed
+ON etl_runs (completed_at DESC)
+WHERE status = 'success';
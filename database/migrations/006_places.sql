@@ -0,0 +1,30 @@
+-- Place index for /api/search
+-- One row per postcode (those seen in ingested transactions), postcode
+-- sector, outward code and Price Paid town, district and county, with a
+-- centre and bounding box. Filled by scripts/etl_github_action.js.
+
+CREATE TABLE IF NOT EXISTS places (
+  id BIGSERIAL PRIMARY KEY,
+  kind TEXT NOT NULL,
+  place_key TEXT NOT NULL,
+  within TEXT NOT NULL DEFAULT '',
+  name TEXT NOT NULL,
+  country_code TEXT,
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL,
+  min_lat DOUBLE PRECISION NOT NULL,
+  min_lng DOUBLE PRECISION NOT NULL,
+  max_lat DOUBLE PRECISION NOT NULL,
+  max_lng DOUBLE PRECISION NOT NULL,
+  point_count INT DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_places_unique
+ON places (kind, place_key, within);
+
+-- Prefix matching for place names
+CREATE INDEX IF NOT EXISTS idx_places_key_prefix
+ON places (place_key text_pattern_ops);
+
+COMMENT ON TABLE places IS 'Postcodes, postcode areas and named places for search';
@@ -0,0 +1,13 @@
+-- Bounded period buckets
+-- Levels 2-5 now hold yearly buckets and levels 6-7 quarterly ones, keyed
+-- by the first month of the year or quarter. Levels 9-11 hold none: the API
+-- merges the level-12 buckets under each cell instead (scripts/h3_rollup.js).
+-- The monthly buckets already stored at those levels would be counted
+-- alongside the new ones or never be replaced, so they are cleared here.
+-- Re-run the ETL to rebuild levels 2-7.
+
+DELETE FROM heatmap_cell_periods
+WHERE h3_level <= 7
+   OR h3_level BETWEEN 9 AND 11;
+
+COMMENT ON TABLE heatmap_cell_periods IS 'Monthly, quarterly or yearly metric histograms per H3 cell for time-window queries';
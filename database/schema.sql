@@ -32,50 +32,142 @@ CREATE INDEX idx_h3_level ON heatmap_cells (h3_level);
 CREATE INDEX idx_country ON heatmap_cells (country_code);
 CREATE INDEX idx_updated ON heatmap_cells (updated_at DESC);
 
+-- Period buckets with sparse log-scale histograms (see scripts/price_histogram.js),
+-- split by property type, tenure and new-build. Buckets are yearly at H3
+-- levels 2-5, quarterly at 6-7 and monthly at 8 and 12. Levels 9-11 store
+-- none; the API merges their level-12 descendants (scripts/h3_rollup.js).
+CREATE TABLE heatmap_cell_periods (
+  id BIGSERIAL PRIMARY KEY,
+  h3_index TEXT NOT NULL,
+  h3_level INT NOT NULL,
+  country_code TEXT,
+  metric_source TEXT NOT NULL,
+  metric_type TEXT NOT NULL DEFAULT 'median_price',
+  period_start DATE NOT NULL,
+  property_type TEXT NOT NULL,
+  tenure TEXT NOT NULL,
+  new_build BOOLEAN NOT NULL,
+  metric_value NUMERIC,
+  transaction_count INT DEFAULT 0,
+  histogram_bins SMALLINT[] NOT NULL,
+  histogram_counts INT[] NOT NULL,
+  first_seen TIMESTAMPTZ,
+  last_seen TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_periods_unique
+ON heatmap_cell_periods (
+  h3_index, metric_source, metric_type, period_start,
+  property_type, tenure, new_build
+);
+
+CREATE INDEX idx_periods_level_metric
+ON heatmap_cell_periods (h3_level, metric_type, period_start);
+
+-- Place index for search: postcodes, sectors, outward codes, towns,
+-- districts and counties with a centre and bounding box
+CREATE TABLE places (
+  id BIGSERIAL PRIMARY KEY,
+  kind TEXT NOT NULL,
+  place_key TEXT NOT NULL,
+  within TEXT NOT NULL DEFAULT '',
+  name TEXT NOT NULL,
+  country_code TEXT,
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL,
+  min_lat DOUBLE PRECISION NOT NULL,
+  min_lng DOUBLE PRECISION NOT NULL,
+  max_lat DOUBLE PRECISION NOT NULL,
+  max_lng DOUBLE PRECISION NOT NULL,
+  point_count INT DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_places_unique ON places (kind, place_key, within);
+CREATE INDEX idx_places_key_prefix ON places (place_key text_pattern_ops);
+
 -- Spatial index (PostGIS)
 CREATE INDEX idx_h3_geom ON heatmap_cells 
 USING GIST (h3_cell_to_geometry(h3_index));
 
 -- Materialized view for aggregated data
+-- One row per (cell, metric, source) plus a blended 'all' row per (cell, metric)
 CREATE MATERIALIZED VIEW heatmap_aggregated AS
-SELECT 
+WITH aggregated AS (
+  SELECT
+    h3_index,
+    h3_level,
+    MAX(country_code) AS country_code,
+    MAX(region) AS region,
+    metric_type,
+    COALESCE(metric_source, 'all') AS metric_source,
+
+    -- Weighted average based on confidence
+    SUM(metric_value * confidence_score) / NULLIF(SUM(confidence_score), 0)
+      AS weighted_metric,
+
+    -- Total transactions
+    SUM(transaction_count) AS tx_count,
+
+    -- Average confidence
+    AVG(confidence_score) AS avg_confidence,
+
+    -- Latest update
+    MAX(last_seen) AS last_update
+  FROM heatmap_cells
+  GROUP BY h3_index, h3_level, metric_type, GROUPING SETS ((metric_source), ())
+)
+SELECT
   h3_index,
   h3_level,
   country_code,
   region,
-  
-  -- Weighted average based on confidence
-  SUM(metric_value * confidence_score) / NULLIF(SUM(confidence_score), 0) 
-    AS weighted_metric,
-  
-  -- Total transactions
-  SUM(transaction_count) AS tx_count,
-  
-  -- Average confidence
-  AVG(confidence_score) AS avg_confidence,
-  
-  -- Percentile ranking (computed later)
-  0.5 AS normalized_value,
-  
-  -- Latest update
-  MAX(last_seen) AS last_update,
-  
+  metric_type,
+  metric_source,
+  weighted_metric,
+  tx_count,
+  avg_confidence,
+
+  -- Percentile ranking per country, level, metric and source
+  CUME_DIST() OVER (
+    PARTITION BY country_code, h3_level, metric_type, metric_source
+    ORDER BY weighted_metric
+  ) AS normalized_value,
+
+  last_update,
+
   -- Data freshness indicator
-  CASE 
-    WHEN MAX(last_seen) > NOW() - INTERVAL '7 days' THEN 'fresh'
-    WHEN MAX(last_seen) > NOW() - INTERVAL '30 days' THEN 'recent'
+  CASE
+    WHEN last_update > NOW() - INTERVAL '7 days' THEN 'fresh'
+    WHEN last_update > NOW() - INTERVAL '30 days' THEN 'recent'
     ELSE 'stale'
   END AS freshness
-  
-FROM heatmap_cells
-WHERE metric_type = 'median_price'
-GROUP BY h3_index, h3_level, country_code, region;
+FROM aggregated;
 
 -- Index on materialized view
-CREATE UNIQUE INDEX idx_aggregated_h3 ON heatmap_aggregated (h3_index);
-CREATE INDEX idx_aggregated_level ON heatmap_aggregated (h3_level);
+CREATE UNIQUE INDEX idx_aggregated_h3_metric_source
+ON heatmap_aggregated (h3_index, metric_type, metric_source);
+CREATE INDEX idx_aggregated_level ON heatmap_aggregated (h3_level, metric_type, metric_source);
 CREATE INDEX idx_aggregated_country ON heatmap_aggregated (country_code);
 
+-- Percentile breakpoints used to normalise time-window tiles
+CREATE MATERIALIZED VIEW heatmap_percentiles AS
+SELECT
+  country_code,
+  h3_level,
+  metric_type,
+  metric_source,
+  PERCENTILE_CONT(
+    (SELECT array_agg(g / 100.0) FROM generate_series(1, 99) AS g)
+  ) WITHIN GROUP (ORDER BY weighted_metric) AS breakpoints
+FROM heatmap_aggregated
+WHERE weighted_metric IS NOT NULL
+GROUP BY country_code, h3_level, metric_type, metric_source;
+
+CREATE UNIQUE INDEX idx_percentiles_key
+ON heatmap_percentiles (country_code, h3_level, metric_type, metric_source);
+
 -- Function to refresh aggregated view
 CREATE OR REPLACE FUNCTION refresh_heatmap_aggregated()
 RETURNS void AS $$
@@ -93,6 +185,7 @@ CREATE TABLE etl_runs (
   rows_inserted INT DEFAULT 0,
   rows_updated INT DEFAULT 0,
   error_message TEXT,
+  dataset_version TEXT,
   started_at TIMESTAMPTZ DEFAULT NOW(),
   completed_at TIMESTAMPTZ
 );
@@ -100,34 +193,15 @@ CREATE TABLE etl_runs (
 CREATE INDEX idx_etl_source ON etl_runs (source_name);
 CREATE INDEX idx_etl_started ON etl_runs (started_at DESC);
 
--- Helper function to compute normalized percentile values
-CREATE OR REPLACE FUNCTION compute_percentiles(p_country_code TEXT DEFAULT NULL)
-RETURNS void AS $$
-DECLARE
-  percentile_values NUMERIC[];
-BEGIN
-  -- Get all metric values for the country (or global if NULL)
-  SELECT PERCENTILE_CONT(ARRAY[0.1, 0.25, 0.5, 0.75, 0.9]) 
-    WITHIN GROUP (ORDER BY weighted_metric)
-  INTO percentile_values
-  FROM heatmap_aggregated
-  WHERE (p_country_code IS NULL OR country_code = p_country_code);
-  
-  -- Update normalized values
-  UPDATE heatmap_aggregated
-  SET normalized_value = CASE
-    WHEN weighted_metric <= percentile_values[1] THEN 0.1
-    WHEN weighted_metric <= percentile_values[2] THEN 0.25
-    WHEN weighted_metric <= percentile_values[3] THEN 0.5
-    WHEN weighted_metric <= percentile_values[4] THEN 0.75
-    WHEN weighted_metric <= percentile_values[5] THEN 0.9
-    ELSE 1.0
-  END
-  WHERE (p_country_code IS NULL OR country_code = p_country_code);
-END;
-$$ LANGUAGE plpgsql;
+-- Latest successful run, whose dataset_version feeds the tile ETags
+CREATE INDEX idx_etl_success_completed
+ON etl_runs (completed_at DESC)
+WHERE status = 'success';
 
 -- Comments for documentation
 COMMENT ON TABLE heatmap_cells IS 'Raw property data aggregated by H3 hexagon';
+COMMENT ON TABLE heatmap_cell_periods IS 'Monthly, quarterly or yearly metric histograms per H3 cell for time-window queries';
+COMMENT ON TABLE places IS 'Postcodes, postcode areas and named places for search';
 COMMENT ON TABLE etl_runs IS 'ETL job execution tracking';
-COMMENT ON MATERIALIZED VIEW heatmap_aggregated IS 'Pre-aggregated view for fast tile generation';
+COMMENT ON MATERIALIZED VIEW heatmap_aggregated IS 'Pre-aggregated view for fast tile generation, per metric and source';
+COMMENT ON MATERIALIZED VIEW heatmap_percentiles IS 'Percentile breakpoints used to normalise time-window tiles';
@@ -19,7 +19,4 @@ INSERT INTO heatmap_cells (
   ('8a196d4529bffff', 10, 'GB', 'Manchester', 'sample', 'median_price', 310000, 41, 0.88, NOW(), NOW());
 
 -- Refresh aggregated view
-REFRESH MATERIALIZED VIEW heatmap_aggregated;
-
--- Compute percentiles
-SELECT compute_percentiles('GB');
\ No newline at end of file
+REFRESH MATERIALIZED VIEW heatmap_aggregated;
\ No newline at end of file
@@ -1,13 +1,27 @@
 // Configuration
-const TILE_API_URL = 'https://weflutgrid.vercel.app/api/tiles';
+const API_URL = 'https://weflutgrid.vercel.app/api';
+const TILE_API_URL = `${API_URL}/tiles`;
+// Server-side limit on tiles per batch request
+const BATCH_MAX_TILES = 64;
 const INITIAL_LOCATION = { lat: 51.5074, lng: -0.1278 }; // London
 const INITIAL_ZOOM = 11;
+const METRIC_LABELS = {
+    median_price: 'Median Price',
+    price_per_sqm: 'Price per m²',
+    rental_price: 'Rental Price',
+    gross_yield: 'Gross Yield'
+};
 
 // State
 let map;
 let currentPolygons = [];
 let selectedPolygon = null;
 let isLoading = false;
+let selectedMetric = 'median_price';
+let selectedSource = 'all';
+
+// Last response per batch URL, revalidated with If-None-Match
+const tileCache = new Map();
 
 // Initialize the map
 function initMap() {
@@ -39,6 +53,33 @@ function handleMapMove() {
 
     // Load tiles
     loadTiles(tiles, zoom);
+    loadViewStats(bounds);
+}
+
+// Show the transaction-weighted median for the visible area
+async function loadViewStats(bounds) {
+    const statsElement = document.getElementById('legend-stats');
+    const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+        .map(value => value.toFixed(4))
+        .join(',');
+
+    try {
+        const response = await fetch(`${API_URL}/stats?bbox=${bbox}&${getTileQuery()}`);
+
+        // Zoomed too far out for area statistics
+        if (!response.ok) {
+            statsElement.textContent = '';
+            return;
+        }
+
+        const stats = await response.json();
+        statsElement.textContent = stats.median
+            ? `Median in view: ${formatValue(stats.median)} (${stats.transactions} sales)`
+            : '';
+    } catch (error) {
+        console.error('Failed to load area stats:', error);
+        statsElement.textContent = '';
+    }
 }
 
 // Get tiles in the current map bounds
@@ -61,10 +102,13 @@ function getTilesInBounds(bounds, zoom) {
 
 // Convert lat/lng to tile coordinates
 function latLngToTile(lat, lng, zoom) {
-    const x = Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
-    const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
+    const scale = Math.pow(2, zoom);
+    const x = Math.floor((lng + 180) / 360 * scale);
+    const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * scale);
 
-    return { x, y };
+    // Keep to real tiles; one bad tile would fail the whole batch
+    const clamp = value => Math.min(Math.max(value, 0), scale - 1);
+    return { x: clamp(x), y: clamp(y) };
 }
 
 // Load tiles from the API
@@ -77,16 +121,27 @@ async function loadTiles(tiles, zoom) {
         // Clear existing polygons
         clearPolygons();
 
-        // Load tiles in parallel
-        const promises = tiles.map(tile => loadTile(tile.z, tile.x, tile.y));
-        const results = await Promise.all(promises);
+        // Fetch the viewport in as few batch requests as possible
+        const batches = [];
+        for (let i = 0; i < tiles.length; i += BATCH_MAX_TILES) {
+            batches.push(loadTileBatch(tiles.slice(i, i + BATCH_MAX_TILES)));
+        }
+        const results = (await Promise.all(batches)).flat();
 
-        // Process results
+        // Process results, drawing each hexagon once even if tiles overlap.
+        // Merged features have no h3_index and are told apart by merge_id.
+        const seen = new Set();
         let totalFeatures = 0;
         results.forEach(geojson => {
             if (geojson && geojson.features) {
-                totalFeatures += geojson.features.length;
-                addPolygons(geojson.features);
+                const features = geojson.features.filter(feature => {
+                    const id = feature.properties.h3_index || feature.properties.merge_id;
+                    if (seen.has(id)) return false;
+                    seen.add(id);
+                    return true;
+                });
+                totalFeatures += features.length;
+                addPolygons(features);
             }
         });
 
@@ -100,19 +155,41 @@ async function loadTiles(tiles, zoom) {
     }
 }
 
-// Load a single tile
-async function loadTile(z, x, y) {
+// Build the query string for the selected layer
+function getTileQuery() {
+    const params = new URLSearchParams({ metric: selectedMetric, source: selectedSource });
+    return params.toString();
+}
+
+// Load several tiles with one request; returns one FeatureCollection per tile
+async function loadTileBatch(tiles) {
+    const list = tiles.map(tile => `${tile.z}/${tile.x}/${tile.y}`).join(',');
+
     try {
-        const response = await fetch(`${TILE_API_URL}/${z}/${x}/${y}.geojson`);
+        const url = `${TILE_API_URL}/batch?tiles=${list}&${getTileQuery()}`;
+        const cached = tileCache.get(url);
+        const headers = cached ? { 'If-None-Match': cached.etag } : {};
+
+        const response = await fetch(url, { headers });
+
+        if (response.status === 304 && cached) {
+            return cached.data;
+        }
 
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
         }
 
-        return await response.json();
+        const data = Object.values((await response.json()).tiles);
+        const etag = response.headers.get('ETag');
+        if (etag) {
+            tileCache.set(url, { etag, data });
+        }
+
+        return data;
     } catch (error) {
-        console.error(`Failed to load tile ${z}/${x}/${y}:`, error);
-        return null;
+        console.error(`Failed to load tiles ${list}:`, error);
+        return [];
     }
 }
 
@@ -173,21 +250,87 @@ function selectPolygon(properties) {
 function showInfoPanel(properties) {
     document.getElementById('info-panel').classList.remove('hidden');
 
-    // Format price
-    let price = properties.price;
-    if (price >= 1_000_000) {
-        price = `£${(price / 1_000_000).toFixed(1)}M`;
-    } else if (price >= 1_000) {
-        price = `£${(price / 1_000).toFixed(0)}K`;
-    } else {
-        price = `£${price.toFixed(0)}`;
-    }
-
     // Update panel content
-    document.getElementById('median-price').textContent = price;
+    document.getElementById('metric-label').textContent = `${METRIC_LABELS[selectedMetric]}:`;
+    document.getElementById('median-price').textContent = formatValue(properties.price);
     document.getElementById('transaction-count').textContent = properties.count;
     document.getElementById('confidence').textContent = `${(properties.confidence * 100).toFixed(0)}%`;
     document.getElementById('confidence-bar').style.width = `${properties.confidence * 100}%`;
+
+    // Fill in the rest once the cell detail arrives
+    document.getElementById('cell-details').classList.add('hidden');
+    if (properties.h3_index) {
+        loadCellDetails(properties.h3_index);
+    }
+}
+
+// Load the detail panel for one cell
+async function loadCellDetails(h3Index) {
+    try {
+        const response = await fetch(`${API_URL}/cells/${h3Index}?${getTileQuery()}`);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const detail = await response.json();
+        const { quartiles, first_seen: firstSeen, last_seen: lastSeen } = detail;
+
+        document.getElementById('cell-quartiles').textContent = quartiles
+            ? `${formatValue(quartiles.q1)} – ${formatValue(quartiles.q3)}`
+            : '-';
+        document.getElementById('cell-seen').textContent = firstSeen
+            ? `${firstSeen.slice(0, 7)} to ${lastSeen.slice(0, 7)}`
+            : '-';
+        document.getElementById('cell-years').textContent = detail.transactions_by_year
+            .slice(-3)
+            .map(({ year, count }) => `${year}: ${count}`)
+            .join(', ') || '-';
+        document.getElementById('cell-details').classList.remove('hidden');
+    } catch (error) {
+        console.error(`Failed to load cell ${h3Index}:`, error);
+    }
+}
+
+// Fly to a postcode, outward code, sector or town
+async function searchPlace(q) {
+    try {
+        const response = await fetch(`${API_URL}/search?q=${encodeURIComponent(q)}&${getTileQuery()}`);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const { results } = await response.json();
+        if (!results.length) {
+            showError(`No match for "${q}"`);
+            return;
+        }
+
+        const [west, south, east, north] = results[0].bbox;
+        if (west === east && south === north) {
+            map.setView([south, west], 15);
+        } else {
+            map.fitBounds([[south, west], [north, east]]);
+        }
+    } catch (error) {
+        showError(`Search failed: ${error.message}`);
+    }
+}
+
+// Format a price for display
+function formatPrice(price) {
+    if (price >= 1_000_000) {
+        return `£${(price / 1_000_000).toFixed(1)}M`;
+    } else if (price >= 1_000) {
+        return `£${(price / 1_000).toFixed(0)}K`;
+    }
+    return `£${price.toFixed(0)}`;
+}
+
+// Format a cell value for the selected metric; yields are percentages
+function formatValue(value) {
+    return selectedMetric === 'gross_yield' ? `${value.toFixed(1)}%` : formatPrice(value);
 }
 
 // Get color based on value and confidence
@@ -255,4 +398,23 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('dismiss-error').addEventListener('click', () => {
         document.getElementById('error-banner').classList.add('hidden');
     });
+
+    // Switch the heatmap layer
+    document.getElementById('metric-select').addEventListener('change', (event) => {
+        selectedMetric = event.target.value;
+        handleMapMove();
+    });
+
+    document.getElementById('source-select').addEventListener('change', (event) => {
+        selectedSource = event.target.value;
+        handleMapMove();
+    });
+
+    document.getElementById('search-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        const q = document.getElementById('search-input').value.trim();
+        if (q) {
+            searchPlace(q);
+        }
+    });
 });
@@ -0,0 +1,226 @@
+/**
+ * EPC floor-area matching
+ * Joins Energy Performance Certificate records to Price Paid transactions
+ * by postcode and address (PAON, SAON and street), so matched sales get a
+ * total floor area and a price per square metre.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+// Plausible dwelling sizes in m²; anything outside is a data entry error
+const MIN_FLOOR_AREA = 10;
+const MAX_FLOOR_AREA = 2000;
+
+// Words EPC assessors put in front of flat numbers that Price Paid may omit
+const UNIT_WORDS = new Set(['FLAT', 'APARTMENT', 'APT', 'UNIT', 'MAISONETTE']);
+
+const MATCH_FAILURES = {
+  NO_CERTIFICATES: 'no_certificates',
+  NO_ADDRESS_MATCH: 'no_address_match'
+};
+
+/**
+ * Postcode key shared with the postcode lookup: upper case, no spaces
+ * @param {string} value - Postcode in any spacing or case
+ * @returns {string}
+ */
+function postcodeKey(value) {
+  return String(value || '').replace(/\s/g, '').toUpperCase();
+}
+
+// Upper-case address tokens with punctuation removed
+function addressTokens(value) {
+  return String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+// House and flat numbers ("12", "12A", "3"), order-independent
+function numberKey(tokens) {
+  return tokens.filter(token => /\d/.test(token)).sort().join('|');
+}
+
+// Named parts of a PAON or SAON ("ROSE COTTAGE"), without numbers or unit words
+function namePhrase(tokens) {
+  return tokens.filter(token => !/\d/.test(token) && !UNIT_WORDS.has(token)).join(' ');
+}
+
+/**
+ * List the CSV files under an EPC directory (bulk downloads unzip into one
+ * folder per local authority, each with a certificates.csv)
+ * @param {string} dir - EPC directory
+ * @returns {string[]}
+ */
+function epcFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return epcFiles(file);
+    return entry.name.toLowerCase().endsWith('.csv') ? [file] : [];
+  });
+}
+
+/**
+ * Load certificates for the given postcodes from every CSV under dir.
+ * Accepts the bulk download headers (ADDRESS1, TOTAL_FLOOR_AREA) and the
+ * API export headers (address1, total-floor-area); other CSVs, such as the
+ * recommendations.csv shipped in the same zips, are skipped.
+ * @param {string} dir - EPC directory
+ * @param {Set<string>} postcodes - Postcode keys worth keeping
+ * @returns {Promise<Object>} - { certificates: Map<postcode, Object[]>,
+ *   files, rows, kept, invalidArea }
+ */
+async function loadCertificates(dir, postcodes) {
+  const certificates = new Map();
+  const result = { certificates, files: 0, rows: 0, kept: 0, invalidArea: 0 };
+
+  for (const file of epcFiles(dir)) {
+    await new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(file)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().toUpperCase().replace(/-/g, '_') }));
+
+      stream
+        .on('headers', (headers) => {
+          if (!headers.includes('POSTCODE') || !headers.includes('TOTAL_FLOOR_AREA')) {
+            stream.destroy();
+            resolve();
+            return;
+          }
+          result.files++;
+        })
+        .on('data', (row) => {
+          result.rows++;
+
+          const postcode = postcodeKey(row.POSTCODE);
+          if (!postcodes.has(postcode)) return;
+
+          const floorArea = parseFloat(row.TOTAL_FLOOR_AREA);
+          if (!(floorArea >= MIN_FLOOR_AREA && floorArea <= MAX_FLOOR_AREA)) {
+            result.invalidArea++;
+            return;
+          }
+
+          const address = row.ADDRESS || [row.ADDRESS1, row.ADDRESS2, row.ADDRESS3].filter(Boolean).join(' ');
+          const tokens = addressTokens(address);
+
+          if (!certificates.has(postcode)) {
+            certificates.set(postcode, []);
+          }
+          certificates.get(postcode).push({
+            text: ` ${tokens.join(' ')} `,
+            numbers: numberKey(tokens),
+            floorArea,
+            lodged: row.LODGEMENT_DATE || ''
+          });
+          result.kept++;
+        })
+        .on('end', resolve)
+        .on('error', reject);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Floor area for a Price Paid address. A certificate matches when it has
+ * the same postcode, exactly the same house and flat numbers, and contains
+ * the street and any building or flat names. When a property has several
+ * certificates the most recently lodged one wins.
+ * @param {Map<string, Object[]>} certificates - From loadCertificates()
+ * @param {Object} address - { postcode, paon, saon, street } from Price Paid
+ * @returns {Object} - { floorArea } or { reason } (one of MATCH_FAILURES)
+ */
+function matchFloorArea(certificates, { postcode, paon, saon, street }) {
+  const candidates = certificates.get(postcodeKey(postcode));
+  if (!candidates) {
+    return { reason: MATCH_FAILURES.NO_CERTIFICATES };
+  }
+
+  const paonTokens = addressTokens(paon);
+  const saonTokens = addressTokens(saon);
+  const numbers = numberKey([...saonTokens, ...paonTokens]);
+  const phrases = [namePhrase(saonTokens), namePhrase(paonTokens), addressTokens(street).join(' ')]
+    .filter(Boolean);
+
+  let best = null;
+  for (const certificate of candidates) {
+    if (certificate.numbers !== numbers) continue;
+    if (!phrases.every(phrase => certificate.text.includes(` ${phrase} `))) continue;
+    if (!best || certificate.lodged > best.lodged) best = certificate;
+  }
+
+  return best
+    ? { floorArea: best.floorArea }
+    : { reason: MATCH_FAILURES.NO_ADDRESS_MATCH };
+}
+
+/**
+ * Empty match-rate report
+ * @returns {Object} - { transactions, matched, failures, byType }
+ */
+function createMatchReport() {
+  const failures = {};
+  Object.values(MATCH_FAILURES).forEach(reason => { failures[reason] = 0; });
+  return { transactions: 0, matched: 0, failures, byType: {} };
+}
+
+/**
+ * Count one transaction's match result
+ * @param {Object} report - From createMatchReport()
+ * @param {string} type - Property type of the transaction
+ * @param {Object} match - Result of matchFloorArea()
+ */
+function recordMatch(report, type, match) {
+  if (!report.byType[type]) {
+    report.byType[type] = { transactions: 0, matched: 0 };
+  }
+
+  report.transactions++;
+  report.byType[type].transactions++;
+
+  if (match.floorArea) {
+    report.matched++;
+    report.byType[type].matched++;
+  } else {
+    report.failures[match.reason]++;
+  }
+}
+
+/**
+ * Report with match rates (0-1) added overall and per property type
+ * @param {Object} report - From createMatchReport()
+ * @returns {Object}
+ */
+function summarizeMatchReport(report) {
+  const rate = ({ transactions, matched }) =>
+    (transactions ? Math.round((matched / transactions) * 1000) / 1000 : null);
+
+  const byType = {};
+  for (const [type, counts] of Object.entries(report.byType)) {
+    byType[type] = { ...counts, match_rate: rate(counts) };
+  }
+
+  return {
+    transactions: report.transactions,
+    matched: report.matched,
+    match_rate: rate(report),
+    failures: report.failures,
+    by_type: byType
+  };
+}
+
+module.exports = {
+  MATCH_FAILURES,
+  postcodeKey,
+  epcFiles,
+  loadCertificates,
+  matchFloorArea,
+  createMatchReport,
+  recordMatch,
+  summarizeMatchReport
+};
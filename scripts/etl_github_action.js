@@ -11,12 +11,89 @@ const path = require('path');
 const csv = require('csv-parser');
 const { Client } = require('pg');
 const h3 = require('h3-js');
+const {
+  ROLLUP_MAX_LEVEL,
+  rollupGroups,
+  addRegion,
+  rollupRegions,
+  addStatistics,
+  createGroup,
+  addTransaction,
+  summarizeGroup,
+  groupByBucket,
+  hasPeriodBuckets,
+  periodMonths
+} = require('./h3_rollup');
+const { buildHistogram } = require('./price_histogram');
+const {
+  PLACE_KINDS,
+  addPlace,
+  addPostcodes,
+  placeRows
+} = require('./place_index');
+const {
+  postcodeKey,
+  epcFiles,
+  loadCertificates,
+  matchFloorArea,
+  createMatchReport,
+  recordMatch,
+  summarizeMatchReport
+} = require('./epc_match');
+const {
+  authorityKey,
+  rentalFiles,
+  loadRentals,
+  rentalCells
+} = require('./rental_listings');
 
 // Configuration
-const H3_LEVEL = 10; // Street level for UK
+// Transactions are indexed at the finest level served by the tile API and
+// rolled up into every coarser level (street level 10 included)
+const H3_LEVEL = ROLLUP_MAX_LEVEL;
 const BATCH_SIZE = 1000;
 const MAX_ROWS = process.env.ETL_MAX_ROWS ? parseInt(process.env.ETL_MAX_ROWS) : 100000;
 
+// Locally supplied EPC certificates (optional) for the price per m² metric
+const EPC_DIR = process.env.EPC_DIR || path.join(__dirname, '..', 'data', 'epc');
+const EPC_REPORT_FILE = 'match_report.json';
+
+// Locally supplied rental listings or rent statistics (optional), and the
+// date for rows without one (YYYY-MM-DD, defaults to each file's mtime)
+const RENTALS_DIR = process.env.RENTALS_DIR || path.join(__dirname, '..', 'data', 'rentals');
+const RENTALS_DATE = process.env.RENTALS_DATE;
+
+// Sources and metric types written by this ETL (src/config/constants.ts)
+const DATA_SOURCES = {
+  UK_LAND_REGISTRY: 'uk_land_registry',
+  UK_RENTALS: 'uk_rentals'
+};
+
+const METRIC_TYPES = {
+  MEDIAN_PRICE: 'median_price',
+  PRICE_PER_SQM: 'price_per_sqm',
+  RENTAL_PRICE: 'rental_price',
+  GROSS_YIELD: 'gross_yield'
+};
+
+const PPD_HEADERS = ['tx_id', 'price', 'date', 'postcode', 'type', 'new',
+  'duration', 'paon', 'saon', 'street', 'locality',
+  'city', 'district', 'county', 'ppd_cat', 'record_status'];
+
+// Price Paid Data codes -> PropertyTransaction values (src/types/property.ts)
+const PROPERTY_TYPES = {
+  D: 'detached',
+  S: 'semi-detached',
+  T: 'terraced',
+  F: 'flat',
+  O: 'other'
+};
+
+const TENURES = {
+  F: 'freehold',
+  L: 'leasehold'
+};
+
 class PostcodeLookup {
   constructor() {
     this.cache = new Map();
@@ -57,6 +134,21 @@ class UKLandRegistryETL {
   constructor(dbUrl) {
     this.dbUrl = dbUrl;
     this.postcodeLookup = new PostcodeLookup();
+    this.places = new Map();
+    // Sales per local authority in each base cell, and the main authority
+    // of every cell once rolled up
+    this.baseRegions = new Map();
+    this.regions = new Map();
+    // Price per m² groups for sales matched to an EPC floor area
+    this.sqmGroups = new Map();
+    this.certificates = null;
+    this.epcReport = createMatchReport();
+    // Rent listings grouped by base cell, authority-wide rent statistics,
+    // and the base cells with sales per local authority they cover
+    this.rentals = null;
+    this.rentGroups = new Map();
+    this.authorityRents = [];
+    this.authorityCells = new Map();
     this.stats = {
       processed: 0,
       skipped: 0,
@@ -89,6 +181,7 @@ class UKLandRegistryETL {
       // Load postcode lookup
       const postcodePath = path.join(__dirname, '..', 'data', 'postcodes', 'postcodes.csv');
       await this.postcodeLookup.load(postcodePath);
+      addPostcodes(this.places, this.postcodeLookup.cache);
 
       // Process property data
       const csvPath = path.join(__dirname, '..', 'data', 'uk_ppd_trimmed.csv');
@@ -97,28 +190,57 @@ class UKLandRegistryETL {
         throw new Error('Property data file not found. Run download step first.');
       }
 
+      await this.loadFloorAreas(csvPath);
+      await this.loadRentals();
+
       const h3Groups = await this.processPropertyData(csvPath);
-      
+      this.placeRentals();
+
+      // Roll base cells up into parent resolutions
+      console.log('🔺 Building H3 rollups...');
+      const levelGroups = rollupGroups(h3Groups, H3_LEVEL);
+      this.regions = rollupRegions(this.baseRegions, H3_LEVEL);
+
       // Batch insert to database
-      await this.upsertToDatabase(client, h3Groups);
+      await this.upsertToDatabase(client, levelGroups);
+      await this.upsertPeriods(client, levelGroups);
+
+      if (this.sqmGroups.size) {
+        console.log('🔺 Building price per m² rollups...');
+        const sqmLevelGroups = rollupGroups(this.sqmGroups, H3_LEVEL);
+        await this.upsertToDatabase(client, sqmLevelGroups, METRIC_TYPES.PRICE_PER_SQM);
+        await this.upsertPeriods(client, sqmLevelGroups, METRIC_TYPES.PRICE_PER_SQM);
+      }
+
+      if (this.rentGroups.size || this.authorityRents.length) {
+        console.log('🔺 Building rental price rollups...');
+        // Authority statistics join the all-time medians only; period
+        // buckets hold individual listings
+        const listingLevelGroups = rollupGroups(this.rentGroups, H3_LEVEL);
+        const rentLevelGroups = addStatistics(listingLevelGroups, this.authorityRents);
+        await this.upsertToDatabase(client, rentLevelGroups, METRIC_TYPES.RENTAL_PRICE, DATA_SOURCES.UK_RENTALS);
+        await this.upsertPeriods(client, listingLevelGroups, METRIC_TYPES.RENTAL_PRICE, DATA_SOURCES.UK_RENTALS);
+        await this.upsertGrossYields(client, levelGroups, rentLevelGroups);
+      }
+
+      await this.upsertPlaces(client, placeRows(this.places));
 
-      // Refresh aggregated view
+      // Refresh aggregated view (percentiles are recomputed by the view)
       console.log('🔄 Refreshing aggregated view...');
       await client.query('REFRESH MATERIALIZED VIEW heatmap_aggregated');
+      await client.query('REFRESH MATERIALIZED VIEW heatmap_percentiles');
 
-      // Compute percentiles
-      console.log('📊 Computing percentiles...');
-      await client.query("SELECT compute_percentiles('GB')");
-
-      // Update ETL run record
-      await client.query(`
+      // Update ETL run record; the new dataset version invalidates tile ETags
+      const completed = await client.query(`
         UPDATE etl_runs 
         SET status = 'success',
             rows_processed = $1,
             rows_inserted = $2,
             rows_updated = $3,
-            completed_at = NOW()
+            completed_at = NOW(),
+            dataset_version = to_char(NOW() AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS') || '-' || id
         WHERE id = $4
+        RETURNING dataset_version
       `, [this.stats.processed, this.stats.inserted, this.stats.updated, etlRunId]);
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -126,10 +248,27 @@ class UKLandRegistryETL {
       console.log('🎉 ETL Complete!');
       console.log(`   Duration: ${duration}s`);
       console.log(`   Processed: ${this.stats.processed.toLocaleString()} transactions`);
-      console.log(`   H3 Cells: ${h3Groups.size.toLocaleString()}`);
+      console.log(`   H3 Cells: ${h3Groups.size.toLocaleString()} at level ${H3_LEVEL}`);
+      for (const [level, groups] of levelGroups.entries()) {
+        console.log(`     Level ${level}: ${groups.size.toLocaleString()} cells`);
+      }
       console.log(`   Inserted: ${this.stats.inserted}`);
       console.log(`   Updated: ${this.stats.updated}`);
       console.log(`   Errors: ${this.stats.errors}`);
+      if (this.certificates) {
+        const { matched, transactions, match_rate: matchRate } = this.writeMatchReport();
+        console.log(`   EPC matches: ${matched.toLocaleString()} of ${transactions.toLocaleString()} (${(matchRate * 100).toFixed(1)}%)`);
+        console.log(`   Price per m² cells: ${this.sqmGroups.size.toLocaleString()} at level ${H3_LEVEL}`);
+      }
+      if (this.rentals) {
+        const { placed, rows, failures } = this.rentals;
+        console.log(`   Rents placed: ${placed.toLocaleString()} of ${rows.toLocaleString()} rows`);
+        for (const [reason, count] of Object.entries(failures)) {
+          if (count) console.log(`     ${reason}: ${count.toLocaleString()}`);
+        }
+        console.log(`   Rental cells: ${this.rentGroups.size.toLocaleString()} at level ${H3_LEVEL}, plus ${this.authorityRents.length.toLocaleString()} authority statistics`);
+      }
+      console.log(`   Dataset version: ${completed.rows[0].dataset_version}`);
 
     } catch (error) {
       console.error('❌ ETL failed:', error);
@@ -147,6 +286,122 @@ class UKLandRegistryETL {
     }
   }
 
+  /**
+   * Load EPC floor areas for the postcodes in this run, if any certificates
+   * are supplied under EPC_DIR. Without them price per m² is skipped.
+   */
+  async loadFloorAreas(csvPath) {
+    if (!fs.existsSync(EPC_DIR) || !epcFiles(EPC_DIR).length) {
+      console.log(`ℹ️  No EPC certificates in ${EPC_DIR}, skipping price per m²`);
+      return;
+    }
+
+    console.log('📐 Loading EPC floor areas...');
+    const postcodes = await this.collectPostcodes(csvPath);
+    const loaded = await loadCertificates(EPC_DIR, postcodes);
+    this.certificates = loaded.certificates;
+
+    console.log(`✅ Loaded ${loaded.kept.toLocaleString()} certificates for ${loaded.certificates.size.toLocaleString()} postcodes`);
+    console.log(`   ${loaded.rows.toLocaleString()} rows in ${loaded.files} files, ${loaded.invalidArea.toLocaleString()} without a usable floor area`);
+  }
+
+  // Postcodes of the rows processPropertyData will read, so only their
+  // certificates are kept in memory
+  collectPostcodes(csvPath) {
+    const postcodes = new Set();
+
+    return new Promise((resolve, reject) => {
+      let rowCount = 0;
+      const stream = fs.createReadStream(csvPath).pipe(csv({ headers: PPD_HEADERS }));
+
+      stream
+        .on('data', (row) => {
+          rowCount++;
+          if (rowCount > MAX_ROWS) {
+            stream.destroy();
+            resolve(postcodes);
+            return;
+          }
+          postcodes.add(postcodeKey(row.postcode));
+        })
+        .on('end', () => resolve(postcodes))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Load rental rows supplied under RENTALS_DIR, if any. Without them the
+   * rental price and gross yield metrics are skipped.
+   */
+  async loadRentals() {
+    if (!fs.existsSync(RENTALS_DIR) || !rentalFiles(RENTALS_DIR).length) {
+      console.log(`ℹ️  No rental data in ${RENTALS_DIR}, skipping rental price`);
+      return;
+    }
+
+    let defaultDate;
+    if (RENTALS_DATE) {
+      defaultDate = new Date(RENTALS_DATE);
+      if (isNaN(defaultDate.getTime())) {
+        throw new Error(`RENTALS_DATE is not a date: ${RENTALS_DATE}`);
+      }
+    }
+
+    console.log('🔑 Loading rental data...');
+    const loaded = await loadRentals(RENTALS_DIR, { defaultDate });
+    this.rentals = { ...loaded, placed: 0 };
+
+    console.log(`✅ Loaded ${loaded.rentals.length.toLocaleString()} rents from ${loaded.rows.toLocaleString()} rows in ${loaded.files} files`);
+  }
+
+  // Add the loaded rents to their cells. Runs after processPropertyData,
+  // which records the cells of each local authority.
+  placeRentals() {
+    if (!this.rentals) return;
+
+    const context = {
+      postcodeLookup: this.postcodeLookup,
+      authorityCells: this.authorityCells,
+      toCell: (lat, lng) => h3.latLngToCell(lat, lng, H3_LEVEL)
+    };
+
+    for (const rental of this.rentals.rentals) {
+      const placed = rentalCells(rental, context);
+      if (placed.reason) {
+        this.rentals.failures[placed.reason]++;
+        continue;
+      }
+
+      const { date } = rental;
+      if (placed.authority) {
+        this.authorityRents.push({ value: rental.rent, date, cells: placed.cells });
+      } else {
+        const [h3Index] = placed.cells;
+        if (!this.rentGroups.has(h3Index)) {
+          this.rentGroups.set(h3Index, createGroup());
+        }
+        addTransaction(this.rentGroups.get(h3Index), {
+          price: rental.rent,
+          date,
+          type: rental.type,
+          tenure: 'unknown',
+          newBuild: false
+        });
+      }
+      this.rentals.placed++;
+    }
+  }
+
+  // Write the EPC match-rate report next to the certificates
+  writeMatchReport() {
+    const report = summarizeMatchReport(this.epcReport);
+    fs.writeFileSync(
+      path.join(EPC_DIR, EPC_REPORT_FILE),
+      JSON.stringify({ generated_at: new Date().toISOString(), ...report }, null, 2)
+    );
+    return report;
+  }
+
   async processPropertyData(csvPath) {
     console.log('🏠 Processing property transactions...');
     
@@ -157,11 +412,7 @@ class UKLandRegistryETL {
       
       // Store the stream in a variable so we can reference it later
       const stream = fs.createReadStream(csvPath)
-        .pipe(csv({
-          headers: ['tx_id', 'price', 'date', 'postcode', 'type', 'new', 
-                   'duration', 'paon', 'saon', 'street', 'locality', 
-                   'city', 'district', 'county', 'ppd_cat', 'record_status']
-        }));
+        .pipe(csv({ headers: PPD_HEADERS }));
       
       stream
         .on('data', (row) => {
@@ -181,6 +432,13 @@ class UKLandRegistryETL {
               return;
             }
 
+            // Validate date (kept per transaction for period buckets)
+            const date = new Date(row.date);
+            if (isNaN(date.getTime())) {
+              this.stats.skipped++;
+              return;
+            }
+
             // Geocode postcode
             const coords = this.postcodeLookup.lookup(row.postcode);
             if (!coords) {
@@ -188,22 +446,55 @@ class UKLandRegistryETL {
               return;
             }
 
+            // Index named places for search; postcodes come from the lookup
+            addPlace(this.places, PLACE_KINDS.TOWN, row.city, coords.lat, coords.lng, row.county);
+            addPlace(this.places, PLACE_KINDS.DISTRICT, row.district, coords.lat, coords.lng, row.county);
+            addPlace(this.places, PLACE_KINDS.COUNTY, row.county, coords.lat, coords.lng);
+
             // Convert to H3
             const h3Index = h3.latLngToCell(coords.lat, coords.lng, H3_LEVEL);
 
             // Group by H3
             if (!h3Groups.has(h3Index)) {
-              h3Groups.set(h3Index, {
-                prices: [],
-                dates: [],
-                count: 0
-              });
+              h3Groups.set(h3Index, createGroup());
             }
 
-            const group = h3Groups.get(h3Index);
-            group.prices.push(price);
-            group.dates.push(new Date(row.date));
-            group.count++;
+            const transaction = {
+              price,
+              date,
+              type: PROPERTY_TYPES[row.type] || 'other',
+              tenure: TENURES[row.duration] || 'unknown',
+              newBuild: row.new === 'Y'
+            };
+            addTransaction(h3Groups.get(h3Index), transaction);
+
+            if (row.district && row.district.trim()) {
+              addRegion(this.baseRegions, h3Index, row.district.trim().replace(/\s+/g, ' '));
+            }
+
+            if (this.rentals && row.district) {
+              const authority = authorityKey(row.district);
+              if (!this.authorityCells.has(authority)) {
+                this.authorityCells.set(authority, new Set());
+              }
+              this.authorityCells.get(authority).add(h3Index);
+            }
+
+            // Price per m² for sales matched to an EPC floor area
+            if (this.certificates) {
+              const match = matchFloorArea(this.certificates, row);
+              recordMatch(this.epcReport, transaction.type, match);
+
+              if (match.floorArea) {
+                if (!this.sqmGroups.has(h3Index)) {
+                  this.sqmGroups.set(h3Index, createGroup());
+                }
+                addTransaction(this.sqmGroups.get(h3Index), {
+                  ...transaction,
+                  price: price / match.floorArea
+                });
+              }
+            }
 
             this.stats.processed++;
 
@@ -223,79 +514,327 @@ class UKLandRegistryETL {
     });
   }
 
-  async upsertToDatabase(client, h3Groups) {
-    console.log('💾 Upserting to database...');
+  async upsertToDatabase(client, levelGroups, metricType = METRIC_TYPES.MEDIAN_PRICE,
+    metricSource = DATA_SOURCES.UK_LAND_REGISTRY) {
+    console.log(`💾 Upserting ${metricType} to database...`);
     
     await client.query('BEGIN');
     
     try {
       let processed = 0;
-      
-      for (const [h3Index, data] of h3Groups.entries()) {
-        // Calculate median
-        const sortedPrices = data.prices.sort((a, b) => a - b);
-        const median = sortedPrices[Math.floor(sortedPrices.length / 2)];
-        
-        // Calculate date range
-        const firstSeen = new Date(Math.min(...data.dates));
-        const lastSeen = new Date(Math.max(...data.dates));
-        
-        // Calculate confidence (0-1 based on sample size and recency)
-        const recencyDays = (Date.now() - lastSeen.getTime()) / (1000 * 3600 * 24);
-        const sampleFactor = Math.min(1, Math.log10(data.count + 1) / 2);
-        const recencyFactor = Math.max(0.3, 1 - (recencyDays / 365));
-        const confidence = sampleFactor * recencyFactor;
-        
-        // Upsert
-        const result = await client.query(`
-          INSERT INTO heatmap_cells (
-            h3_index, h3_level, country_code, region,
-            metric_source, metric_type, metric_value,
-            transaction_count, confidence_score,
-            first_seen, last_seen, updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
-          ON CONFLICT (h3_index, metric_source, metric_type)
-          DO UPDATE SET
-            metric_value = EXCLUDED.metric_value,
-            transaction_count = EXCLUDED.transaction_count,
-            confidence_score = EXCLUDED.confidence_score,
-            last_seen = EXCLUDED.last_seen,
-            updated_at = NOW()
-          RETURNING (xmax = 0) AS inserted
-        `, [
-          h3Index,
-          H3_LEVEL,
-          'GB',
-          null,
-          'uk_land_registry',
-          'median_price',
-          median,
-          data.count,
-          confidence,
-          firstSeen,
-          lastSeen
-        ]);
-        
-        if (result.rows[0].inserted) {
-          this.stats.inserted++;
-        } else {
-          this.stats.updated++;
-        }
-        
-        processed++;
-        if (processed % 1000 === 0) {
-          process.stdout.write(`\r   Upserted ${processed.toLocaleString()} cells...`);
+      let batch = [];
+
+      for (const [level, groups] of levelGroups.entries()) {
+        for (const [h3Index, data] of groups.entries()) {
+          batch.push({ h3Index, level, ...summarizeGroup(data) });
+
+          if (batch.length >= BATCH_SIZE) {
+            await this.upsertBatch(client, batch, metricType, metricSource);
+            processed += batch.length;
+            batch = [];
+            process.stdout.write(`\r   Upserted ${processed.toLocaleString()} cells...`);
+          }
         }
       }
+
+      if (batch.length) {
+        await this.upsertBatch(client, batch, metricType, metricSource);
+        processed += batch.length;
+      }
       
       await client.query('COMMIT');
-      console.log(`\n✅ Database upsert complete`);
+      console.log(`\n✅ Database upsert complete: ${processed.toLocaleString()} cells`);
       
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
     }
   }
+
+  async upsertBatch(client, batch, metricType, metricSource) {
+    const result = await client.query(`
+      INSERT INTO heatmap_cells (
+        h3_index, h3_level, country_code, region,
+        metric_source, metric_type, metric_value,
+        transaction_count, confidence_score,
+        first_seen, last_seen, updated_at
+      )
+      SELECT
+        cell.h3_index, cell.h3_level, 'GB', cell.region,
+        $9, $8, cell.metric_value,
+        cell.transaction_count, cell.confidence_score,
+        cell.first_seen, cell.last_seen, NOW()
+      FROM unnest(
+        $1::text[], $2::int[], $3::numeric[], $4::int[],
+        $5::numeric[], $6::timestamptz[], $7::timestamptz[], $10::text[]
+      ) AS cell(
+        h3_index, h3_level, metric_value, transaction_count,
+        confidence_score, first_seen, last_seen, region
+      )
+      ON CONFLICT (h3_index, metric_source, metric_type)
+      DO UPDATE SET
+        region = EXCLUDED.region,
+        metric_value = EXCLUDED.metric_value,
+        transaction_count = EXCLUDED.transaction_count,
+        confidence_score = EXCLUDED.confidence_score,
+        last_seen = EXCLUDED.last_seen,
+        updated_at = NOW()
+      RETURNING (xmax = 0) AS inserted
+    `, [
+      batch.map(cell => cell.h3Index),
+      batch.map(cell => cell.level),
+      batch.map(cell => cell.median),
+      batch.map(cell => cell.count),
+      batch.map(cell => cell.confidence),
+      batch.map(cell => cell.firstSeen),
+      batch.map(cell => cell.lastSeen),
+      metricType,
+      metricSource,
+      // Every metric of a cell shares the local authority of its sales
+      batch.map(cell => this.regions.get(cell.h3Index) || null)
+    ]);
+
+    result.rows.forEach(row => {
+      if (row.inserted) {
+        this.stats.inserted++;
+      } else {
+        this.stats.updated++;
+      }
+    });
+  }
+
+  /**
+   * Gross rental yield (annual median rent over median sale price, in %)
+   * for every cell at every level that has both sales and rents
+   */
+  async upsertGrossYields(client, levelGroups, rentLevelGroups) {
+    const batch = [];
+
+    for (const [level, rentGroups] of rentLevelGroups.entries()) {
+      const saleGroups = levelGroups.get(level);
+      if (!saleGroups) continue;
+
+      for (const [h3Index, rentGroup] of rentGroups.entries()) {
+        const saleGroup = saleGroups.get(h3Index);
+        if (!saleGroup) continue;
+
+        const rent = summarizeGroup(rentGroup);
+        const sale = summarizeGroup(saleGroup);
+        batch.push({
+          h3Index,
+          level,
+          median: (rent.median * 12 / sale.median) * 100,
+          count: Math.min(rent.count, sale.count),
+          confidence: Math.min(rent.confidence, sale.confidence),
+          firstSeen: new Date(Math.min(rent.firstSeen, sale.firstSeen)),
+          lastSeen: new Date(Math.max(rent.lastSeen, sale.lastSeen))
+        });
+      }
+    }
+
+    if (!batch.length) {
+      console.log('ℹ️  No cells with both sales and rents, skipping gross yield');
+      return;
+    }
+
+    console.log(`💾 Upserting ${METRIC_TYPES.GROSS_YIELD} to database...`);
+    await client.query('BEGIN');
+
+    try {
+      for (let i = 0; i < batch.length; i += BATCH_SIZE) {
+        await this.upsertBatch(client, batch.slice(i, i + BATCH_SIZE), METRIC_TYPES.GROSS_YIELD, DATA_SOURCES.UK_RENTALS);
+      }
+
+      await client.query('COMMIT');
+      console.log(`✅ Gross yield upsert complete: ${batch.length.toLocaleString()} cells`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async upsertPeriods(client, levelGroups, metricType = METRIC_TYPES.MEDIAN_PRICE,
+    metricSource = DATA_SOURCES.UK_LAND_REGISTRY) {
+    console.log(`📅 Upserting ${metricType} period buckets...`);
+
+    await client.query('BEGIN');
+
+    try {
+      let processed = 0;
+      let batch = [];
+
+      for (const [level, groups] of levelGroups.entries()) {
+        // Levels without buckets are rolled up from the base level by the API
+        if (!hasPeriodBuckets(level)) continue;
+
+        for (const [h3Index, data] of groups.entries()) {
+          for (const bucket of groupByBucket(data, periodMonths(level)).values()) {
+            const { median, count, firstSeen, lastSeen } = summarizeGroup(bucket);
+            const histogram = buildHistogram(bucket.prices);
+
+            batch.push({
+              h3Index, level, median, count, firstSeen, lastSeen,
+              periodStart: bucket.periodStart,
+              propertyType: bucket.propertyType,
+              tenure: bucket.tenure,
+              newBuild: bucket.newBuild,
+              bins: `{${histogram.bins.join(',')}}`,
+              counts: `{${histogram.counts.join(',')}}`
+            });
+
+            if (batch.length >= BATCH_SIZE) {
+              await this.upsertPeriodBatch(client, batch, metricType, metricSource);
+              processed += batch.length;
+              batch = [];
+              process.stdout.write(`\r   Upserted ${processed.toLocaleString()} periods...`);
+            }
+          }
+        }
+      }
+
+      if (batch.length) {
+        await this.upsertPeriodBatch(client, batch, metricType, metricSource);
+        processed += batch.length;
+      }
+
+      // Buckets this run did not write are stale: their sales were removed
+      // or corrected, or their rents dropped. Every row written above has
+      // updated_at = NOW(), the start of this transaction.
+      const pruned = await client.query(`
+        DELETE FROM heatmap_cell_periods
+        WHERE metric_source = $1
+          AND metric_type = $2
+          AND updated_at < NOW()
+      `, [metricSource, metricType]);
+
+      await client.query('COMMIT');
+      console.log(`\n✅ Period upsert complete: ${processed.toLocaleString()} buckets, ${pruned.rowCount.toLocaleString()} stale removed`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async upsertPeriodBatch(client, batch, metricType, metricSource) {
+    // Histograms travel as array literals: unnest() cannot take ragged arrays
+    await client.query(`
+      INSERT INTO heatmap_cell_periods (
+        h3_index, h3_level, country_code,
+        metric_source, metric_type, period_start,
+        property_type, tenure, new_build, metric_value,
+        transaction_count, histogram_bins, histogram_counts,
+        first_seen, last_seen, updated_at
+      )
+      SELECT
+        p.h3_index, p.h3_level, 'GB',
+        $14, $13, p.period_start,
+        p.property_type, p.tenure, p.new_build, p.metric_value,
+        p.transaction_count, p.bins::smallint[], p.counts::int[],
+        p.first_seen, p.last_seen, NOW()
+      FROM unnest(
+        $1::text[], $2::int[], $3::date[], $4::numeric[], $5::int[],
+        $6::text[], $7::text[], $8::timestamptz[], $9::timestamptz[],
+        $10::text[], $11::text[], $12::boolean[]
+      ) AS p(
+        h3_index, h3_level, period_start, metric_value, transaction_count,
+        bins, counts, first_seen, last_seen,
+        property_type, tenure, new_build
+      )
+      ON CONFLICT (
+        h3_index, metric_source, metric_type, period_start,
+        property_type, tenure, new_build
+      )
+      DO UPDATE SET
+        metric_value = EXCLUDED.metric_value,
+        transaction_count = EXCLUDED.transaction_count,
+        histogram_bins = EXCLUDED.histogram_bins,
+        histogram_counts = EXCLUDED.histogram_counts,
+        first_seen = EXCLUDED.first_seen,
+        last_seen = EXCLUDED.last_seen,
+        updated_at = NOW()
+    `, [
+      batch.map(p => p.h3Index),
+      batch.map(p => p.level),
+      batch.map(p => p.periodStart),
+      batch.map(p => p.median),
+      batch.map(p => p.count),
+      batch.map(p => p.bins),
+      batch.map(p => p.counts),
+      batch.map(p => p.firstSeen),
+      batch.map(p => p.lastSeen),
+      batch.map(p => p.propertyType),
+      batch.map(p => p.tenure),
+      batch.map(p => p.newBuild),
+      metricType,
+      metricSource
+    ]);
+  }
+
+  async upsertPlaces(client, places) {
+    console.log('📍 Upserting search places...');
+
+    await client.query('BEGIN');
+
+    try {
+      for (let i = 0; i < places.length; i += BATCH_SIZE) {
+        await this.upsertPlaceBatch(client, places.slice(i, i + BATCH_SIZE));
+      }
+
+      await client.query('COMMIT');
+      console.log(`✅ Place upsert complete: ${places.length.toLocaleString()} places`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async upsertPlaceBatch(client, batch) {
+    await client.query(`
+      INSERT INTO places (
+        kind, place_key, within, name, country_code,
+        lat, lng, min_lat, min_lng, max_lat, max_lng,
+        point_count, updated_at
+      )
+      SELECT
+        p.kind, p.place_key, p.within, p.name, 'GB',
+        p.lat, p.lng, p.min_lat, p.min_lng, p.max_lat, p.max_lng,
+        p.point_count, NOW()
+      FROM unnest(
+        $1::text[], $2::text[], $3::text[], $4::text[],
+        $5::float8[], $6::float8[], $7::float8[], $8::float8[],
+        $9::float8[], $10::float8[], $11::int[]
+      ) AS p(
+        kind, place_key, within, name,
+        lat, lng, min_lat, min_lng, max_lat, max_lng, point_count
+      )
+      ON CONFLICT (kind, place_key, within)
+      DO UPDATE SET
+        name = EXCLUDED.name,
+        lat = EXCLUDED.lat,
+        lng = EXCLUDED.lng,
+        min_lat = EXCLUDED.min_lat,
+        min_lng = EXCLUDED.min_lng,
+        max_lat = EXCLUDED.max_lat,
+        max_lng = EXCLUDED.max_lng,
+        point_count = EXCLUDED.point_count,
+        updated_at = NOW()
+    `, [
+      batch.map(p => p.kind),
+      batch.map(p => p.key),
+      batch.map(p => p.within),
+      batch.map(p => p.name),
+      batch.map(p => p.lat),
+      batch.map(p => p.lng),
+      batch.map(p => p.minLat),
+      batch.map(p => p.minLng),
+      batch.map(p => p.maxLat),
+      batch.map(p => p.maxLng),
+      batch.map(p => p.count)
+    ]);
+  }
 }
 
 // Main execution
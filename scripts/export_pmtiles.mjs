@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * PMTiles export
+ * Renders heatmap tiles from heatmap_aggregated over a bbox and zoom range
+ * into a single PMTiles v3 archive, through the same renderer as the tile
+ * API. The archive metadata carries the metrics, dataset version,
+ * attribution and render options; the tile API serves from it when
+ * PMTILES_PATH points at the file.
+ *
+ *   node scripts/export_pmtiles.mjs --maxzoom 10 --out build/weflutgrid.pmtiles
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { parseArgs } from 'util';
+import { ZOOM_TO_H3, BATCH_MAX_TILES, DATA_ATTRIBUTION } from '../vercel-tiles/lib/config.js';
+import { tilesInBBox } from '../vercel-tiles/lib/tiles.js';
+import { parseBBox } from '../vercel-tiles/lib/area.js';
+import { parseTileFilters } from '../vercel-tiles/lib/filters.js';
+import { renderTiles } from '../vercel-tiles/lib/render.js';
+import { encodeTile } from '../vercel-tiles/lib/mvt.js';
+import { getDatasetVersion } from '../vercel-tiles/lib/dataset.js';
+import { MERGE_MAX_ZOOM } from '../vercel-tiles/lib/simplify.js';
+import {
+  TILESET_NAME,
+  TILESET_DESCRIPTION,
+  boundsCenter,
+  vectorLayers,
+  queryTilesetInfo,
+  configuredMetrics
+} from '../vercel-tiles/lib/tilejson.js';
+import {
+  COMPRESSION,
+  TILE_TYPE,
+  createArchiveWriter,
+  tileId
+} from '../vercel-tiles/lib/pmtiles.js';
+import { pool } from '../vercel-tiles/lib/db.js';
+
+// Great Britain and Northern Ireland, the Land Registry coverage
+const UK_BBOX = '-8.65,49.86,1.77,60.86';
+const FORMATS = ['mvt', 'geojson'];
+const MAX_ZOOM = Math.max(...Object.keys(ZOOM_TO_H3).map(Number));
+
+const { values: args } = parseArgs({
+  options: {
+    bbox: { type: 'string', default: UK_BBOX },
+    minzoom: { type: 'string', default: '0' },
+    maxzoom: { type: 'string', default: '10' },
+    out: { type: 'string', default: 'build/weflutgrid.pmtiles' },
+    format: { type: 'string', default: 'mvt' },
+    metric: { type: 'string' },
+    source: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    type: { type: 'string' },
+    tenure: { type: 'string' },
+    new: { type: 'string' },
+    compare: { type: 'string' },
+    buffer: { type: 'boolean', default: false },
+    merge: { type: 'boolean', default: false },
+    demo: { type: 'boolean', default: false }
+  }
+});
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+// Tile bytes as the API would send them
+function encodeBody(features, { z, x, y }, format, filters) {
+  if (format === 'mvt') {
+    return encodeTile(features, { z, x, y });
+  }
+
+  return Buffer.from(JSON.stringify({
+    type: 'FeatureCollection',
+    metric: filters.metric,
+    source: filters.source,
+    features
+  }));
+}
+
+async function exportArchive() {
+  const { bbox, error: bboxError } = parseBBox(args.bbox);
+  if (bboxError) fail(bboxError);
+
+  const minZoom = Number(args.minzoom);
+  const maxZoom = Number(args.maxzoom);
+  if (![minZoom, maxZoom].every(Number.isInteger) || minZoom < 0 || maxZoom > MAX_ZOOM || minZoom > maxZoom) {
+    fail(`Zooms must be integers with 0 <= minzoom <= maxzoom <= ${MAX_ZOOM}`);
+  }
+
+  const format = args.format.toLowerCase();
+  if (!FORMATS.includes(format)) {
+    fail(`Unknown format '${args.format}'. Expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  const { filters, error: filterError } = parseTileFilters(args, { compare: true });
+  if (filterError) fail(filterError);
+
+  const datasetVersion = args.demo ? 'demo' : await getDatasetVersion();
+  const info = args.demo
+    ? { bounds: null, metrics: configuredMetrics() }
+    : await queryTilesetInfo();
+
+  const outFile = path.resolve(args.out);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  const writer = createArchiveWriter(`${outFile}.tiles.tmp`);
+
+  console.log(`🗺️  Exporting z${minZoom}-${maxZoom} ${format} tiles over [${bbox.join(', ')}] from dataset ${datasetVersion}`);
+
+  const zooms = {};
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const candidates = tilesInBBox(bbox, zoom);
+    const merged = args.merge && zoom <= MERGE_MAX_ZOOM;
+    const tiles = [];
+    let features = 0;
+
+    for (let i = 0; i < candidates.length; i += BATCH_MAX_TILES) {
+      const rendered = await renderTiles(candidates.slice(i, i + BATCH_MAX_TILES), zoom, {
+        filters,
+        buffered: args.buffer,
+        merged,
+        isVectorTile: format === 'mvt',
+        demo: args.demo
+      });
+
+      for (const [key, tileFeatures] of rendered) {
+        if (!tileFeatures.length) continue;
+
+        const [z, x, y] = key.split('/').map(Number);
+        const body = encodeBody(tileFeatures, { z, x, y }, format, filters);
+        tiles.push({ id: tileId(z, x, y), data: zlib.gzipSync(body) });
+        features += tileFeatures.length;
+      }
+    }
+
+    // Zooms are written in ascending order and ids never overlap between
+    // zooms, so sorting each zoom keeps the whole archive clustered
+    tiles.sort((a, b) => a.id - b.id);
+    tiles.forEach(tile => writer.addTile(tile.id, tile.data));
+
+    zooms[zoom] = { tiles: tiles.length, features };
+    console.log(`  z${zoom}: ${tiles.length}/${candidates.length} tiles with data, ${features.toLocaleString()} features`);
+  }
+
+  const bounds = info.bounds || bbox;
+  const metadata = {
+    name: TILESET_NAME,
+    description: TILESET_DESCRIPTION,
+    attribution: DATA_ATTRIBUTION,
+    type: 'overlay',
+    format: format === 'mvt' ? 'pbf' : 'json',
+    ...(format === 'mvt' ? { vector_layers: vectorLayers(minZoom, maxZoom) } : {}),
+    metrics: info.metrics.length ? info.metrics : configuredMetrics(),
+    dataset_version: datasetVersion,
+    generated_at: new Date().toISOString(),
+    options: { bbox, filters, buffered: args.buffer, merged: args.merge },
+    zooms
+  };
+
+  const header = await writer.finish(outFile, {
+    metadata,
+    tileType: format === 'mvt' ? TILE_TYPE.MVT : TILE_TYPE.UNKNOWN,
+    tileCompression: COMPRESSION.GZIP,
+    minZoom,
+    maxZoom,
+    bounds,
+    center: boundsCenter(bounds)
+  });
+
+  const size = fs.statSync(outFile).size;
+  console.log(`✅ ${outFile}: ${header.addressedTiles} tiles, ${header.tileContents} unique, ${(size / 1024 / 1024).toFixed(1)} MB`);
+}
+
+exportArchive()
+  .catch(error => {
+    console.error('❌ PMTiles export failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
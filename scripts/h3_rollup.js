@@ -0,0 +1,317 @@
+/**
+ * H3 multi-resolution rollups
+ * Rolls base-level transaction groups up into parent cells so every zoom
+ * level served by the tile API has real data behind it.
+ */
+
+const h3 = require('h3-js');
+const { median: plainMedian } = require('../vercel-tiles/lib/shared.cjs');
+
+const ROLLUP_MIN_LEVEL = 2;
+const ROLLUP_MAX_LEVEL = 12;
+
+// Period buckets are yearly up to PERIOD_YEARLY_MAX_LEVEL, quarterly up to
+// PERIOD_QUARTERLY_MAX_LEVEL and monthly above: coarse cells hold so many
+// sales that monthly buckets would fill every month and dimension. Fine
+// cells hold about one sale per bucket, so levels from
+// PERIOD_ROLLUP_MIN_LEVEL up to the base level store none and the API rolls
+// them up from the base-level buckets instead.
+// Mirrored in vercel-tiles/lib/config.js - keep the two in sync.
+const PERIOD_YEARLY_MAX_LEVEL = 5;
+const PERIOD_QUARTERLY_MAX_LEVEL = 7;
+const PERIOD_ROLLUP_MIN_LEVEL = 9;
+
+// Per-transaction arrays carried by every group, index-aligned with prices
+const TRANSACTION_FIELDS = ['prices', 'dates', 'types', 'tenures', 'newBuilds'];
+
+/**
+ * Create an empty transaction group
+ * @returns {Object} - { prices, dates, types, tenures, newBuilds, count }
+ */
+function createGroup() {
+  const group = { count: 0 };
+  TRANSACTION_FIELDS.forEach(field => { group[field] = []; });
+  return group;
+}
+
+/**
+ * Append one transaction to a group
+ * @param {Object} group - Group from createGroup()
+ * @param {Object} tx - { price, date, type, tenure, newBuild }
+ */
+function addTransaction(group, tx) {
+  group.prices.push(tx.price);
+  group.dates.push(tx.date);
+  group.types.push(tx.type);
+  group.tenures.push(tx.tenure);
+  group.newBuilds.push(tx.newBuild);
+  group.count++;
+}
+
+/**
+ * Roll base-level groups up into every level from minLevel to the base level.
+ * Parents keep the raw prices and dates of all their children so medians are
+ * recomputed from transactions rather than averaged from child medians.
+ * @param {Map<string, Object>} baseGroups - h3Index -> group from createGroup()
+ * @param {number} baseLevel - Resolution of the keys in baseGroups
+ * @param {number} [minLevel] - Coarsest resolution to produce
+ * @returns {Map<number, Map<string, Object>>} - level -> (h3Index -> group)
+ */
+function rollupGroups(baseGroups, baseLevel, minLevel = ROLLUP_MIN_LEVEL) {
+  const levels = new Map([[baseLevel, baseGroups]]);
+
+  for (let level = minLevel; level < baseLevel; level++) {
+    const groups = new Map();
+
+    for (const [h3Index, child] of baseGroups.entries()) {
+      const parent = h3.cellToParent(h3Index, level);
+
+      if (!groups.has(parent)) {
+        groups.set(parent, createGroup());
+      }
+
+      const group = groups.get(parent);
+      for (const field of TRANSACTION_FIELDS) {
+        const source = child[field];
+        const target = group[field];
+        for (let i = 0; i < source.length; i++) {
+          target.push(source[i]);
+        }
+      }
+      group.count += child.count;
+    }
+
+    levels.set(level, groups);
+  }
+
+  return levels;
+}
+
+/**
+ * Count one sale towards a region (local authority) of a base cell
+ * @param {Map<string, Map<string, number>>} regions - h3Index -> (region -> sales)
+ * @param {string} h3Index - Base cell of the sale
+ * @param {string} name - Region name
+ */
+function addRegion(regions, h3Index, name) {
+  if (!regions.has(h3Index)) {
+    regions.set(h3Index, new Map());
+  }
+  const counts = regions.get(h3Index);
+  counts.set(name, (counts.get(name) || 0) + 1);
+}
+
+// Region with the most sales; ties go to the first name alphabetically
+function mainRegion(counts) {
+  let main = null;
+  for (const [name, count] of counts.entries()) {
+    if (!main || count > counts.get(main) || (count === counts.get(main) && name < main)) {
+      main = name;
+    }
+  }
+  return main;
+}
+
+/**
+ * Region of every cell from minLevel to the base level: the one most of
+ * the sales under the cell fall in
+ * @param {Map<string, Map<string, number>>} baseRegions - From addRegion()
+ * @param {number} baseLevel - Resolution of the keys in baseRegions
+ * @param {number} [minLevel] - Coarsest resolution to produce
+ * @returns {Map<string, string>} - h3Index at any level -> region name
+ */
+function rollupRegions(baseRegions, baseLevel, minLevel = ROLLUP_MIN_LEVEL) {
+  const regions = new Map();
+
+  for (let level = minLevel; level <= baseLevel; level++) {
+    const counts = new Map();
+
+    for (const [h3Index, child] of baseRegions.entries()) {
+      const cell = level === baseLevel ? h3Index : h3.cellToParent(h3Index, level);
+      if (!counts.has(cell)) {
+        counts.set(cell, new Map());
+      }
+
+      const target = counts.get(cell);
+      for (const [name, count] of child.entries()) {
+        target.set(name, (target.get(name) || 0) + count);
+      }
+    }
+
+    for (const [cell, cellCounts] of counts.entries()) {
+      regions.set(cell, mainRegion(cellCounts));
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Add published statistics, such as an authority-wide median rent, on top
+ * of transaction rollups. A statistic covering n base cells is shared
+ * between them with weight 1/n, so a parent holding k of them weighs it
+ * k/n and the whole area counts it once. Statistics shape the median and
+ * confidence but are not transactions: count and the period buckets from
+ * groupByBucket() leave them out.
+ * @param {Map<number, Map<string, Object>>} levelGroups - From rollupGroups()
+ * @param {Array} statistics - [{ value, date, cells }], cells being the
+ *   base-level H3 indexes the statistic covers
+ * @returns {Map<number, Map<string, Object>>} - New levels; the groups in
+ *   levelGroups are left untouched
+ */
+function addStatistics(levelGroups, statistics) {
+  const levels = new Map([...levelGroups].map(([level, groups]) => [level, new Map(groups)]));
+  const copies = new Set();
+
+  for (const { value, date, cells } of statistics) {
+    const weight = 1 / cells.length;
+
+    for (const [level, groups] of levels.entries()) {
+      const shares = new Map();
+      for (const cell of cells) {
+        const parent = h3.cellToParent(cell, level);
+        shares.set(parent, (shares.get(parent) || 0) + weight);
+      }
+
+      for (const [parent, share] of shares.entries()) {
+        let group = groups.get(parent);
+        if (!copies.has(group)) {
+          group = { ...(group || createGroup()), statistics: [...(group?.statistics || [])] };
+          copies.add(group);
+          groups.set(parent, group);
+        }
+        group.statistics.push({ value, weight: share, date });
+      }
+    }
+  }
+
+  return levels;
+}
+
+// Median of the prices (weight 1 each) and weighted statistics together
+function weightedMedian(prices, statistics) {
+  const points = [...prices.map(value => ({ value, weight: 1 })), ...statistics]
+    .sort((a, b) => a.value - b.value);
+  const half = points.reduce((sum, point) => sum + point.weight, 0) / 2;
+
+  let seen = 0;
+  for (let i = 0; i < points.length; i++) {
+    seen += points[i].weight;
+    // Exactly half way: average with the next point, as for an even count
+    if (Math.abs(seen - half) < 1e-9 && i + 1 < points.length) {
+      return (points[i].value + points[i + 1].value) / 2;
+    }
+    if (seen > half) return points[i].value;
+  }
+  return points[points.length - 1].value;
+}
+
+/**
+ * Compute the stored statistics for a group of transactions
+ * @param {Object} group - Group from createGroup(), optionally with
+ *   statistics from addStatistics()
+ * @returns {Object} - median, count, confidence, firstSeen, lastSeen
+ */
+function summarizeGroup(group) {
+  const statistics = group.statistics || [];
+  const median = statistics.length
+    ? weightedMedian(group.prices, statistics)
+    : plainMedian(group.prices);
+
+  // Loop rather than Math.min(...dates): coarse parents can hold 100k+ dates
+  let first = Infinity;
+  let last = -Infinity;
+  for (const dates of [group.dates, statistics.map(statistic => statistic.date)]) {
+    for (const date of dates) {
+      const time = date.getTime();
+      if (time < first) first = time;
+      if (time > last) last = time;
+    }
+  }
+
+  // Confidence (0-1 based on sample size and recency); statistics add
+  // their weight to the sample size
+  const sampleSize = statistics.reduce((sum, statistic) => sum + statistic.weight, group.count);
+  const recencyDays = (Date.now() - last) / (1000 * 3600 * 24);
+  const sampleFactor = Math.min(1, Math.log10(sampleSize + 1) / 2);
+  const recencyFactor = Math.max(0.3, 1 - (recencyDays / 365));
+
+  return {
+    median,
+    count: group.count,
+    confidence: sampleFactor * recencyFactor,
+    firstSeen: new Date(first),
+    lastSeen: new Date(last)
+  };
+}
+
+/**
+ * Whether period buckets are stored at an H3 level
+ * @param {number} level - H3 resolution
+ * @returns {boolean}
+ */
+function hasPeriodBuckets(level) {
+  return level < PERIOD_ROLLUP_MIN_LEVEL || level >= ROLLUP_MAX_LEVEL;
+}
+
+/**
+ * Length in months of the period buckets stored at an H3 level
+ * @param {number} level - H3 resolution
+ * @returns {number} - 12, 3 or 1
+ */
+function periodMonths(level) {
+  if (level <= PERIOD_YEARLY_MAX_LEVEL) return 12;
+  if (level <= PERIOD_QUARTERLY_MAX_LEVEL) return 3;
+  return 1;
+}
+
+/**
+ * Split a group's transactions into calendar buckets of the given length
+ * per property type, tenure and new-build flag
+ * @param {Object} group - Group from createGroup()
+ * @param {number} [months] - Bucket length: 1, 3 or 12, see periodMonths()
+ * @returns {Map<string, Object>} - bucket key -> group plus
+ *   { periodStart: 'YYYY-MM-01', propertyType, tenure, newBuild }
+ */
+function groupByBucket(group, months = 1) {
+  const buckets = new Map();
+
+  for (let i = 0; i < group.prices.length; i++) {
+    const date = group.dates[i];
+    const month = Math.floor(date.getUTCMonth() / months) * months;
+    const periodStart = `${date.getUTCFullYear()}-${String(month + 1).padStart(2, '0')}-01`;
+    const propertyType = group.types[i];
+    const tenure = group.tenures[i];
+    const newBuild = group.newBuilds[i];
+    const key = `${periodStart}|${propertyType}|${tenure}|${newBuild}`;
+
+    if (!buckets.has(key)) {
+      buckets.set(key, { ...createGroup(), periodStart, propertyType, tenure, newBuild });
+    }
+
+    addTransaction(buckets.get(key), {
+      price: group.prices[i],
+      date,
+      type: propertyType,
+      tenure,
+      newBuild
+    });
+  }
+
+  return buckets;
+}
+
+module.exports = {
+  ROLLUP_MIN_LEVEL,
+  ROLLUP_MAX_LEVEL,
+  hasPeriodBuckets,
+  periodMonths,
+  rollupGroups,
+  addRegion,
+  rollupRegions,
+  addStatistics,
+  createGroup,
+  addTransaction,
+  summarizeGroup,
+  groupByBucket
+};
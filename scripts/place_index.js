@@ -0,0 +1,134 @@
+/**
+ * Place index for the search API
+ * Collects a centre and bounding box per postcode, outward code, sector and
+ * Price Paid town, district and county name.
+ */
+
+// Outward code plus inward code, e.g. SW1A 1AA
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)(\d[A-Z]{2})$/;
+
+const PLACE_KINDS = {
+  POSTCODE: 'postcode',
+  SECTOR: 'sector',
+  OUTWARD: 'outward',
+  TOWN: 'town',
+  DISTRICT: 'district',
+  COUNTY: 'county'
+};
+
+/**
+ * Split a postcode into its parts
+ * @param {string} value - Postcode in any spacing or case
+ * @returns {Object|null} - { postcode: 'SW1A 1AA', sector: 'SW1A 1', outward: 'SW1A' }
+ */
+function parsePostcode(value) {
+  const match = POSTCODE_PATTERN.exec(String(value).replace(/\s/g, '').toUpperCase());
+  if (!match) return null;
+
+  const [, outward, inward] = match;
+  return {
+    postcode: `${outward} ${inward}`,
+    sector: `${outward} ${inward[0]}`,
+    outward
+  };
+}
+
+/**
+ * Lookup key for a place name or code: upper case, single spaces
+ * @param {string} name - Display name
+ * @returns {string}
+ */
+function placeKey(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Extend the index entry for a place with one located point
+ * @param {Map<string, Object>} index - 'kind|key|within' -> place
+ * @param {string} kind - One of PLACE_KINDS
+ * @param {string} name - Display name
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string} [within] - Enclosing area that tells same-named places
+ *   apart, e.g. the county of a town
+ */
+function addPlace(index, kind, name, lat, lng, within = '') {
+  if (!name || !String(name).trim() || !Number.isFinite(lat) || !Number.isFinite(lng)) return;
+
+  const key = placeKey(name);
+  const qualifier = within ? placeKey(within) : '';
+  const id = `${kind}|${key}|${qualifier}`;
+
+  if (!index.has(id)) {
+    index.set(id, {
+      kind,
+      key,
+      within: qualifier,
+      name: String(name).trim().replace(/\s+/g, ' '),
+      latSum: 0,
+      lngSum: 0,
+      count: 0,
+      minLat: lat,
+      minLng: lng,
+      maxLat: lat,
+      maxLng: lng
+    });
+  }
+
+  const place = index.get(id);
+  place.latSum += lat;
+  place.lngSum += lng;
+  place.count++;
+  place.minLat = Math.min(place.minLat, lat);
+  place.minLng = Math.min(place.minLng, lng);
+  place.maxLat = Math.max(place.maxLat, lat);
+  place.maxLng = Math.max(place.maxLng, lng);
+}
+
+/**
+ * Index every located postcode with its sector and outward code, whether
+ * or not it has sales
+ * @param {Map<string, Object>} index - Place index
+ * @param {Iterable<[string, Object]>} postcodes - [postcode, { lat, lng }]
+ */
+function addPostcodes(index, postcodes) {
+  for (const [postcode, { lat, lng }] of postcodes) {
+    const parts = parsePostcode(postcode);
+    if (!parts) continue;
+
+    addPlace(index, PLACE_KINDS.POSTCODE, parts.postcode, lat, lng);
+    addPlace(index, PLACE_KINDS.SECTOR, parts.sector, lat, lng);
+    addPlace(index, PLACE_KINDS.OUTWARD, parts.outward, lat, lng);
+  }
+}
+
+/**
+ * Rows ready for the places table, centred on the mean of their points
+ * @param {Map<string, Object>} index - Place index
+ * @returns {Object[]} - { kind, key, within, name, lat, lng, minLat, minLng,
+ *   maxLat, maxLng, count }
+ */
+function placeRows(index) {
+  return [...index.values()].map(place => ({
+    kind: place.kind,
+    key: place.key,
+    within: place.within,
+    name: place.name,
+    lat: place.latSum / place.count,
+    lng: place.lngSum / place.count,
+    minLat: place.minLat,
+    minLng: place.minLng,
+    maxLat: place.maxLat,
+    maxLng: place.maxLng,
+    count: place.count
+  }));
+}
+
+module.exports = {
+  PLACE_KINDS,
+  parsePostcode,
+  placeKey,
+  addPlace,
+  addPostcodes,
+  placeRows
+};
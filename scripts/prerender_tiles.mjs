@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Static tile pre-render
+ * Walks a bbox across a zoom range and writes every non-empty tile to
+ * {out}/{z}/{x}/{y}.geojson through the same renderer as the tile API, so
+ * low zooms can be served from static hosting without touching the
+ * database. A manifest records the dataset version, options, per-zoom
+ * counts and a hash per tile; unchanged tiles are not rewritten.
+ *
+ *   node scripts/prerender_tiles.mjs --maxzoom 8 --out build/tiles
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import { ZOOM_TO_H3, BATCH_MAX_TILES } from '../vercel-tiles/lib/config.js';
+import { tilesInBBox } from '../vercel-tiles/lib/tiles.js';
+import { parseBBox } from '../vercel-tiles/lib/area.js';
+import { parseTileFilters } from '../vercel-tiles/lib/filters.js';
+import { renderTiles } from '../vercel-tiles/lib/render.js';
+import { getDatasetVersion } from '../vercel-tiles/lib/dataset.js';
+import { MERGE_MAX_ZOOM } from '../vercel-tiles/lib/simplify.js';
+import { pool } from '../vercel-tiles/lib/db.js';
+
+// Great Britain and Northern Ireland, the Land Registry coverage
+const UK_BBOX = '-8.65,49.86,1.77,60.86';
+const MANIFEST_FILE = 'manifest.json';
+const MAX_ZOOM = Math.max(...Object.keys(ZOOM_TO_H3).map(Number));
+
+const { values: args } = parseArgs({
+  options: {
+    bbox: { type: 'string', default: UK_BBOX },
+    minzoom: { type: 'string', default: '0' },
+    maxzoom: { type: 'string', default: String(MERGE_MAX_ZOOM) },
+    out: { type: 'string', default: 'build/tiles' },
+    metric: { type: 'string' },
+    source: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    type: { type: 'string' },
+    tenure: { type: 'string' },
+    new: { type: 'string' },
+    compare: { type: 'string' },
+    buffer: { type: 'boolean', default: false },
+    merge: { type: 'boolean', default: false },
+    demo: { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false }
+  }
+});
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function tilePath(outDir, key) {
+  return path.join(outDir, `${key}.geojson`);
+}
+
+// Delete a tile file and any {z}/{x} directories it leaves empty
+function removeTile(outDir, key) {
+  const file = tilePath(outDir, key);
+  fs.rmSync(file, { force: true });
+
+  for (let dir = path.dirname(file); dir !== outDir; dir = path.dirname(dir)) {
+    if (!fs.existsSync(dir) || fs.readdirSync(dir).length) break;
+    fs.rmdirSync(dir);
+  }
+}
+
+function readManifest(outDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outDir, MANIFEST_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function hashBody(body) {
+  return crypto.createHash('sha1').update(body).digest('base64url').slice(0, 16);
+}
+
+async function prerender() {
+  const { bbox, error: bboxError } = parseBBox(args.bbox);
+  if (bboxError) fail(bboxError);
+
+  const minZoom = Number(args.minzoom);
+  const maxZoom = Number(args.maxzoom);
+  if (![minZoom, maxZoom].every(Number.isInteger) || minZoom < 0 || maxZoom > MAX_ZOOM || minZoom > maxZoom) {
+    fail(`Zooms must be integers with 0 <= minzoom <= maxzoom <= ${MAX_ZOOM}`);
+  }
+
+  const { filters, error: filterError } = parseTileFilters(args, { compare: true });
+  if (filterError) fail(filterError);
+
+  const outDir = path.resolve(args.out);
+  const datasetVersion = args.demo ? 'demo' : await getDatasetVersion();
+
+  // Everything that changes the tile bodies, besides the data itself
+  const options = {
+    bbox,
+    minzoom: minZoom,
+    maxzoom: maxZoom,
+    filters,
+    buffered: args.buffer,
+    merged: args.merge,
+    demo: args.demo
+  };
+
+  const previous = readManifest(outDir);
+  const sameRender = previous &&
+    previous.dataset_version === datasetVersion &&
+    JSON.stringify(previous.options) === JSON.stringify(options);
+
+  if (sameRender && !args.force) {
+    console.log(`✅ ${outDir} is already rendered from dataset ${datasetVersion} (--force to redo)`);
+    return;
+  }
+
+  console.log(`🗺️  Rendering z${minZoom}-${maxZoom} over [${bbox.join(', ')}] from dataset ${datasetVersion}`);
+
+  const previousTiles = previous?.tiles || {};
+  const tiles = {};
+  const zooms = {};
+  let written = 0;
+  let unchanged = 0;
+
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const candidates = tilesInBBox(bbox, zoom);
+    const merged = args.merge && zoom <= MERGE_MAX_ZOOM;
+    const counts = { tiles: 0, features: 0 };
+
+    for (let i = 0; i < candidates.length; i += BATCH_MAX_TILES) {
+      const rendered = await renderTiles(candidates.slice(i, i + BATCH_MAX_TILES), zoom, {
+        filters,
+        buffered: args.buffer,
+        merged,
+        demo: args.demo
+      });
+
+      for (const [key, features] of rendered) {
+        if (!features.length) continue;
+
+        // Same body as GET /tiles/{z}/{x}/{y}.geojson
+        const body = JSON.stringify({
+          type: 'FeatureCollection',
+          metric: filters.metric,
+          source: filters.source,
+          features
+        });
+        const hash = hashBody(body);
+        const file = tilePath(outDir, key);
+
+        if (previousTiles[key] === hash && fs.existsSync(file)) {
+          unchanged++;
+        } else {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, body);
+          written++;
+        }
+
+        tiles[key] = hash;
+        counts.tiles++;
+        counts.features += features.length;
+      }
+    }
+
+    zooms[zoom] = counts;
+    console.log(`  z${zoom}: ${counts.tiles}/${candidates.length} tiles with data, ${counts.features.toLocaleString()} features`);
+  }
+
+  // Tiles that are now empty or outside the walk would be stale
+  let removed = 0;
+  for (const key of Object.keys(previousTiles)) {
+    if (!(key in tiles)) {
+      removeTile(outDir, key);
+      removed++;
+    }
+  }
+
+  const manifest = {
+    generated_at: new Date().toISOString(),
+    dataset_version: datasetVersion,
+    format: 'geojson',
+    options,
+    total_tiles: Object.keys(tiles).length,
+    zooms,
+    tiles
+  };
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+  console.log(`✅ ${manifest.total_tiles} tiles in ${outDir}: ${written} written, ${unchanged} unchanged, ${removed} removed`);
+}
+
+prerender()
+  .catch(error => {
+    console.error('❌ Pre-render failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
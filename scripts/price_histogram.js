@@ -0,0 +1,45 @@
+/**
+ * Sparse log-scale price histograms
+ * Period buckets store a histogram instead of raw prices so medians over any
+ * time window can be recomputed by merging buckets.
+ * Bin layout mirrors vercel-tiles/lib/histogram.js - keep the two in sync.
+ */
+
+const HISTOGRAM_MIN_EXPONENT = 1;   // 10
+const HISTOGRAM_MAX_EXPONENT = 8;   // 100,000,000
+const HISTOGRAM_BINS_PER_DECADE = 64;
+const HISTOGRAM_BIN_COUNT =
+  (HISTOGRAM_MAX_EXPONENT - HISTOGRAM_MIN_EXPONENT) * HISTOGRAM_BINS_PER_DECADE;
+
+/**
+ * Map a value onto its histogram bin (clamped to the covered range)
+ * @param {number} value - Positive metric value
+ * @returns {number} - Bin index
+ */
+function valueToBin(value) {
+  const bin = Math.floor((Math.log10(value) - HISTOGRAM_MIN_EXPONENT) * HISTOGRAM_BINS_PER_DECADE);
+  return Math.min(HISTOGRAM_BIN_COUNT - 1, Math.max(0, bin));
+}
+
+/**
+ * Build a sparse histogram from raw values
+ * @param {number[]} values - Raw metric values
+ * @returns {Object} - { bins, counts } sorted by bin
+ */
+function buildHistogram(values) {
+  const counts = new Map();
+
+  for (const value of values) {
+    const bin = valueToBin(value);
+    counts.set(bin, (counts.get(bin) || 0) + 1);
+  }
+
+  const bins = [...counts.keys()].sort((a, b) => a - b);
+  return { bins, counts: bins.map(bin => counts.get(bin)) };
+}
+
+module.exports = {
+  HISTOGRAM_BIN_COUNT,
+  valueToBin,
+  buildHistogram
+};
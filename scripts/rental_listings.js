@@ -0,0 +1,238 @@
+/**
+ * Rental price ingestion
+ * Reads locally supplied rents, either individual listings or official
+ * private-rent statistics, and places each row on the H3 grid by lat/lng,
+ * postcode or local authority.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { postcodeKey } = require('./epc_match');
+
+// Plausible monthly rents in £; anything outside is a data entry error
+const MIN_MONTHLY_RENT = 50;
+const MAX_MONTHLY_RENT = 50000;
+
+const WEEKS_PER_MONTH = 52 / 12;
+
+// Accepted column names, in order of preference, after header normalisation
+const MONTHLY_RENT_COLUMNS = ['monthly_rent', 'rent_pcm', 'median_monthly_rent', 'median_rent', 'rent', 'price'];
+const WEEKLY_RENT_COLUMNS = ['weekly_rent', 'rent_pw', 'median_weekly_rent'];
+const LAT_COLUMNS = ['latitude', 'lat'];
+const LNG_COLUMNS = ['longitude', 'lng', 'lon'];
+const AUTHORITY_COLUMNS = ['local_authority', 'local_authority_name', 'la_name', 'area_name', 'district'];
+const DATE_COLUMNS = ['date', 'listed_date', 'time_period', 'period'];
+
+// Values of rent_period that mean the rent column is weekly
+const WEEKLY_PERIODS = new Set(['W', 'WEEK', 'WEEKLY', 'PW', 'PER WEEK']);
+
+// Listing and statistics wording -> PropertyTransaction types (src/types/property.ts)
+const PROPERTY_TYPES = {
+  D: 'detached',
+  DETACHED: 'detached',
+  S: 'semi-detached',
+  'SEMI-DETACHED': 'semi-detached',
+  'SEMI DETACHED': 'semi-detached',
+  T: 'terraced',
+  TERRACED: 'terraced',
+  'END TERRACE': 'terraced',
+  F: 'flat',
+  FLAT: 'flat',
+  APARTMENT: 'flat',
+  MAISONETTE: 'flat',
+  STUDIO: 'flat'
+};
+
+// Prefixes and suffixes that differ between rent statistics ("Westminster")
+// and Price Paid districts ("CITY OF WESTMINSTER")
+const AUTHORITY_PREFIX = /^(CITY AND COUNTY OF|CITY OF|COUNTY OF|ROYAL BOROUGH OF|LONDON BOROUGH OF|BOROUGH OF) /;
+const AUTHORITY_SUFFIX = / (CITY|DISTRICT|BOROUGH|COUNCIL)$/;
+
+const RENTAL_FAILURES = {
+  INVALID_RENT: 'invalid_rent',
+  NO_LOCATION: 'no_location',
+  UNKNOWN_POSTCODE: 'unknown_postcode',
+  UNKNOWN_AUTHORITY: 'unknown_authority'
+};
+
+/**
+ * Key that matches a local authority name across sources
+ * @param {string} name - Authority name in any case or wording
+ * @returns {string}
+ */
+function authorityKey(name) {
+  return String(name || '')
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()
+    .replace(AUTHORITY_PREFIX, '')
+    .replace(AUTHORITY_SUFFIX, '');
+}
+
+// First non-empty value among the candidate columns
+function firstValue(row, columns) {
+  const column = columns.find(name => row[name] !== undefined && String(row[name]).trim() !== '');
+  return column ? String(row[column]).trim() : '';
+}
+
+// Parse "£1,250" or "1250.00"
+function parseAmount(value) {
+  return parseFloat(String(value).replace(/[£,\s]/g, ''));
+}
+
+/**
+ * List the CSV files under a rentals directory
+ * @param {string} dir - Rentals directory
+ * @returns {string[]}
+ */
+function rentalFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return rentalFiles(file);
+    return entry.name.toLowerCase().endsWith('.csv') ? [file] : [];
+  });
+}
+
+/**
+ * Parse one CSV row (headers already normalised) into a rent and a location.
+ * Weekly rents are converted to monthly. The location is the first of
+ * lat/lng, postcode or local authority present on the row.
+ * @param {Object} row - CSV row
+ * @returns {Object} - { rent, date, type, location } or { reason }
+ */
+function parseRentalRow(row) {
+  const weekly = firstValue(row, WEEKLY_RENT_COLUMNS);
+  let rent = weekly
+    ? parseAmount(weekly) * WEEKS_PER_MONTH
+    : parseAmount(firstValue(row, MONTHLY_RENT_COLUMNS));
+  if (!weekly && WEEKLY_PERIODS.has(String(row.rent_period || '').trim().toUpperCase())) {
+    rent *= WEEKS_PER_MONTH;
+  }
+
+  if (!(rent >= MIN_MONTHLY_RENT && rent <= MAX_MONTHLY_RENT)) {
+    return { reason: RENTAL_FAILURES.INVALID_RENT };
+  }
+
+  const lat = parseFloat(firstValue(row, LAT_COLUMNS));
+  const lng = parseFloat(firstValue(row, LNG_COLUMNS));
+  const postcode = postcodeKey(row.postcode);
+  const authority = authorityKey(firstValue(row, AUTHORITY_COLUMNS));
+
+  let location;
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    location = { lat, lng };
+  } else if (postcode) {
+    location = { postcode };
+  } else if (authority) {
+    location = { authority };
+  } else {
+    return { reason: RENTAL_FAILURES.NO_LOCATION };
+  }
+
+  const date = new Date(firstValue(row, DATE_COLUMNS));
+  const type = String(row.property_type || '').trim().toUpperCase();
+
+  return {
+    rent,
+    date: isNaN(date.getTime()) ? null : date,
+    type: PROPERTY_TYPES[type] || 'other',
+    location
+  };
+}
+
+/**
+ * Load every rental row under dir. Headers are matched case-insensitively
+ * with spaces and dashes read as underscores; CSVs without a rent column
+ * are skipped. Rows without a date take defaultDate, or else the date the
+ * file was last modified, so loading the same files again puts them in the
+ * same period buckets.
+ * @param {string} dir - Rentals directory
+ * @param {Object} [options] - { defaultDate }
+ * @returns {Promise<Object>} - { rentals, files, rows, failures }
+ */
+async function loadRentals(dir, { defaultDate } = {}) {
+  const result = { rentals: [], files: 0, rows: 0, failures: createFailureCounts() };
+  const rentColumns = [...MONTHLY_RENT_COLUMNS, ...WEEKLY_RENT_COLUMNS];
+
+  for (const file of rentalFiles(dir)) {
+    const fileDate = defaultDate || fs.statSync(file).mtime;
+
+    await new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(file)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_') }));
+
+      stream
+        .on('headers', (headers) => {
+          if (!headers.some(header => rentColumns.includes(header))) {
+            stream.destroy();
+            resolve();
+            return;
+          }
+          result.files++;
+        })
+        .on('data', (row) => {
+          result.rows++;
+
+          const rental = parseRentalRow(row);
+          if (rental.reason) {
+            result.failures[rental.reason]++;
+            return;
+          }
+          result.rentals.push(rental.date ? rental : { ...rental, date: fileDate });
+        })
+        .on('end', resolve)
+        .on('error', reject);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Base H3 cells a rental row belongs to. Points and postcodes are listings
+ * and land in one cell. An authority-wide statistic covers every cell with
+ * sales in that authority and is flagged, so it can be shared between them
+ * rather than counted as a listing in each.
+ * @param {Object} rental - From parseRentalRow()
+ * @param {Object} context - { postcodeLookup, authorityCells, toCell }:
+ *   postcodeLookup.lookup(postcode) -> { lat, lng }, authorityCells maps
+ *   authorityKey() -> Set of base cells, toCell(lat, lng) -> base cell
+ * @returns {Object} - { cells, authority } or { reason }
+ */
+function rentalCells(rental, { postcodeLookup, authorityCells, toCell }) {
+  const { location } = rental;
+
+  if (location.authority) {
+    const cells = authorityCells.get(location.authority);
+    return cells
+      ? { cells: [...cells], authority: true }
+      : { reason: RENTAL_FAILURES.UNKNOWN_AUTHORITY };
+  }
+
+  const coords = location.postcode ? postcodeLookup.lookup(location.postcode) : location;
+  return coords
+    ? { cells: [toCell(coords.lat, coords.lng)], authority: false }
+    : { reason: RENTAL_FAILURES.UNKNOWN_POSTCODE };
+}
+
+/**
+ * Zeroed count per failure reason
+ * @returns {Object}
+ */
+function createFailureCounts() {
+  const failures = {};
+  Object.values(RENTAL_FAILURES).forEach(reason => { failures[reason] = 0; });
+  return failures;
+}
+
+module.exports = {
+  RENTAL_FAILURES,
+  authorityKey,
+  rentalFiles,
+  parseRentalRow,
+  loadRentals,
+  rentalCells,
+  createFailureCounts
+};
@@ -22,21 +22,28 @@ export const ZOOM_TO_H3_LEVEL: Record<number, number> = {
 export const DATA_SOURCES = {
   UK_LAND_REGISTRY: 'uk_land_registry',
   NUMBEO: 'numbeo',
-  FHFA: 'fhfa'
+  FHFA: 'fhfa',
+  UK_RENTALS: 'uk_rentals'
 } as const;
 
 export const METRIC_TYPES = {
   MEDIAN_PRICE: 'median_price',
   PRICE_PER_SQM: 'price_per_sqm',
-  RENTAL_PRICE: 'rental_price'
+  RENTAL_PRICE: 'rental_price',
+  GROSS_YIELD: 'gross_yield'
 } as const;
 
 export const TILE_CACHE_TTL = {
   LOW_ZOOM: 7 * 24 * 3600,   // 7 days for zoom 0-6
   MID_ZOOM: 24 * 3600,        // 1 day for zoom 7-12
-  HIGH_ZOOM: 3600             // 1 hour for zoom 13+
+  HIGH_ZOOM: 3600,            // 1 hour for zoom 13+
+  EMPTY: 15 * 60,             // 15 minutes for tiles with no data yet
+  DEGRADED: 60                // 1 minute for demo data and outages
 };
 
+// Boxes are polyfilled in pieces at most this many degrees across
+export const POLYFILL_MAX_SPAN = 90;
+
 export const COUNTRIES = {
   GB: { name: 'United Kingdom', currency: 'GBP', symbol: '£' },
   US: { name: 'United States', currency: 'USD', symbol: '$' },
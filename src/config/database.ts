@@ -57,7 +57,7 @@ pool.on('connect', () => {
 
 export async function testConnection(): Promise<boolean> {
   try {
-    const result = await pool.query('SELECT NOW()');
+    await pool.query('SELECT NOW()');
     console.log('✅ Transaction Pooler connection successful');
     return true;
   } catch (error: any) {
@@ -0,0 +1,124 @@
+/**
+ * Local API server
+ * Serves the vercel-tiles routes (rewrites from vercel.json plus every
+ * handler under api/) from a plain Node HTTP server, so the whole API runs
+ * against a local Postgres without the Vercel CLI.
+ *
+ *   DATABASE_URL=postgres://localhost/weflutgrid?sslmode=disable npm run dev
+ */
+
+import 'dotenv/config';
+import http from 'http';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from './utils/logger';
+import { constantsDrift } from './server/parity';
+import { loadRoutes, loadRewrites, matchRoute, Route } from './server/routes';
+import {
+  ApiRequest,
+  ApiResponse,
+  BodyParseError,
+  parseQuery,
+  toApiRequest,
+  toApiResponse
+} from './server/vercel';
+
+type Handler = (req: ApiRequest, res: ApiResponse) => unknown;
+
+const PORT = parseInt(process.env.PORT || '3000');
+const TILES_DIR = path.resolve(__dirname, '..', 'vercel-tiles');
+
+// Handlers are ES modules; import() stays native under module node16
+const handlers = new Map<string, Promise<Handler>>();
+
+function loadHandler(route: Route): Promise<Handler> {
+  if (!handlers.has(route.file)) {
+    handlers.set(
+      route.file,
+      import(pathToFileURL(route.file).href).then(module => module.default as Handler)
+    );
+  }
+  return handlers.get(route.file)!;
+}
+
+function importTilesModule(relative: string): Promise<Record<string, any>> {
+  return import(pathToFileURL(path.join(TILES_DIR, relative)).href);
+}
+
+// Errors use the API's own model (lib/errors.js) so bodies match the handlers
+async function sendError(res: ApiResponse, code: string, message: string): Promise<void> {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+
+  const { ApiError, sendError: sendApiError } = await importTilesModule('lib/errors.js');
+  sendApiError(res, new ApiError(code, message));
+}
+
+const routes = loadRoutes(TILES_DIR);
+const rewrites = loadRewrites(TILES_DIR);
+
+const server = http.createServer(async (req, res) => {
+  const started = Date.now();
+  const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+  const apiRes = toApiResponse(res);
+
+  res.on('finish', () => {
+    logger.info(`${req.method} ${url.pathname}${url.search} ${res.statusCode} ${Date.now() - started}ms`);
+  });
+
+  const match = matchRoute(url.pathname, routes, rewrites);
+  if (!match) {
+    await sendError(apiRes, 'NOT_FOUND', `No route for ${url.pathname}`);
+    return;
+  }
+
+  try {
+    const apiReq = await toApiRequest(req, { ...parseQuery(url.searchParams), ...match.query });
+    const handler = await loadHandler(match.route);
+    await handler(apiReq, apiRes);
+  } catch (error) {
+    if (error instanceof BodyParseError) {
+      await sendError(apiRes, 'INVALID_PARAMETERS', error.message);
+      return;
+    }
+
+    logger.error(`Unhandled error in ${match.route.path}`, error);
+    await sendError(apiRes, 'INTERNAL_ERROR', 'Unexpected error');
+  }
+});
+
+async function start(): Promise<void> {
+  const drift = constantsDrift(await importTilesModule('lib/config.js'));
+  if (drift.length) {
+    logger.warn(`vercel-tiles/lib/config.js differs from src/config/constants.ts: ${drift.join(', ')}`);
+  }
+
+  if (!process.env.DATABASE_URL) {
+    logger.warn('DATABASE_URL is not set; only demo tiles (?demo=1) will work');
+  }
+
+  server.listen(PORT, () => {
+    logger.info(`WeflutGrid API listening on http://localhost:${PORT}`);
+    routes.forEach(route => logger.debug(`Route ${route.path}`));
+    rewrites.forEach(rewrite => logger.debug(`Rewrite ${rewrite.source} -> ${rewrite.destination}`));
+  });
+}
+
+// Finish in-flight requests, then release the database pool
+async function shutdown(signal: string): Promise<void> {
+  logger.info(`${signal} received, shutting down`);
+  server.close();
+
+  const { pool } = await importTilesModule('lib/db.js');
+  await pool.end();
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+start().catch(error => {
+  logger.error('Failed to start server', error);
+  process.exit(1);
+});
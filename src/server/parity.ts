@@ -0,0 +1,37 @@
+import {
+  ZOOM_TO_H3_LEVEL,
+  DATA_SOURCES,
+  METRIC_TYPES,
+  TILE_CACHE_TTL,
+  POLYFILL_MAX_SPAN
+} from '../config/constants';
+
+type Constants = Record<string, unknown>;
+
+// Key-order-insensitive comparison of plain objects
+function sameValues(a: unknown, b: unknown): boolean {
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return a === b;
+  }
+
+  const aKeys = Object.keys(a as Constants);
+  const bKeys = Object.keys(b as Constants);
+  return aKeys.length === bKeys.length &&
+    aKeys.every(key => sameValues((a as Constants)[key], (b as Constants)[key]));
+}
+
+/**
+ * Names of the constants that differ between src/config/constants.ts and
+ * the tile API's lib/config.js, which mirrors it
+ */
+export function constantsDrift(tileConfig: Constants): string[] {
+  const pairs: [string, unknown, unknown][] = [
+    ['ZOOM_TO_H3', ZOOM_TO_H3_LEVEL, tileConfig.ZOOM_TO_H3],
+    ['DATA_SOURCES', DATA_SOURCES, tileConfig.DATA_SOURCES],
+    ['METRIC_TYPES', METRIC_TYPES, tileConfig.METRIC_TYPES],
+    ['TILE_CACHE_TTL', TILE_CACHE_TTL, tileConfig.TILE_CACHE_TTL],
+    ['POLYFILL_MAX_SPAN', POLYFILL_MAX_SPAN, tileConfig.POLYFILL_MAX_SPAN]
+  ];
+
+  return pairs.filter(([, shared, tile]) => !sameValues(shared, tile)).map(([name]) => name);
+}
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+
+export interface Route {
+  /** Route path, e.g. /api/tiles/:z/:x/:y */
+  path: string;
+  /** Absolute path of the handler module */
+  file: string;
+  pattern: RegExp;
+}
+
+export interface Rewrite {
+  source: string;
+  destination: string;
+  pattern: RegExp;
+}
+
+export interface RouteMatch {
+  route: Route;
+  /** Path parameters merged with any query set by a rewrite */
+  query: Record<string, string>;
+}
+
+type PathParams = Record<string, string>;
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a Vercel path such as /tiles/:z/:x/:y.pbf into a regex with
+ * named groups. Parameters never span a slash.
+ */
+function compilePath(routePath: string): RegExp {
+  const source = routePath
+    .split(/(:\w+)/)
+    .map(part => (part.startsWith(':') ? `(?<${part.slice(1)}>[^/]+?)` : escapeRegExp(part)))
+    .join('');
+
+  return new RegExp(`^${source}/?$`);
+}
+
+function listHandlerFiles(dir: string): string[] {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listHandlerFiles(file);
+    return entry.name.endsWith('.js') ? [file] : [];
+  });
+}
+
+/**
+ * File-system routes under api/, the way Vercel maps them:
+ * api/tiles/[z]/[x]/[y].js serves /api/tiles/:z/:x/:y and index.js
+ * serves its directory. Static routes sort before dynamic ones, so
+ * api/tiles/batch.js wins over a parameter in the same position.
+ */
+export function loadRoutes(projectDir: string): Route[] {
+  const apiDir = path.join(projectDir, 'api');
+
+  return listHandlerFiles(apiDir)
+    .map(file => {
+      const relative = path.relative(projectDir, file).split(path.sep).join('/');
+      const routePath = `/${relative}`
+        .replace(/\.js$/, '')
+        .replace(/\/index$/, '')
+        .replace(/\[(\w+)\]/g, ':$1');
+
+      return { path: routePath, file, pattern: compilePath(routePath) };
+    })
+    .sort((a, b) => a.path.split(':').length - b.path.split(':').length);
+}
+
+/**
+ * Rewrites from vercel.json, applied in order before the file routes
+ */
+export function loadRewrites(projectDir: string): Rewrite[] {
+  const configFile = path.join(projectDir, 'vercel.json');
+  if (!fs.existsSync(configFile)) return [];
+
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  return (config.rewrites || []).map((rewrite: { source: string; destination: string }) => ({
+    ...rewrite,
+    pattern: compilePath(rewrite.source)
+  }));
+}
+
+function fillParams(destination: string, params: PathParams): string {
+  return destination.replace(/:(\w+)/g, (token, name: string) =>
+    name in params ? encodeURIComponent(params[name]) : token
+  );
+}
+
+/**
+ * Resolve a request path to a handler: the first matching rewrite maps
+ * it onto an api/ path (its query string, e.g. ?format=pbf, is kept),
+ * then the file routes are matched.
+ */
+export function matchRoute(
+  pathname: string,
+  routes: Route[],
+  rewrites: Rewrite[]
+): RouteMatch | null {
+  let target = pathname;
+  const query: Record<string, string> = {};
+
+  for (const rewrite of rewrites) {
+    const match = rewrite.pattern.exec(pathname);
+    if (!match) continue;
+
+    const [destinationPath, destinationQuery = ''] =
+      fillParams(rewrite.destination, match.groups || {}).split('?');
+
+    target = destinationPath;
+    new URLSearchParams(destinationQuery).forEach((value, key) => {
+      query[key] = value;
+    });
+    break;
+  }
+
+  for (const route of routes) {
+    const match = route.pattern.exec(target);
+    if (!match) continue;
+
+    for (const [key, value] of Object.entries(match.groups || {})) {
+      query[key] = decodeURIComponent(value);
+    }
+    return { route, query };
+  }
+
+  return null;
+}
@@ -0,0 +1,128 @@
+import { IncomingMessage, ServerResponse } from 'http';
+
+// Same cap as Vercel functions
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+export type QueryValue = string | string[];
+
+export interface ApiRequest extends IncomingMessage {
+  query: Record<string, QueryValue>;
+  body?: unknown;
+}
+
+export interface ApiResponse extends ServerResponse {
+  status(code: number): ApiResponse;
+  json(body: unknown): ApiResponse;
+  send(body: unknown): ApiResponse;
+}
+
+export class BodyParseError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'BodyParseError';
+  }
+}
+
+/**
+ * Query string as Vercel exposes it: repeated keys become arrays
+ */
+export function parseQuery(params: URLSearchParams): Record<string, QueryValue> {
+  const query: Record<string, QueryValue> = {};
+
+  params.forEach((value, key) => {
+    const existing = query[key];
+    if (existing === undefined) {
+      query[key] = value;
+    } else {
+      query[key] = Array.isArray(existing) ? [...existing, value] : [existing, value];
+    }
+  });
+
+  return query;
+}
+
+async function readBody(req: IncomingMessage): Promise<Buffer> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new BodyParseError('Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Attach query and body to a Node request. JSON bodies are parsed,
+ * form bodies become objects and anything else stays a string.
+ */
+export async function toApiRequest(
+  req: IncomingMessage,
+  query: Record<string, QueryValue>
+): Promise<ApiRequest> {
+  const apiReq = req as ApiRequest;
+  apiReq.query = query;
+
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return apiReq;
+  }
+
+  const raw = (await readBody(req)).toString('utf8');
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim();
+
+  if (!raw) {
+    apiReq.body = undefined;
+  } else if (contentType === 'application/json') {
+    try {
+      apiReq.body = JSON.parse(raw);
+    } catch {
+      throw new BodyParseError('Request body is not valid JSON');
+    }
+  } else if (contentType === 'application/x-www-form-urlencoded') {
+    apiReq.body = parseQuery(new URLSearchParams(raw));
+  } else {
+    apiReq.body = raw;
+  }
+
+  return apiReq;
+}
+
+/**
+ * Add the Vercel response helpers (status, json, send) to a Node response
+ */
+export function toApiResponse(res: ServerResponse): ApiResponse {
+  const apiRes = res as ApiResponse;
+
+  apiRes.status = code => {
+    apiRes.statusCode = code;
+    return apiRes;
+  };
+
+  apiRes.json = body => {
+    if (!apiRes.getHeader('Content-Type')) {
+      apiRes.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    apiRes.end(JSON.stringify(body));
+    return apiRes;
+  };
+
+  apiRes.send = body => {
+    if (Buffer.isBuffer(body) || body instanceof Uint8Array) {
+      if (!apiRes.getHeader('Content-Type')) {
+        apiRes.setHeader('Content-Type', 'application/octet-stream');
+      }
+      apiRes.end(Buffer.from(body));
+    } else if (body !== null && typeof body === 'object') {
+      apiRes.json(body);
+    } else {
+      apiRes.end(body === undefined ? undefined : String(body));
+    }
+    return apiRes;
+  };
+
+  return apiRes;
+}
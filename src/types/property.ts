@@ -30,6 +30,8 @@ export interface AggregatedCell {
   h3_level: number;
   country_code: string;
   region?: string;
+  metric_type: string;
+  metric_source: string; // 'all' for the blend of every source
   weighted_metric: number;
   tx_count: number;
   avg_confidence: number;
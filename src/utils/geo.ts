@@ -1,53 +1,21 @@
-import h3 from 'h3-js';
+import { BBox, Polygon, cellToPolygon, polyfillBBox, tileToBBox } from '../../vercel-tiles/lib/shared.cjs';
+import { POLYFILL_MAX_SPAN } from '../config/constants';
 
-/**
- * Convert tile coordinates to bounding box [west, south, east, north]
- */
-export function tileToBBox(z: number, x: number, y: number): [number, number, number, number] {
-  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
-  const lat1 = (Math.atan(Math.sinh(n)) * 180) / Math.PI;
-  const lng1 = (x / Math.pow(2, z)) * 360 - 180;
-  
-  const n2 = Math.PI - (2 * Math.PI * (y + 1)) / Math.pow(2, z);
-  const lat2 = (Math.atan(Math.sinh(n2)) * 180) / Math.PI;
-  const lng2 = ((x + 1) / Math.pow(2, z)) * 360 - 180;
-  
-  return [lng1, lat2, lng2, lat1]; // [west, south, east, north]
-}
+// Same implementations as the tile API (vercel-tiles/lib/shared.cjs)
+export { tileToBBox };
 
 /**
  * Convert H3 index to GeoJSON polygon
  */
-export function h3ToGeoJSON(h3Index: string): any {
-  const boundary = h3.cellToBoundary(h3Index, true);
-  const coordinates = boundary.map(([lat, lng]) => [lng, lat]);
-  coordinates.push(coordinates[0]); // Close the polygon
-  
-  return {
-    type: 'Polygon',
-    coordinates: [coordinates]
-  };
+export function h3ToGeoJSON(h3Index: string): Polygon {
+  return cellToPolygon(h3Index);
 }
 
 /**
- * Get all H3 cells within a bounding box
+ * Get all H3 cells whose centre lies within a bounding box
  */
-export function getH3CellsInBBox(
-  bbox: [number, number, number, number],
-  h3Level: number
-): string[] {
-  const [west, south, east, north] = bbox;
-  
-  // Create polygon from bbox
-  const polygon = [[
-    [north, west],
-    [north, east],
-    [south, east],
-    [south, west],
-    [north, west]
-  ]];
-  
-  return h3.polygonToCells(polygon, h3Level, true);
+export function getH3CellsInBBox(bbox: BBox, h3Level: number): string[] {
+  return polyfillBBox(bbox, h3Level, { maxSpan: POLYFILL_MAX_SPAN });
 }
 
 /**
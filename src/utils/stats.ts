@@ -1,16 +1,5 @@
-/**
- * Calculate median of a number array
- */
-export function median(values: number[]): number {
-  if (values.length === 0) return 0;
-  
-  const sorted = [...values].sort((a, b) => a - b);
-  const mid = Math.floor(sorted.length / 2);
-  
-  return sorted.length % 2 === 0
-    ? (sorted[mid - 1] + sorted[mid]) / 2
-    : sorted[mid];
-}
+// Same implementation as the ETL rollups (vercel-tiles/lib/shared.cjs)
+export { median } from '../../vercel-tiles/lib/shared.cjs';
 
 /**
  * Calculate percentile rank (0-1)
@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+import { createPool } from './helpers/db.mjs';
+import priceHistogram from '../scripts/price_histogram.js';
+
+const { buildHistogram } = priceHistogram;
+
+const sales = buildHistogram([200000, 250000, 300000, 350000, 400000, 450000, 500000, 550000]);
+let empty = false;
+
+const pool = createPool(() => [empty
+  ? { cells: '0', first_seen: null, last_seen: null, bins: null, counts: null }
+  : {
+    cells: '12',
+    first_seen: new Date('2022-01-04T00:00:00Z'),
+    last_seen: new Date('2024-05-28T00:00:00Z'),
+    bins: sales.bins,
+    counts: sales.counts
+  }
+]);
+
+jest.unstable_mockModule('../vercel-tiles/lib/db.js', () => ({ pool }));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => 'test' }));
+
+const { parseBBox, parsePolygon, bboxAreaKm2, statsLevelForArea, resolveAreaCells } =
+  await import('../vercel-tiles/lib/area.js');
+const { STATS_MAX_CELLS, STATS_MAX_LEVEL, STATS_TARGET_CELLS } = await import('../vercel-tiles/lib/config.js');
+const { default: handler } = await import('../vercel-tiles/api/stats.js');
+
+const square = [[-0.13, 51.50], [-0.12, 51.50], [-0.12, 51.51], [-0.13, 51.51], [-0.13, 51.50]];
+
+let address = 0;
+const get = query => call(handler, { query, address: `10.4.0.${++address}` });
+
+describe('parseBBox', () => {
+  it('reads west,south,east,north', () => {
+    expect(parseBBox('-0.2,51.45,0,51.55')).toEqual({ bbox: [-0.2, 51.45, 0, 51.55] });
+  });
+
+  it.each(['-0.2,51.45,0', 'a,b,c,d', '0,51.55,-0.2,51.45', '-0.2,51.45,0,95'])('rejects %p', value => {
+    expect(parseBBox(value).error).toEqual(expect.any(String));
+  });
+});
+
+describe('parsePolygon', () => {
+  it('reads Polygons, MultiPolygons and Features, as objects or JSON', () => {
+    const polygon = { type: 'Polygon', coordinates: [square] };
+
+    expect(parsePolygon(polygon)).toEqual({ polygons: [[square]] });
+    expect(parsePolygon(JSON.stringify({ type: 'Feature', geometry: polygon }))).toEqual({ polygons: [[square]] });
+    expect(parsePolygon({ type: 'MultiPolygon', coordinates: [[square], [square]] }).polygons).toHaveLength(2);
+  });
+
+  it('rejects other geometries and short or invalid rings', () => {
+    expect(parsePolygon('{').error).toMatch(/valid GeoJSON/);
+    expect(parsePolygon({ type: 'Point', coordinates: [0, 51] }).error).toMatch(/Polygon or MultiPolygon/);
+    expect(parsePolygon({ type: 'Polygon', coordinates: [square.slice(0, 3)] }).error).toMatch(/four/);
+    expect(parsePolygon({ type: 'Polygon', coordinates: [[[0, 91], ...square.slice(1)]] }).error).toMatch(/four/);
+  });
+});
+
+describe('area cells', () => {
+  it('measure bboxes on the sphere', () => {
+    expect(bboxAreaKm2([0, 0, 1, 1])).toBeCloseTo(12364, 0);
+    expect(bboxAreaKm2([0, 60, 1, 61])).toBeLessThan(bboxAreaKm2([0, 0, 1, 1]) / 2 + 100);
+  });
+
+  it('use the finest level that needs at most the target number of cells', () => {
+    const level = statsLevelForArea(1000);
+
+    expect(1000 / h3.getHexagonAreaAvg(level, 'km2')).toBeLessThanOrEqual(STATS_TARGET_CELLS);
+    expect(1000 / h3.getHexagonAreaAvg(level + 1, 'km2')).toBeGreaterThan(STATS_TARGET_CELLS);
+    expect(statsLevelForArea(0.01)).toBe(STATS_MAX_LEVEL);
+  });
+
+  it('cover a polygon and report the area of its cells', () => {
+    const resolved = resolveAreaCells({ polygons: [[square]] }, 10);
+
+    expect(resolved.level).toBe(10);
+    expect(resolved.cells.length).toBeGreaterThan(10);
+    expect(resolved.cells.every(cell => h3.getResolution(cell) === 10)).toBe(true);
+    // The square is about 0.77 km²; its cells cover roughly the same
+    expect(resolved.areaKm2).toBeGreaterThan(0.6);
+    expect(resolved.areaKm2).toBeLessThan(0.9);
+  });
+
+  it('refuse areas that are too large or need too many cells', () => {
+    expect(resolveAreaCells({ bbox: [-10, 40, 10, 60] })).toEqual({
+      tooLarge: true,
+      error: expect.stringMatching(/exceeds the 20000 km² limit/)
+    });
+    expect(resolveAreaCells({ bbox: [-0.5, 51.3, 0.3, 51.7] }, 10).error)
+      .toMatch(new RegExp(`the limit is ${STATS_MAX_CELLS}`));
+  });
+});
+
+describe('GET /api/stats', () => {
+  beforeEach(() => {
+    empty = false;
+    pool.reset();
+  });
+
+  it.each([
+    [{}, /Missing bbox or polygon/],
+    [{ bbox: '-0.13,51.50,-0.12,51.51', polygon: '{}' }, /either bbox or polygon/],
+    [{ bbox: '-0.13,51.50,-0.12,51.51', level: '11' }, /level must be between/],
+    [{ bbox: '-0.13,51.50,-0.12,51.51', metric: 'gross_yield' }, /not available for gross_yield/]
+  ])('rejects %p with 400', async (query, message) => {
+    const res = await get(query);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_PARAMETERS');
+    expect(res.body.message).toMatch(message);
+  });
+
+  it('refuses areas that are too large', async () => {
+    const res = await get({ bbox: '-10,40,10,60' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('AREA_TOO_LARGE');
+  });
+
+  it('returns transaction-weighted statistics for the area', async () => {
+    const res = await get({ bbox: '-0.13,51.50,-0.12,51.51', type: 'flat' });
+    const { body } = res;
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.etag).toBeDefined();
+    expect(body).toEqual(expect.objectContaining({
+      metric: 'median_price',
+      source: 'all',
+      cells: 12,
+      transactions: 8,
+      dataset_version: 'test'
+    }));
+    expect(body.cells_covered).toBeGreaterThan(0);
+    expect(body.quartiles.q1).toBeLessThan(body.median);
+    expect(body.median).toBeLessThan(body.quartiles.q3);
+    expect(Math.abs(body.median - 375000) / 375000).toBeLessThan(0.1);
+    expect(pool.queries[0].params[6]).toEqual(['flat']);
+  });
+
+  it('answers an area without sales with empty statistics', async () => {
+    empty = true;
+    const res = await get({ bbox: '-0.13,51.50,-0.12,51.51' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({
+      cells: 0,
+      transactions: 0,
+      median: null,
+      quartiles: null,
+      confidence: 0
+    }));
+  });
+
+  it('takes polygons in a POST body and does not cache the answer', async () => {
+    const res = await call(handler, {
+      method: 'POST',
+      body: { polygon: { type: 'Polygon', coordinates: [square] } },
+      address: `10.4.1.${++address}`
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.headers.etag).toBeUndefined();
+  });
+});
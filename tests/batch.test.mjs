@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+
+// Deterministic stand-in for the database: about two cells in three have
+// data, with values derived from the index
+function hasData(cell) {
+  let sum = 0;
+  for (const char of cell) sum += char.charCodeAt(0);
+  return sum % 3 !== 0;
+}
+
+function cellRow(cell) {
+  const seed = parseInt(cell.slice(6, 12), 16);
+  return {
+    h3_index: cell,
+    price: 100000 + (seed % 900) * 1000,
+    count: 1 + (seed % 40),
+    confidence: (seed % 10) / 10,
+    value: (seed % 100) / 100
+  };
+}
+
+const queryCellData = jest.fn(async cells => cells.filter(hasData).map(cellRow));
+const queryPopulatedCells = jest.fn(async (parents, level) =>
+  parents.flatMap(parent => h3.cellToChildren(parent, level)).filter(hasData)
+);
+
+jest.unstable_mockModule('../vercel-tiles/lib/cellData.js', () => ({ queryCellData, queryPopulatedCells }));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => 'test' }));
+
+const { default: tileHandler } = await import('../vercel-tiles/api/tiles/[z]/[x]/[y].js');
+const { default: batchHandler } = await import('../vercel-tiles/api/tiles/batch.js');
+const { estimateTileCells } = await import('../vercel-tiles/lib/render.js');
+const { createMemoryStore, setRateLimitStore } = await import('../vercel-tiles/lib/rateLimit.js');
+const { closeTileArchive } = await import('../vercel-tiles/lib/archive.js');
+const { POLYFILL_MAX_CELLS, ZOOM_TO_H3 } = await import('../vercel-tiles/lib/config.js');
+const { parseTileFilters } = await import('../vercel-tiles/lib/filters.js');
+const { tileToBBox } = await import('../vercel-tiles/lib/tiles.js');
+const { COMPRESSION, TILE_TYPE, compress, createArchiveWriter, tileId } = await import('../vercel-tiles/lib/pmtiles.js');
+
+function tileBlock(z, x, y, size) {
+  const tiles = [];
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      tiles.push({ z, x: x + dx, y: y + dy });
+    }
+  }
+  return tiles;
+}
+
+let address = 0;
+
+// Batch body per tile next to the matching single tile bodies. Each call
+// comes from its own address so the rate limiter stays out of the way.
+async function renderBoth(tiles, query = {}) {
+  const batch = await call(batchHandler, {
+    query: { ...query, tiles: tiles.map(({ z, x, y }) => `${z}/${x}/${y}`).join(',') },
+    address: `10.0.0.${++address}`
+  });
+  expect(batch.statusCode).toBe(200);
+
+  const singles = {};
+  for (const { z, x, y } of tiles) {
+    const res = await call(tileHandler, {
+      query: { ...query, z: String(z), x: String(x), y: String(y) },
+      address: `10.0.1.${++address}`
+    });
+    expect(res.statusCode).toBe(200);
+    singles[`${z}/${x}/${y}`] = JSON.parse(res.body.toString());
+  }
+
+  // Both bodies as a client sees them, after JSON serialisation
+  return { batch: JSON.parse(JSON.stringify(batch.body.tiles)), singles };
+}
+
+describe('batch tiles', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('log nothing per tile or batch', async () => {
+    console.log.mockClear();
+    await renderBoth(tileBlock(11, 1022, 680, 2), {});
+
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['plain tiles', 11, 1022, 680, {}],
+    ['buffered tiles', 11, 1022, 680, { buffer: '1' }],
+    ['merged tiles', 6, 31, 20, { merge: '1' }],
+    ['demo tiles', 9, 254, 169, { demo: '1' }]
+  ])('match single tiles for %s', async (_, z, x, y, query) => {
+    const tiles = tileBlock(z, x, y, 2);
+    const { batch, singles } = await renderBoth(tiles, query);
+
+    expect(Object.keys(batch)).toEqual(Object.keys(singles));
+    for (const [key, body] of Object.entries(singles)) {
+      expect(batch[key]).toEqual(body);
+    }
+    expect(Object.values(singles).some(body => body.features.length)).toBe(true);
+  });
+
+  it('match single tiles when the batch falls back to populated cells', async () => {
+    const tiles = tileBlock(8, 126, 84, 4);
+    const level = ZOOM_TO_H3[8];
+
+    expect(estimateTileCells(tiles, level)).toBeGreaterThan(POLYFILL_MAX_CELLS);
+    expect(estimateTileCells(tiles.slice(0, 1), level)).toBeLessThanOrEqual(POLYFILL_MAX_CELLS);
+
+    queryPopulatedCells.mockClear();
+    const { batch, singles } = await renderBoth(tiles);
+
+    expect(queryPopulatedCells).toHaveBeenCalledTimes(1);
+    for (const [key, body] of Object.entries(singles)) {
+      expect(batch[key]).toEqual(body);
+    }
+  });
+
+  it('query the database once per batch', async () => {
+    queryCellData.mockClear();
+    await call(batchHandler, { query: { tiles: '11/1022/680,11/1023/680,11/1022/681' }, address: '10.0.2.1' });
+
+    expect(queryCellData).toHaveBeenCalledTimes(1);
+  });
+
+  it('spend one rate-limit token per tile', async () => {
+    setRateLimitStore(createMemoryStore());
+    const tiles = tileBlock(11, 1022, 680, 8).map(({ z, x, y }) => `${z}/${x}/${y}`);
+
+    try {
+      const first = await call(batchHandler, { query: { tiles: tiles.join(',') }, address: '10.0.2.2' });
+      expect(first.statusCode).toBe(200);
+      expect(first.headers['ratelimit-remaining']).toBe(String(100 - tiles.length));
+
+      const second = await call(batchHandler, { query: { tiles: tiles.join(','), buffer: '1' }, address: '10.0.2.2' });
+      expect(second.statusCode).toBe(429);
+      expect(second.body.code).toBe('RATE_LIMITED');
+    } finally {
+      setRateLimitStore(null);
+    }
+  });
+});
+
+describe('batch tiles with a PMTiles archive', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-archive-'));
+  const file = path.join(dir, 'tiles.pmtiles');
+  const env = process.env.PMTILES_PATH;
+  // The archive covers the top row of the block below; its one stored tile
+  // has a body the database would never produce
+  const [topLeft, topRight] = tileBlock(11, 1022, 680, 2);
+  const archived = { type: 'FeatureCollection', metric: 'median_price', source: 'all', features: [
+    { type: 'Feature', geometry: null, properties: { h3_index: 'archived' } }
+  ] };
+
+  beforeAll(async () => {
+    const [west, south] = tileToBBox(11, topLeft.x, topLeft.y);
+    const [, , east, north] = tileToBBox(11, topRight.x, topRight.y);
+    const writer = createArchiveWriter(`${file}.tmp`);
+    writer.addTile(tileId(11, topLeft.x, topLeft.y), compress(Buffer.from(JSON.stringify(archived)), COMPRESSION.GZIP));
+
+    await writer.finish(file, {
+      metadata: {
+        dataset_version: 'archive-v1',
+        options: { bbox: [west, south, east, north], filters: parseTileFilters({}).filters, buffered: false, merged: false }
+      },
+      tileType: TILE_TYPE.UNKNOWN,
+      tileCompression: COMPRESSION.GZIP,
+      minZoom: 11,
+      maxZoom: 11,
+      bounds: [west, south, east, north],
+      center: [(west + east) / 2, (south + north) / 2, 11]
+    });
+    process.env.PMTILES_PATH = file;
+  });
+
+  afterAll(async () => {
+    await closeTileArchive();
+    if (env === undefined) delete process.env.PMTILES_PATH;
+    else process.env.PMTILES_PATH = env;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('read covered tiles from the archive, like single tiles', async () => {
+    const tiles = tileBlock(11, 1022, 680, 2);
+    const { batch, singles } = await renderBoth(tiles);
+
+    for (const [key, body] of Object.entries(singles)) {
+      expect(batch[key]).toEqual(body);
+    }
+    expect(batch['11/1022/680']).toEqual(archived);
+    expect(batch['11/1023/680'].features).toEqual([]);
+  });
+
+  it('report the archive version, and the database one for tiles it does not cover', async () => {
+    queryCellData.mockClear();
+    const covered = await call(batchHandler, { query: { tiles: '11/1022/680,11/1023/680' }, address: '10.0.3.1' });
+
+    expect(covered.headers['x-data-source']).toBe('pmtiles');
+    expect(covered.headers['x-dataset-version']).toBe('archive-v1');
+    expect(queryCellData).not.toHaveBeenCalled();
+
+    const mixed = await call(batchHandler, { query: { tiles: '11/1022/680,11/1022/681' }, address: '10.0.3.2' });
+
+    expect(mixed.headers['x-data-source']).toBe('pmtiles, database');
+    expect(mixed.headers['x-dataset-version']).toBe('archive-v1, test');
+    expect(mixed.headers.etag).not.toBe(covered.headers.etag);
+  });
+});
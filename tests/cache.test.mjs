@@ -0,0 +1,56 @@
+import { cacheControlFor, tileCacheControl, tileCacheTTL, unavailableCacheControl } from '../vercel-tiles/lib/cache.js';
+import { TILE_CACHE_TTL } from '../vercel-tiles/lib/config.js';
+import { createETag } from '../vercel-tiles/lib/etag.js';
+
+describe('cacheControlFor', () => {
+  it('caps the browser lifetime at an hour, not the CDN lifetime', () => {
+    expect(cacheControlFor(TILE_CACHE_TTL.LOW_ZOOM)).toBe(
+      `public, max-age=3600, s-maxage=${TILE_CACHE_TTL.LOW_ZOOM}, ` +
+      `stale-while-revalidate=${TILE_CACHE_TTL.LOW_ZOOM}`
+    );
+  });
+
+  it('never lets browsers outlive a short CDN lifetime', () => {
+    expect(cacheControlFor(60)).toBe('public, max-age=60, s-maxage=60, stale-while-revalidate=60');
+  });
+});
+
+describe('tileCacheControl', () => {
+  it('uses the zoom band lifetime', () => {
+    expect(tileCacheTTL(0)).toBe(TILE_CACHE_TTL.LOW_ZOOM);
+    expect(tileCacheTTL(6)).toBe(TILE_CACHE_TTL.LOW_ZOOM);
+    expect(tileCacheTTL(7)).toBe(TILE_CACHE_TTL.MID_ZOOM);
+    expect(tileCacheTTL(12)).toBe(TILE_CACHE_TTL.MID_ZOOM);
+    expect(tileCacheTTL(13)).toBe(TILE_CACHE_TTL.HIGH_ZOOM);
+    expect(tileCacheControl(14)).toBe(cacheControlFor(TILE_CACHE_TTL.HIGH_ZOOM));
+  });
+
+  it('shortens empty and degraded tiles', () => {
+    expect(tileCacheControl(3, { empty: true })).toBe(cacheControlFor(TILE_CACHE_TTL.EMPTY));
+    expect(tileCacheControl(3, { degraded: true })).toBe(cacheControlFor(TILE_CACHE_TTL.DEGRADED));
+    expect(tileCacheControl(3, { empty: true, degraded: true })).toBe(cacheControlFor(TILE_CACHE_TTL.DEGRADED));
+  });
+
+  it('follows the documented policy', () => {
+    const sMaxAge = zoom => Number(/s-maxage=(\d+)/.exec(tileCacheControl(zoom))[1]);
+
+    expect([0, 8, 16].map(sMaxAge)).toEqual([7 * 24 * 3600, 24 * 3600, 3600]);
+    expect(TILE_CACHE_TTL.EMPTY).toBe(15 * 60);
+    expect(TILE_CACHE_TTL.DEGRADED).toBe(60);
+  });
+});
+
+describe('createETag', () => {
+  it('changes with the dataset version, so revalidation picks up new ETL runs', () => {
+    const tile = { z: 4, x: 7, y: 5, format: 'mvt' };
+
+    expect(createETag('20240601T020000-42', tile)).toBe(createETag('20240601T020000-42', tile));
+    expect(createETag('20240608T020000-43', tile)).not.toBe(createETag('20240601T020000-42', tile));
+  });
+});
+
+describe('unavailableCacheControl', () => {
+  it('lets only the CDN hold an outage response, briefly', () => {
+    expect(unavailableCacheControl()).toBe(`public, max-age=0, s-maxage=${TILE_CACHE_TTL.DEGRADED}`);
+  });
+});
@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { createPool } from './helpers/db.mjs';
+import priceHistogram from '../scripts/price_histogram.js';
+
+const { buildHistogram } = priceHistogram;
+
+const cell = h3.latLngToCell(51.4524, -0.1773, 7);
+const sales = buildHistogram([200000, 300000, 400000]);
+const breakpoints = Array.from({ length: 99 }, (_, i) => 100000 + i * 5000);
+
+const pool = createPool(sql => {
+  if (sql.includes('FROM heatmap_percentiles')) {
+    return [{ country_code: 'GB', breakpoints }];
+  }
+  if (sql.includes('FROM heatmap_cell_periods') || sql.includes('JOIN heatmap_cell_periods')) {
+    return [{ h3_index: cell, country_code: 'GB', bins: sales.bins, counts: sales.counts, last_seen: new Date() }];
+  }
+  return [{ h3_index: cell, price: '551093.5', count: '72', confidence: '0.28', value: '0.55' }];
+});
+
+jest.unstable_mockModule('../vercel-tiles/lib/db.js', () => ({ pool }));
+
+const { queryCellData } = await import('../vercel-tiles/lib/cellData.js');
+const { parseTileFilters } = await import('../vercel-tiles/lib/filters.js');
+
+const filtersFor = query => parseTileFilters(query).filters;
+
+describe('queryCellData', () => {
+  beforeEach(() => pool.reset());
+
+  it('reads all-time values from the aggregated view', async () => {
+    const cells = await queryCellData([cell], 7, filtersFor({}));
+
+    expect(pool.queries).toHaveLength(1);
+    expect(pool.queries[0].sql).toContain('FROM heatmap_aggregated');
+    expect(cells).toEqual([{ h3_index: cell, price: 551093.5, count: 72, confidence: 0.28, value: 0.55 }]);
+  });
+
+  it('filters the period buckets by property type, tenure and new-build flag', async () => {
+    await queryCellData([cell], 7, filtersFor({ type: 'flat,terraced', tenure: 'leasehold', new: 'false' }));
+
+    const [{ sql, params }] = pool.queries;
+    expect(sql).toContain('heatmap_cell_periods');
+    expect(params.slice(2, 9)).toEqual([
+      'median_price', 'all', null, null, ['flat', 'terraced'], ['leasehold'], false
+    ]);
+  });
+
+  it('leaves dimensions without a filter open', async () => {
+    await queryCellData([cell], 7, filtersFor({ new: 'true' }));
+
+    expect(pool.queries[0].params.slice(6, 9)).toEqual([null, null, true]);
+  });
+
+  it('recomputes the median from the merged histograms', async () => {
+    const [result] = await queryCellData([cell], 7, filtersFor({ type: 'detached' }));
+
+    expect(result.count).toBe(3);
+    expect(Math.abs(result.price - 300000) / 300000).toBeLessThan(0.04);
+    // Normalised against the all-time breakpoints of the level: 300k sits
+    // about 40% of the way up
+    expect(result.value).toBeCloseTo(0.4, 1);
+    expect(pool.queries[1].params).toEqual([7, 'median_price', 'all']);
+  });
+});
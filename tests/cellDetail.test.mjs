@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+import { createPool } from './helpers/db.mjs';
+
+const cell = h3.latLngToCell(51.4524, -0.1773, 7);
+const empty = h3.latLngToCell(55.9533, -3.1883, 7);
+
+const pool = createPool((sql, params) => {
+  if (params[0] === empty) return [];
+  if (sql.includes('FROM heatmap_aggregated')) {
+    return ['all', 'uk_land_registry'].map(source => ({
+      h3_level: 7,
+      country_code: 'GB',
+      region: 'WANDSWORTH',
+      metric_source: source,
+      weighted_metric: '551093.5',
+      tx_count: '72',
+      avg_confidence: '0.28',
+      normalized_value: '0.55',
+      last_update: '2024-11-10T00:00:00.000Z',
+      freshness: 'stale'
+    }));
+  }
+  if (sql.includes('MIN(first_seen)')) {
+    return [{ first_seen: '2022-03-10T00:00:00.000Z', last_seen: '2024-11-10T00:00:00.000Z' }];
+  }
+  if (sql.includes('b.bin')) {
+    return [{ bin: 300, n: 10 }, { bin: 400, n: 20 }, { bin: 500, n: 10 }];
+  }
+  return [{ year: 2023, count: '23' }, { year: 2024, count: '21' }];
+});
+
+jest.unstable_mockModule('../vercel-tiles/lib/db.js', () => ({ pool }));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => 'test' }));
+
+const { default: handler } = await import('../vercel-tiles/api/cells/[h3_index].js');
+
+let address = 0;
+const get = query => call(handler, { query, address: `10.1.0.${++address}` });
+
+describe('GET /api/cells/{h3_index}', () => {
+  it('rejects an invalid index with 400', async () => {
+    const res = await get({ h3_index: 'not-a-cell' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_PARAMETERS');
+  });
+
+  it('rejects period and property filters with 400', async () => {
+    const res = await get({ h3_index: cell, from: '2024-01' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_PARAMETERS');
+  });
+
+  it('answers 404 for a cell without data', async () => {
+    const res = await get({ h3_index: empty });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+    expect(res.headers['cache-control']).toMatch(/s-maxage=/);
+  });
+
+  it('returns the region, sources, quartiles, yearly counts and links', async () => {
+    const res = await get({ h3_index: cell.toUpperCase() });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.etag).toBeDefined();
+    expect(res.body).toEqual(expect.objectContaining({
+      h3_index: cell,
+      h3_level: 7,
+      country_code: 'GB',
+      region: 'WANDSWORTH',
+      metric: 'median_price',
+      source: 'all',
+      transactions_by_year: [{ year: 2023, count: 23 }, { year: 2024, count: 21 }],
+      first_seen: '2022-03-10T00:00:00.000Z',
+      last_seen: '2024-11-10T00:00:00.000Z',
+      dataset_version: 'test'
+    }));
+    expect(res.body.sources.map(source => source.source)).toEqual(['all', 'uk_land_registry']);
+    expect(res.body.sources[1]).toEqual(expect.objectContaining({ price: 551093.5, count: 72 }));
+    expect(res.body.quartiles.median).toBeGreaterThan(res.body.quartiles.q1);
+    expect(res.body.quartiles.q3).toBeGreaterThan(res.body.quartiles.median);
+    expect(res.body.freshness.status).toBe('stale');
+    expect(res.body.links.parent.h3_index).toBe(h3.cellToParent(cell, 6));
+    expect(res.body.links.children).toHaveLength(7);
+  });
+
+  it('answers 304 when the ETag matches', async () => {
+    const first = await get({ h3_index: cell });
+    const res = await call(handler, {
+      query: { h3_index: cell },
+      headers: { 'if-none-match': first.headers.etag },
+      address: '10.1.1.1'
+    });
+
+    expect(res.statusCode).toBe(304);
+  });
+});
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+
+// Demo tiles must never touch the database
+const unavailable = async () => { throw new Error('database used in demo mode'); };
+jest.unstable_mockModule('../vercel-tiles/lib/cellData.js', () => ({
+  queryCellData: unavailable,
+  queryPopulatedCells: unavailable
+}));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: unavailable }));
+
+const { demoCellProperties, demoDeltaProperties, isDemoMode } = await import('../vercel-tiles/lib/demo.js');
+const { mergeCellsByBucket } = await import('../vercel-tiles/lib/simplify.js');
+const { TILE_CACHE_TTL } = await import('../vercel-tiles/lib/config.js');
+const { default: tileHandler } = await import('../vercel-tiles/api/tiles/[z]/[x]/[y].js');
+
+const cells = h3.gridDisk(h3.latLngToCell(51.5, -0.12, 7), 2);
+
+describe('isDemoMode', () => {
+  const env = process.env.TILES_DEMO_MODE;
+
+  afterEach(() => {
+    if (env === undefined) delete process.env.TILES_DEMO_MODE;
+    else process.env.TILES_DEMO_MODE = env;
+  });
+
+  it('is off unless asked for', () => {
+    delete process.env.TILES_DEMO_MODE;
+
+    expect(isDemoMode({ query: {} })).toBe(false);
+    expect(isDemoMode({ query: { demo: '0' } })).toBe(false);
+  });
+
+  it('is turned on by ?demo or TILES_DEMO_MODE', () => {
+    delete process.env.TILES_DEMO_MODE;
+    expect(isDemoMode({ query: { demo: '1' } })).toBe(true);
+    expect(isDemoMode({ query: { demo: 'TRUE' } })).toBe(true);
+
+    process.env.TILES_DEMO_MODE = 'yes';
+    expect(isDemoMode({ query: {} })).toBe(true);
+  });
+});
+
+describe('demo properties', () => {
+  it('are the same for a cell on every call and marked as demo', () => {
+    for (const cell of cells) {
+      expect(demoCellProperties(cell)).toEqual(demoCellProperties(cell));
+      expect(demoDeltaProperties(cell)).toEqual(demoDeltaProperties(cell));
+      expect(demoCellProperties(cell).demo).toBe(true);
+      expect(demoDeltaProperties(cell).demo).toBe(true);
+    }
+  });
+
+  it('differ between cells and stay in range', () => {
+    const values = cells.map(cell => demoCellProperties(cell).value);
+
+    expect(new Set(values).size).toBe(cells.length);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+
+  it('stay marked when merged', () => {
+    const demoCells = cells.map(cell => ({ h3_index: cell, ...demoCellProperties(cell) }));
+    const merged = mergeCellsByBucket(demoCells, '6/31/20');
+
+    expect(merged.length).toBeGreaterThan(0);
+    expect(merged.every(feature => feature.properties.demo === true)).toBe(true);
+
+    const real = demoCells.map(({ demo, ...cell }) => cell);
+    expect(mergeCellsByBucket(real, '6/31/20').some(feature => 'demo' in feature.properties)).toBe(false);
+  });
+});
+
+describe('demo tiles', () => {
+  it.each([
+    ['hexagons', 9, 254, 169, {}],
+    ['merged cells', 6, 31, 20, { merge: '1' }],
+    ['deltas', 9, 254, 169, { compare: '2023-01:2024-01' }]
+  ])('mark every feature of %s as demo data', async (_, z, x, y, query) => {
+    const res = await call(tileHandler, {
+      query: { ...query, demo: '1', z: String(z), x: String(x), y: String(y) }
+    });
+    const body = JSON.parse(res.body.toString());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-data-source']).toBe('demo');
+    expect(res.headers['x-dataset-version']).toBe('demo');
+    expect(res.headers['cache-control']).toContain(`s-maxage=${TILE_CACHE_TTL.DEGRADED}`);
+    expect(body.features.length).toBeGreaterThan(0);
+    expect(body.features.every(feature => feature.properties.demo === true)).toBe(true);
+  });
+});
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import epcMatch from '../scripts/epc_match.js';
+
+const {
+  MATCH_FAILURES,
+  postcodeKey,
+  epcFiles,
+  loadCertificates,
+  matchFloorArea,
+  createMatchReport,
+  recordMatch,
+  summarizeMatchReport
+} = epcMatch;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epc-'));
+
+// Bulk downloads unzip into one folder per local authority
+fs.mkdirSync(path.join(dir, 'domestic-E09000032-Wandsworth'));
+fs.writeFileSync(path.join(dir, 'domestic-E09000032-Wandsworth', 'certificates.csv'), [
+  'LMK_KEY,ADDRESS1,ADDRESS2,ADDRESS3,POSTCODE,TOTAL_FLOOR_AREA,LODGEMENT_DATE',
+  '1,"Flat 2, Rose Court",12 Acre Lane,,SW2 5SG,48.5,2015-04-01',
+  '2,"Flat 2, Rose Court",12 Acre Lane,,SW2 5SG,51,2021-09-14',
+  '3,"Flat 3, Rose Court",12 Acre Lane,,SW2 5SG,62,2019-01-01',
+  '4,Rose Cottage,Church Road,,SW2 5SH,95.2,2018-06-30',
+  '5,14 Acre Lane,,,SW2 5SG,5,2018-06-30',
+  '6,1 Elsewhere Street,,,N1 1AA,80,2018-06-30'
+].join('\n'));
+fs.writeFileSync(path.join(dir, 'domestic-E09000032-Wandsworth', 'recommendations.csv'), [
+  'LMK_KEY,IMPROVEMENT_ITEM,IMPROVEMENT_SUMMARY_TEXT',
+  '1,1,Increase loft insulation'
+].join('\n'));
+// API exports use lower-case, hyphenated headers and one address column
+fs.writeFileSync(path.join(dir, 'api-export.csv'), [
+  'lmk-key,address,postcode,total-floor-area,lodgement-date',
+  '7,"16A Acre Lane",sw25sg,70,2020-02-02'
+].join('\n'));
+
+const postcodes = new Set(['SW25SG', 'SW25SH']);
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadCertificates', () => {
+  it('finds certificate files in nested folders', () => {
+    expect(epcFiles(dir).map(file => path.basename(file)).sort())
+      .toEqual(['api-export.csv', 'certificates.csv', 'recommendations.csv']);
+  });
+
+  it('keeps plausible certificates for the wanted postcodes from both header styles', async () => {
+    const result = await loadCertificates(dir, postcodes);
+
+    expect(result).toEqual(expect.objectContaining({ files: 2, rows: 7, kept: 5, invalidArea: 1 }));
+    expect([...result.certificates.keys()].sort()).toEqual(['SW25SG', 'SW25SH']);
+    expect(result.certificates.get('SW25SG').map(certificate => certificate.floorArea).sort((a, b) => a - b))
+      .toEqual([48.5, 51, 62, 70]);
+  });
+});
+
+describe('matchFloorArea', () => {
+  let certificates;
+
+  beforeAll(async () => {
+    ({ certificates } = await loadCertificates(dir, postcodes));
+  });
+
+  it('matches flats by number, building name and street, newest certificate first', () => {
+    expect(matchFloorArea(certificates, { postcode: 'SW2 5SG', paon: 'ROSE COURT, 12', saon: 'FLAT 2', street: 'ACRE LANE' }))
+      .toEqual({ floorArea: 51 });
+    // Price Paid often leaves out the "FLAT" that assessors write
+    expect(matchFloorArea(certificates, { postcode: 'sw25sg', paon: '12 ROSE COURT', saon: '3', street: 'Acre Lane' }))
+      .toEqual({ floorArea: 62 });
+  });
+
+  it('matches named houses and lettered numbers', () => {
+    expect(matchFloorArea(certificates, { postcode: 'SW2 5SH', paon: 'ROSE COTTAGE', saon: '', street: 'CHURCH ROAD' }))
+      .toEqual({ floorArea: 95.2 });
+    expect(matchFloorArea(certificates, { postcode: 'SW2 5SG', paon: '16A', saon: '', street: 'ACRE LANE' }))
+      .toEqual({ floorArea: 70 });
+  });
+
+  it('needs exactly the same numbers and every name', () => {
+    const miss = { reason: MATCH_FAILURES.NO_ADDRESS_MATCH };
+
+    expect(matchFloorArea(certificates, { postcode: 'SW2 5SG', paon: '12', saon: '', street: 'ACRE LANE' })).toEqual(miss);
+    expect(matchFloorArea(certificates, { postcode: 'SW2 5SG', paon: '16', saon: '', street: 'ACRE LANE' })).toEqual(miss);
+    expect(matchFloorArea(certificates, { postcode: 'SW2 5SG', paon: '12 ROSE COURT', saon: '2', street: 'HIGH STREET' }))
+      .toEqual(miss);
+  });
+
+  it('reports postcodes without certificates', () => {
+    expect(matchFloorArea(certificates, { postcode: 'N1 1AA', paon: '1', saon: '', street: 'ELSEWHERE STREET' }))
+      .toEqual({ reason: MATCH_FAILURES.NO_CERTIFICATES });
+  });
+});
+
+describe('match report', () => {
+  it('counts matches and failures overall and per property type', () => {
+    const report = createMatchReport();
+    recordMatch(report, 'flat', { floorArea: 51 });
+    recordMatch(report, 'flat', { reason: MATCH_FAILURES.NO_ADDRESS_MATCH });
+    recordMatch(report, 'flat', { floorArea: 62 });
+    recordMatch(report, 'detached', { reason: MATCH_FAILURES.NO_CERTIFICATES });
+
+    expect(summarizeMatchReport(report)).toEqual({
+      transactions: 4,
+      matched: 2,
+      match_rate: 0.5,
+      failures: { no_certificates: 1, no_address_match: 1 },
+      by_type: {
+        flat: { transactions: 3, matched: 2, match_rate: 0.667 },
+        detached: { transactions: 1, matched: 0, match_rate: 0 }
+      }
+    });
+  });
+
+  it('has no rate before any transactions', () => {
+    expect(summarizeMatchReport(createMatchReport()).match_rate).toBeNull();
+  });
+});
+
+describe('postcodeKey', () => {
+  it('matches the postcode lookup keys', () => {
+    expect(postcodeKey(' sw2 5sg ')).toBe('SW25SG');
+    expect(postcodeKey(undefined)).toBe('');
+  });
+});
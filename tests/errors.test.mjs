@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call, mockResponse } from './helpers/http.mjs';
+import { createPool } from './helpers/db.mjs';
+
+let failure = null;
+const pool = createPool(() => {
+  throw failure;
+});
+
+jest.unstable_mockModule('../vercel-tiles/lib/db.js', () => ({ pool }));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => 'test' }));
+
+const { ApiError, databaseError, isDatabaseError, sendError } = await import('../vercel-tiles/lib/errors.js');
+const handlers = {
+  cells: (await import('../vercel-tiles/api/cells/[h3_index].js')).default,
+  stats: (await import('../vercel-tiles/api/stats.js')).default,
+  search: (await import('../vercel-tiles/api/search.js')).default,
+  tilejson: (await import('../vercel-tiles/api/tilejson.js')).default
+};
+
+const pgError = (code, message = 'pg failure') => Object.assign(new Error(message), { code });
+
+describe('databaseError', () => {
+  it('maps statement timeouts onto TIMEOUT', () => {
+    expect(databaseError(pgError('57014')).code).toBe('TIMEOUT');
+    expect(databaseError(new Error('Query read timeout')).code).toBe('TIMEOUT');
+  });
+
+  it('maps connection and server failures onto DB_UNAVAILABLE', () => {
+    for (const error of [
+      pgError('ECONNREFUSED'),
+      pgError('08006'),
+      pgError('53300'),
+      new Error('Connection terminated unexpectedly'),
+      new Error('timeout exceeded when trying to connect')
+    ]) {
+      expect(isDatabaseError(error)).toBe(true);
+      expect(databaseError(error).code).toBe('DB_UNAVAILABLE');
+    }
+  });
+
+  it('reports bugs as INTERNAL_ERROR', () => {
+    for (const error of [
+      new TypeError("Cannot read properties of undefined (reading 'rows')"),
+      Object.assign(new Error('Cell argument was not valid'), { code: 5 }),
+      pgError('ENOENT'),
+      pgError('EBADF')
+    ]) {
+      expect(isDatabaseError(error)).toBe(false);
+      expect(databaseError(error).code).toBe('INTERNAL_ERROR');
+    }
+  });
+
+  it('passes API errors through', () => {
+    const error = new ApiError('AREA_TOO_LARGE');
+    expect(databaseError(error)).toBe(error);
+  });
+});
+
+describe('sendError', () => {
+  it('sends 503s with a short CDN lifetime and Retry-After', () => {
+    const res = sendError(mockResponse(), databaseError(pgError('57014')));
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body).toEqual({ error: 'Query timed out', code: 'TIMEOUT', message: 'The database query took too long' });
+    expect(res.headers['retry-after']).toBe('60');
+  });
+
+  it('sends anything else as an uncached 500', () => {
+    const res = sendError(mockResponse(), new TypeError('boom'));
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('INTERNAL_ERROR');
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.headers['retry-after']).toBeUndefined();
+  });
+});
+
+describe('handler failures', () => {
+  const requests = {
+    cells: { query: { h3_index: h3.latLngToCell(51.5, -0.12, 7) } },
+    stats: { query: { bbox: '-0.13,51.50,-0.12,51.51' } },
+    search: { query: { q: 'SW1A 1AA' } },
+    tilejson: { query: {}, headers: { host: 'tiles.test' } }
+  };
+  let address = 0;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+  });
+
+  it.each(Object.keys(requests))('%s answers 503 for a database failure', async name => {
+    failure = pgError('57014');
+    const res = await call(handlers[name], { ...requests[name], address: `10.2.0.${++address}` });
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('TIMEOUT');
+  });
+
+  it.each(Object.keys(requests))('%s answers 500 for a bug', async name => {
+    failure = new TypeError("Cannot read properties of undefined (reading 'rows')");
+    const res = await call(handlers[name], { ...requests[name], address: `10.2.1.${++address}` });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('INTERNAL_ERROR');
+  });
+});
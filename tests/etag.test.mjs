@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+
+let datasetVersion = '20240601T020000-42';
+const queryCellData = jest.fn(async cells => cells.slice(0, 3).map(cell => ({
+  h3_index: cell, price: 250000, count: 4, confidence: 0.5, value: 0.5
+})));
+
+jest.unstable_mockModule('../vercel-tiles/lib/cellData.js', () => ({
+  queryCellData,
+  queryPopulatedCells: async (parents, level) => parents.flatMap(parent => h3.cellToChildren(parent, level))
+}));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => datasetVersion }));
+
+const { createETag, isNotModified } = await import('../vercel-tiles/lib/etag.js');
+const { default: tileHandler } = await import('../vercel-tiles/api/tiles/[z]/[x]/[y].js');
+
+let address = 0;
+const getTile = (query, headers = {}) => call(tileHandler, {
+  query: { z: '11', x: '1022', y: '680', ...query },
+  headers,
+  address: `10.3.0.${++address}`
+});
+
+describe('createETag', () => {
+  const tile = { z: 11, x: 1022, y: 680, format: 'geojson', filters: { metric: 'median_price', source: 'all' } };
+
+  it('is a quoted strong validator led by the dataset version', () => {
+    expect(createETag('20240601T020000-42', tile)).toMatch(/^"20240601T020000-42-[\w-]{16}"$/);
+  });
+
+  it('changes with anything that shapes the body', () => {
+    const etag = createETag('v1', tile);
+
+    expect(createETag('v1', { ...tile, x: 1023 })).not.toBe(etag);
+    expect(createETag('v1', { ...tile, format: 'mvt' })).not.toBe(etag);
+    expect(createETag('v1', { ...tile, filters: { ...tile.filters, types: ['flat'] } })).not.toBe(etag);
+  });
+});
+
+describe('isNotModified', () => {
+  const etag = '"v1-abc"';
+  const request = header => ({ headers: header === undefined ? {} : { 'if-none-match': header } });
+
+  it('matches the ETag in a list, ignoring weak prefixes', () => {
+    expect(isNotModified(request('"v1-abc"'), etag)).toBe(true);
+    expect(isNotModified(request('"v0-xyz", W/"v1-abc"'), etag)).toBe(true);
+    expect(isNotModified(request('*'), etag)).toBe(true);
+  });
+
+  it('does not match other or missing validators', () => {
+    expect(isNotModified(request(), etag)).toBe(false);
+    expect(isNotModified(request('"v1-abd"'), etag)).toBe(false);
+    expect(isNotModified({}, etag)).toBe(false);
+  });
+});
+
+describe('conditional tile requests', () => {
+  beforeEach(() => {
+    datasetVersion = '20240601T020000-42';
+    queryCellData.mockClear();
+  });
+
+  it('answer 304 without a body, a query or a rate-limit token', async () => {
+    const first = await getTile({});
+    queryCellData.mockClear();
+
+    const again = await getTile({}, { 'if-none-match': first.headers.etag });
+
+    expect(first.statusCode).toBe(200);
+    expect(first.headers['x-dataset-version']).toBe(datasetVersion);
+    expect(first.headers['ratelimit-remaining']).toBeDefined();
+    expect(again.statusCode).toBe(304);
+    expect(again.body).toBeUndefined();
+    expect(again.headers.etag).toBe(first.headers.etag);
+    expect(again.headers['ratelimit-remaining']).toBeUndefined();
+    expect(queryCellData).not.toHaveBeenCalled();
+  });
+
+  it('give different tiles, formats and filters their own ETag', async () => {
+    const etags = await Promise.all([
+      getTile({}),
+      getTile({ x: '1023' }),
+      getTile({ format: 'pbf' }),
+      getTile({ type: 'flat' }),
+      getTile({ buffer: '1' })
+    ]);
+
+    expect(new Set(etags.map(res => res.headers.etag)).size).toBe(etags.length);
+  });
+
+  it('send the tile again once a new ETL run completes', async () => {
+    const first = await getTile({});
+    datasetVersion = '20240608T020000-43';
+
+    const res = await getTile({}, { 'if-none-match': first.headers.etag });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.etag).not.toBe(first.headers.etag);
+    expect(res.headers['x-dataset-version']).toBe('20240608T020000-43');
+  });
+});
@@ -0,0 +1,102 @@
+import { parseCompare, parsePeriod, parseTileFilters } from '../vercel-tiles/lib/filters.js';
+
+describe('parsePeriod', () => {
+  it('reads years, months and quarters as first and last month', () => {
+    expect(parsePeriod('2024')).toEqual({ start: { year: 2024, month: 0 }, end: { year: 2024, month: 11 } });
+    expect(parsePeriod('2024-03')).toEqual({ start: { year: 2024, month: 2 }, end: { year: 2024, month: 2 } });
+    expect(parsePeriod('2024-Q2')).toEqual({ start: { year: 2024, month: 3 }, end: { year: 2024, month: 5 } });
+    expect(parsePeriod('2024-q4')).toEqual({ start: { year: 2024, month: 9 }, end: { year: 2024, month: 11 } });
+  });
+
+  it.each(['', '24', '2024-13', '2024-00', '2024-Q5', '2024-3', '2024/03', 'last year'])(
+    'rejects %p',
+    value => expect(parsePeriod(value)).toBeNull()
+  );
+});
+
+describe('parseCompare', () => {
+  it('turns both periods into [from, to) month ranges', () => {
+    expect(parseCompare('2019:2024')).toEqual({
+      compare: {
+        before: { from: '2019-01-01', to: '2020-01-01' },
+        after: { from: '2024-01-01', to: '2025-01-01' }
+      }
+    });
+    expect(parseCompare('2023-Q4 : 2024-12')).toEqual({
+      compare: {
+        before: { from: '2023-10-01', to: '2024-01-01' },
+        after: { from: '2024-12-01', to: '2025-01-01' }
+      }
+    });
+  });
+
+  it('accepts back-to-back periods', () => {
+    expect(parseCompare('2023:2024').compare).toBeDefined();
+  });
+
+  it.each(['2024', '2019:2024:2025', '2019:', 'x:2024', '2024:2019', '2024:2024-06'])(
+    'rejects %p',
+    value => expect(parseCompare(value).error).toEqual(expect.any(String))
+  );
+});
+
+describe('parseTileFilters', () => {
+  it('defaults to the blended median price', () => {
+    expect(parseTileFilters({})).toEqual({ filters: { metric: 'median_price', source: 'all' } });
+  });
+
+  it('reads metric and source case-insensitively', () => {
+    expect(parseTileFilters({ metric: 'PRICE_PER_SQM', source: 'UK_Land_Registry' }).filters)
+      .toEqual({ metric: 'price_per_sqm', source: 'uk_land_registry' });
+  });
+
+  it('rejects unknown metrics and sources', () => {
+    expect(parseTileFilters({ metric: 'rent' }).error).toMatch(/Unknown metric 'rent'/);
+    expect(parseTileFilters({ source: 'zoopla' }).error).toMatch(/Unknown source 'zoopla'/);
+  });
+
+  it('stores from as its first month and to as the month after its end', () => {
+    expect(parseTileFilters({ from: '2023-11', to: '2024' }).filters).toEqual(expect.objectContaining({
+      from: '2023-11-01',
+      to: '2025-01-01'
+    }));
+    expect(parseTileFilters({ to: '2024-Q1' }).filters.to).toBe('2024-04-01');
+  });
+
+  it('rejects malformed and inverted windows', () => {
+    expect(parseTileFilters({ from: 'yesterday' }).error).toMatch(/Invalid from/);
+    expect(parseTileFilters({ to: '2024-13' }).error).toMatch(/Invalid to/);
+    expect(parseTileFilters({ from: '2024-06', to: '2024-05' }).error).toBe('from must not be after to');
+  });
+
+  it('only accepts compare where the caller allows it, and never with a window', () => {
+    expect(parseTileFilters({ compare: '2019:2024' }).error).toMatch(/only supported on tile requests/);
+    expect(parseTileFilters({ compare: '2019:2024' }, { compare: true }).filters.compare.after)
+      .toEqual({ from: '2024-01-01', to: '2025-01-01' });
+    expect(parseTileFilters({ compare: '2019:2024', from: '2020' }, { compare: true }).error)
+      .toMatch(/cannot be combined with from or to/);
+    expect(parseTileFilters({ compare: '2024:2019' }, { compare: true }).error)
+      .toMatch(/must end before/);
+  });
+
+  it('reads property type, tenure and new-build filters', () => {
+    expect(parseTileFilters({ type: 'Flat, terraced', tenure: 'leasehold', new: 'FALSE' }).filters)
+      .toEqual(expect.objectContaining({ types: ['flat', 'terraced'], tenures: ['leasehold'], newBuild: false }));
+    expect(parseTileFilters({ new: '' }).filters).not.toHaveProperty('newBuild');
+  });
+
+  it('rejects unknown property values', () => {
+    expect(parseTileFilters({ type: 'flat,castle' }).error).toMatch(/Unknown type 'castle'/);
+    expect(parseTileFilters({ tenure: ',' }).error).toMatch(/Unknown tenure/);
+    expect(parseTileFilters({ new: 'yes' }).error).toMatch(/Invalid new 'yes'/);
+  });
+
+  it('rejects bucket filters for gross yield, which has no period buckets', () => {
+    expect(parseTileFilters({ metric: 'gross_yield' }).filters).toEqual({ metric: 'gross_yield', source: 'all' });
+    for (const query of [{ from: '2024' }, { type: 'flat' }, { new: 'true' }]) {
+      expect(parseTileFilters({ metric: 'gross_yield', ...query }).error).toMatch(/gross_yield has no period buckets/);
+    }
+    expect(parseTileFilters({ metric: 'gross_yield', compare: '2019:2024' }, { compare: true }).error)
+      .toMatch(/gross_yield has no period buckets/);
+  });
+});
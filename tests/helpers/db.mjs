@@ -0,0 +1,16 @@
+/**
+ * Stand-in for the pg pool in lib/db.js. respond(sql, params) returns the
+ * rows for a query, or throws to fail it.
+ */
+export function createPool(respond) {
+  const pool = { queries: [] };
+
+  pool.query = async (sql, params = []) => {
+    pool.queries.push({ sql, params });
+    return { rows: await respond(sql, params) };
+  };
+  pool.connect = async () => ({ query: pool.query, release: () => {} });
+  pool.reset = () => { pool.queries = []; };
+
+  return pool;
+}
@@ -0,0 +1,30 @@
+/**
+ * Stand-ins for the Vercel request and response objects the handlers use
+ */
+
+export function mockResponse() {
+  const res = { headers: {}, statusCode: 200, body: undefined };
+
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  res.removeHeader = (name) => { delete res.headers[name.toLowerCase()]; };
+  res.getHeader = (name) => res.headers[name.toLowerCase()];
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  res.end = (body) => { res.body = body; return res; };
+
+  return res;
+}
+
+export function mockRequest({ method = 'GET', query = {}, headers = {}, body, address = '127.0.0.1' } = {}) {
+  return { method, query, headers, body, socket: { remoteAddress: address } };
+}
+
+/**
+ * Run a handler and resolve to the response it built
+ */
+export async function call(handler, request) {
+  const res = mockResponse();
+  await handler(mockRequest(request), res);
+  return res;
+}
@@ -0,0 +1,204 @@
+import { encodeTile, MVT_EXTENT, MVT_LAYER_NAME } from '../vercel-tiles/lib/mvt.js';
+import { tileToBBox } from '../vercel-tiles/lib/tiles.js';
+
+// Minimal protobuf reader: field number -> list of raw values
+function readMessage(buffer) {
+  const fields = new Map();
+  let pos = 0;
+
+  const varint = () => {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = buffer[pos++];
+      value += (byte & 0x7f) * scale;
+      scale *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (pos < buffer.length) {
+    const tag = varint();
+    const field = Math.floor(tag / 8);
+    let value;
+
+    switch (tag & 0x7) {
+      case 0:
+        value = varint();
+        break;
+      case 1:
+        value = buffer.readDoubleLE(pos);
+        pos += 8;
+        break;
+      case 2: {
+        const length = varint();
+        value = buffer.subarray(pos, pos + length);
+        pos += length;
+        break;
+      }
+      default:
+        throw new Error(`Unexpected wire type ${tag & 0x7}`);
+    }
+
+    if (!fields.has(field)) fields.set(field, []);
+    fields.get(field).push(value);
+  }
+
+  return fields;
+}
+
+function readPacked(buffer) {
+  const values = [];
+  let pos = 0;
+  while (pos < buffer.length) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = buffer[pos++];
+      value += (byte & 0x7f) * scale;
+      scale *= 0x80;
+    } while (byte & 0x80);
+    values.push(value);
+  }
+  return values;
+}
+
+function readValue(buffer) {
+  const [[field, [value]]] = readMessage(buffer);
+  if (field === 1) return value.toString('utf8');
+  if (field === 6) return value % 2 ? -(value + 1) / 2 : value / 2;
+  if (field === 7) return Boolean(value);
+  return value;
+}
+
+// Decode the single layer into { name, version, extent, features }
+function decodeTile(buffer) {
+  const layer = readMessage(readMessage(buffer).get(3)[0]);
+  const keys = (layer.get(3) || []).map(key => key.toString('utf8'));
+  const values = (layer.get(4) || []).map(readValue);
+
+  const features = (layer.get(2) || []).map(bytes => {
+    const feature = readMessage(bytes);
+    const tags = feature.has(2) ? readPacked(feature.get(2)[0]) : [];
+    const properties = {};
+    for (let i = 0; i < tags.length; i += 2) {
+      properties[keys[tags[i]]] = values[tags[i + 1]];
+    }
+    return { type: feature.get(3)[0], properties, rings: decodeRings(readPacked(feature.get(4)[0])) };
+  });
+
+  return {
+    name: layer.get(1)[0].toString('utf8'),
+    version: layer.get(15)[0],
+    extent: layer.get(5)[0],
+    values,
+    features
+  };
+}
+
+function decodeRings(commands) {
+  const unzigzag = n => (n % 2 ? -(n + 1) / 2 : n / 2);
+  const rings = [];
+  let x = 0;
+  let y = 0;
+  let i = 0;
+
+  while (i < commands.length) {
+    const id = commands[i] & 0x7;
+    const count = commands[i] >> 3;
+    i++;
+
+    if (id === 7) continue;
+    if (id === 1) rings.push([]);
+    for (let n = 0; n < count; n++) {
+      x += unzigzag(commands[i++]);
+      y += unzigzag(commands[i++]);
+      rings[rings.length - 1].push([x, y]);
+    }
+  }
+
+  return rings;
+}
+
+function signedArea(points) {
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+  }
+  return sum / 2;
+}
+
+// Square from a to b sixteenths of the way across a tile, on both axes:
+// [lng, lat] ring, counter-clockwise
+function square({ z, x, y }, a, b) {
+  const [west, , , north] = tileToBBox(z + 4, x * 16 + a, y * 16 + a);
+  const [, south, east] = tileToBBox(z + 4, x * 16 + b - 1, y * 16 + b - 1);
+  return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+
+describe('encodeTile', () => {
+  const tile = { z: 10, x: 511, y: 340 };
+
+  it('writes one version 2 layer with the default name and extent', () => {
+    const decoded = decodeTile(encodeTile([], tile));
+
+    expect(decoded.name).toBe(MVT_LAYER_NAME);
+    expect(decoded.version).toBe(2);
+    expect(decoded.extent).toBe(MVT_EXTENT);
+    expect(decoded.features).toEqual([]);
+  });
+
+  it('projects polygons into tile coordinates as clockwise exterior rings', () => {
+    const feature = {
+      properties: {},
+      geometry: { type: 'Polygon', coordinates: [square(tile, 4, 12)] }
+    };
+    const [decoded] = decodeTile(encodeTile([feature], tile)).features;
+
+    expect(decoded.type).toBe(3);
+    expect(decoded.rings).toHaveLength(1);
+    // Closing vertex is implied by ClosePath
+    expect(decoded.rings[0]).toHaveLength(4);
+    expect(signedArea(decoded.rings[0])).toBeGreaterThan(0);
+    for (const point of decoded.rings[0]) {
+      point.forEach(value => expect([1024, 3072]).toContain(value));
+    }
+  });
+
+  it('keeps holes counter-clockwise and every polygon of a MultiPolygon', () => {
+    const outer = square(tile, 2, 14);
+    const hole = square(tile, 5, 11);
+    const feature = {
+      properties: {},
+      geometry: { type: 'MultiPolygon', coordinates: [[outer, hole], [square(tile, 7, 9)]] }
+    };
+    const [decoded] = decodeTile(encodeTile([feature], tile)).features;
+
+    expect(decoded.rings.map(signedArea).map(Math.sign)).toEqual([1, -1, 1]);
+  });
+
+  it('encodes properties with shared keys and values and skips unsupported ones', () => {
+    const geometry = { type: 'Polygon', coordinates: [square(tile, 4, 12)] };
+    const features = [
+      { properties: { h3_index: '8a1fb46622dffff', price: 325000.5, count: 12, change: -3, stale: false, value: 0.5 }, geometry },
+      { properties: { h3_index: '8a1fb46622e7fff', price: null, count: 12, value: NaN, extra: { nested: true } }, geometry }
+    ];
+    const decoded = decodeTile(encodeTile(features, tile));
+
+    expect(decoded.features[0].properties).toEqual({
+      h3_index: '8a1fb46622dffff', price: 325000.5, count: 12, change: -3, stale: false, value: 0.5
+    });
+    expect(decoded.features[1].properties).toEqual({ h3_index: '8a1fb46622e7fff', count: 12 });
+    expect(decoded.values.filter(value => value === 12)).toHaveLength(1);
+  });
+
+  it('drops features that collapse to fewer than three points', () => {
+    const [west, south] = tileToBBox(tile.z, tile.x, tile.y);
+    const speck = [[west + 1e-9, south + 1e-9], [west + 2e-9, south + 1e-9], [west + 1e-9, south + 2e-9], [west + 1e-9, south + 1e-9]];
+    const decoded = decodeTile(encodeTile([{ properties: { a: 1 }, geometry: { type: 'Polygon', coordinates: [speck] } }], tile));
+
+    expect(decoded.features).toEqual([]);
+  });
+});
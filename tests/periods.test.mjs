@@ -0,0 +1,40 @@
+import h3 from 'h3-js';
+import { periodBucketLevel, periodBucketMonths, periodBucketRanges, snapWindow } from '../vercel-tiles/lib/periods.js';
+
+describe('period buckets', () => {
+  it('are yearly, quarterly or monthly by level', () => {
+    expect([2, 5, 6, 7, 8, 9, 11, 12].map(periodBucketMonths)).toEqual([12, 12, 3, 3, 1, 1, 1, 1]);
+  });
+
+  it('are read from the base level for rolled-up levels', () => {
+    expect([7, 8, 9, 10, 11, 12].map(periodBucketLevel)).toEqual([7, 8, 12, 12, 12, 12]);
+  });
+});
+
+describe('snapWindow', () => {
+  it('widens windows to whole buckets', () => {
+    expect(snapWindow({ from: '2024-03-01', to: '2024-06-01' }, 4)).toEqual({ from: '2024-01-01', to: '2025-01-01' });
+    expect(snapWindow({ from: '2024-02-01', to: '2024-05-01' }, 6)).toEqual({ from: '2024-01-01', to: '2024-07-01' });
+    expect(snapWindow({ from: '2024-02-01', to: '2024-05-01' }, 10)).toEqual({ from: '2024-02-01', to: '2024-05-01' });
+  });
+
+  it('keeps bounds that already fall on a bucket edge, and open bounds open', () => {
+    expect(snapWindow({ from: '2024-04-01', to: '2024-07-01' }, 7)).toEqual({ from: '2024-04-01', to: '2024-07-01' });
+    expect(snapWindow({ from: '2023-12-01' }, 3)).toEqual({ from: '2023-01-01', to: undefined });
+  });
+});
+
+describe('periodBucketRanges', () => {
+  it('reads cells with their own buckets directly', () => {
+    const cells = [h3.latLngToCell(51.5, -0.12, 7)];
+    expect(periodBucketRanges(cells, 7)).toEqual({ level: 7, first: cells, last: cells });
+  });
+
+  it('maps rolled-up cells to their base-level descendants', () => {
+    const cell = h3.latLngToCell(51.5, -0.12, 10);
+    const { level, first: [first], last: [last] } = periodBucketRanges([cell], 10);
+
+    expect(level).toBe(12);
+    expect(h3.cellToChildren(cell, 12).every(child => child >= first && child <= last)).toBe(true);
+  });
+});
@@ -0,0 +1,216 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  COMPRESSION,
+  TILE_TYPE,
+  compress,
+  createArchiveWriter,
+  createFileSource,
+  openArchive,
+  tileId
+} from '../vercel-tiles/lib/pmtiles.js';
+import { closeTileArchive, getTileArchive } from '../vercel-tiles/lib/archive.js';
+
+// Every tile of zooms minZoom..maxZoom in ascending tile id order
+function tilesInIdOrder(minZoom, maxZoom) {
+  const tiles = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const size = Math.pow(2, z);
+    for (let x = 0; x < size; x++) {
+      for (let y = 0; y < size; y++) {
+        tiles.push({ z, x, y, id: tileId(z, x, y) });
+      }
+    }
+  }
+  return tiles.sort((a, b) => a.id - b.id);
+}
+
+async function writeArchive(dir, tiles, body, tileCompression = COMPRESSION.GZIP) {
+  const file = path.join(dir, `${tiles.length}-${tileCompression}.pmtiles`);
+  const writer = createArchiveWriter(`${file}.tmp`);
+
+  for (const tile of tiles) {
+    writer.addTile(tile.id, compress(body(tile), tileCompression));
+  }
+
+  const header = await writer.finish(file, {
+    metadata: { name: 'test', vector_layers: [{ id: 'hexagons' }] },
+    tileType: TILE_TYPE.MVT,
+    tileCompression,
+    minZoom: Math.min(...tiles.map(tile => tile.z)),
+    maxZoom: Math.max(...tiles.map(tile => tile.z)),
+    bounds: [-180, -85.05, 180, 85.05],
+    center: [-0.1, 51.5, 2]
+  });
+
+  return { file, header };
+}
+
+describe('tileId', () => {
+  it('matches the ids from the PMTiles spec', () => {
+    expect(tileId(0, 0, 0)).toBe(0);
+    expect([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => tileId(1, x, y))).toEqual([1, 2, 3, 4]);
+    expect(tileId(2, 0, 0)).toBe(5);
+    expect(tileId(3, 0, 0)).toBe(21);
+    expect(tileId(12, 3423, 1763)).toBe(19078479);
+  });
+
+  it('numbers every tile of a zoom once, after all lower zooms', () => {
+    for (let z = 0; z <= 6; z++) {
+      const base = (Math.pow(4, z) - 1) / 3;
+      const ids = tilesInIdOrder(z, z).map(tile => tile.id);
+
+      expect(ids[0]).toBe(base);
+      expect(ids[ids.length - 1]).toBe(base + Math.pow(4, z) - 1);
+      expect(new Set(ids).size).toBe(Math.pow(4, z));
+    }
+  });
+
+  it('stays exact at the highest zooms', () => {
+    const size = Math.pow(2, 24);
+    expect(tileId(24, size - 1, 0)).toBe((Math.pow(4, 25) - 1) / 3 - 1);
+  });
+});
+
+describe('PMTiles archives', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pmtiles-test-'));
+  });
+
+  const opened = [];
+  const open = async file => {
+    const archive = await openArchive(createFileSource(file));
+    opened.push(archive);
+    return archive;
+  };
+
+  afterEach(async () => {
+    await Promise.all(opened.splice(0).map(archive => archive.close()));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads back every tile, its header and its metadata', async () => {
+    const tiles = tilesInIdOrder(0, 4);
+    const body = ({ z, x, y }) => Buffer.from(`tile ${z}/${x}/${y}`);
+    const { file, header } = await writeArchive(dir, tiles, body);
+    const archive = await open(file);
+
+    expect(archive.header).toEqual(expect.objectContaining({
+      tileType: TILE_TYPE.MVT,
+      tileCompression: COMPRESSION.GZIP,
+      minZoom: 0,
+      maxZoom: 4,
+      addressedTiles: tiles.length,
+      tileContents: tiles.length,
+      tileDataLength: header.tileDataLength,
+      clustered: true
+    }));
+    expect(archive.header.center).toEqual([-0.1, 51.5, 2]);
+    expect(archive.metadata.name).toBe('test');
+
+    for (const tile of tiles) {
+      expect((await archive.getTile(tile.z, tile.x, tile.y)).toString()).toBe(body(tile).toString());
+    }
+  });
+
+  it('stores identical tiles once and joins consecutive repeats into runs', async () => {
+    const tiles = tilesInIdOrder(0, 3);
+    const body = ({ z, x }) => Buffer.from(z < 3 ? 'ocean' : `column ${x}`);
+    const { file } = await writeArchive(dir, tiles, body, COMPRESSION.NONE);
+    const archive = await open(file);
+
+    expect(archive.header.addressedTiles).toBe(tiles.length);
+    expect(archive.header.tileContents).toBe(1 + 8);
+    expect(archive.header.tileEntries).toBeLessThan(tiles.length);
+
+    for (const tile of tiles) {
+      expect((await archive.getTile(tile.z, tile.x, tile.y)).toString()).toBe(body(tile).toString());
+    }
+  });
+
+  it('returns null for tiles that were never added', async () => {
+    const tiles = tilesInIdOrder(2, 2).filter(tile => tile.x !== 1);
+    const { file } = await writeArchive(dir, tiles, ({ z, x, y }) => Buffer.from(`${z}/${x}/${y}`));
+    const archive = await open(file);
+
+    expect(await archive.getTile(2, 1, 1)).toBeNull();
+    expect(await archive.getTile(1, 0, 0)).toBeNull();
+    expect(await archive.getTile(3, 0, 0)).toBeNull();
+  });
+
+  it('moves entries into leaf directories when the root would not fit', async () => {
+    // Scattered tiles of varying size, so the directory does not compress away
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const byId = new Map();
+    for (let i = 0; i < 30000; i++) {
+      const x = Math.floor(random() * 1024);
+      const y = Math.floor(random() * 1024);
+      const id = tileId(10, x, y);
+      byId.set(id, { z: 10, x, y, id, pad: Math.floor(random() * 40) });
+    }
+    const tiles = [...byId.values()].sort((a, b) => a.id - b.id);
+    const body = ({ z, x, y, pad }) => Buffer.from(`${z}/${x}/${y}`.padEnd(12 + pad, '.'));
+    const { file, header } = await writeArchive(dir, tiles, body, COMPRESSION.NONE);
+    const archive = await open(file);
+
+    expect(header.leafDirectoryLength).toBeGreaterThan(0);
+    for (const tile of tiles.filter((_, i) => i % 97 === 0)) {
+      expect((await archive.getTile(tile.z, tile.x, tile.y)).toString()).toBe(body(tile).toString());
+    }
+  });
+
+  it('rejects tiles added out of id order', () => {
+    const writer = createArchiveWriter(path.join(dir, 'unordered.tmp'));
+    writer.addTile(5, Buffer.from('a'));
+
+    expect(() => writer.addTile(4, Buffer.from('b'))).toThrow('ascending tile id order');
+  });
+
+  it('releases its file on close', async () => {
+    const tiles = tilesInIdOrder(0, 1);
+    const { file } = await writeArchive(dir, tiles, ({ z, x, y }) => Buffer.from(`${z}/${x}/${y}`));
+    const archive = await openArchive(createFileSource(file));
+
+    expect((await archive.getTile(1, 1, 0)).toString()).toBe('1/1/0');
+    await archive.close();
+    await expect(archive.getTile(1, 1, 0)).rejects.toThrow('is closed');
+  });
+});
+
+describe('getTileArchive', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pmtiles-path-'));
+  const env = process.env.PMTILES_PATH;
+
+  afterAll(async () => {
+    await closeTileArchive();
+    if (env === undefined) delete process.env.PMTILES_PATH;
+    else process.env.PMTILES_PATH = env;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('opens the archive once and reopens it when PMTILES_PATH changes', async () => {
+    const first = await writeArchive(dir, tilesInIdOrder(0, 1), () => Buffer.from('first'));
+    const second = await writeArchive(dir, tilesInIdOrder(0, 2), () => Buffer.from('second'));
+
+    process.env.PMTILES_PATH = first.file;
+    const archive = await getTileArchive();
+    expect(await getTileArchive()).toBe(archive);
+    expect((await archive.getTile(0, 0, 0)).toString()).toBe('first');
+
+    process.env.PMTILES_PATH = second.file;
+    const reopened = await getTileArchive();
+    expect((await reopened.getTile(0, 0, 0)).toString()).toBe('second');
+    await expect(archive.getTile(0, 0, 0)).rejects.toThrow('is closed');
+
+    delete process.env.PMTILES_PATH;
+    expect(await getTileArchive()).toBeNull();
+    await expect(reopened.getTile(0, 0, 0)).rejects.toThrow('is closed');
+  });
+});
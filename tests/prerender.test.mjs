@@ -0,0 +1,96 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const run = promisify(execFile);
+const script = path.resolve('scripts/prerender_tiles.mjs');
+
+const LONDON = '-0.5,51.3,0.3,51.7';
+const WEST_LONDON = '-0.5,51.3,-0.1,51.7';
+
+let outDir;
+
+// Demo tiles need no database, so the CLI runs as it would in CI
+async function prerender(...args) {
+  try {
+    const { stdout } = await run(process.execPath, [
+      script, '--demo', '--minzoom', '6', '--maxzoom', '7', '--out', outDir, ...args
+    ], { timeout: 60000 });
+    return { code: 0, stdout };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+const readManifest = () => JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf8'));
+const tileFile = key => path.join(outDir, `${key}.geojson`);
+
+describe('prerender_tiles', () => {
+  beforeEach(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it('writes every non-empty tile and a manifest describing them', async () => {
+    const { code, stdout } = await prerender(`--bbox=${LONDON}`);
+    const manifest = readManifest();
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/4 written, 0 unchanged, 0 removed/);
+    expect(manifest).toEqual(expect.objectContaining({ dataset_version: 'demo', format: 'geojson', total_tiles: 4 }));
+    expect(Object.keys(manifest.tiles).sort()).toEqual(['6/31/21', '6/32/21', '7/63/42', '7/64/42']);
+    expect(manifest.zooms[6].tiles).toBe(2);
+
+    const body = JSON.parse(fs.readFileSync(tileFile('6/31/21'), 'utf8'));
+    expect(body.type).toBe('FeatureCollection');
+    expect(body.features.length).toBeGreaterThan(0);
+  });
+
+  it('skips a render the manifest already records', async () => {
+    await prerender(`--bbox=${LONDON}`);
+    const before = fs.statSync(tileFile('6/31/21')).mtimeMs;
+
+    const { stdout } = await prerender(`--bbox=${LONDON}`);
+
+    expect(stdout).toMatch(/already rendered from dataset demo/);
+    expect(fs.statSync(tileFile('6/31/21')).mtimeMs).toBe(before);
+  });
+
+  it('rewrites a missing tile and leaves unchanged ones alone', async () => {
+    await prerender(`--bbox=${LONDON}`);
+    fs.rmSync(tileFile('7/63/42'));
+
+    const { stdout } = await prerender(`--bbox=${LONDON}`, '--force');
+
+    expect(stdout).toMatch(/1 written, 3 unchanged, 0 removed/);
+    expect(fs.existsSync(tileFile('7/63/42'))).toBe(true);
+  });
+
+  it('removes tiles that fall out of the render, and their empty directories', async () => {
+    await prerender(`--bbox=${LONDON}`);
+
+    const { stdout } = await prerender(`--bbox=${WEST_LONDON}`);
+
+    expect(stdout).toMatch(/0 written, 2 unchanged, 2 removed/);
+    expect(Object.keys(readManifest().tiles).sort()).toEqual(['6/31/21', '7/63/42']);
+    expect(fs.existsSync(path.join(outDir, '6', '32'))).toBe(false);
+    expect(fs.existsSync(path.join(outDir, '7', '64'))).toBe(false);
+    expect(fs.existsSync(tileFile('6/31/21'))).toBe(true);
+  });
+
+  it('refuses invalid zooms and filters', async () => {
+    const zooms = await prerender('--minzoom', '9', '--maxzoom', '7');
+    const filters = await prerender('--metric', 'rent');
+
+    expect(zooms.code).toBe(1);
+    expect(zooms.stderr).toMatch(/minzoom <= maxzoom/);
+    expect(filters.code).toBe(1);
+    expect(filters.stderr).toMatch(/Unknown metric 'rent'/);
+    expect(fs.existsSync(path.join(outDir, 'manifest.json'))).toBe(false);
+  });
+});
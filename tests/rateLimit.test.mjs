@@ -0,0 +1,154 @@
+import {
+  applyRateLimit,
+  clientKey,
+  createKeyValueStore,
+  createLocalKeyValueClient,
+  createMemoryStore,
+  setRateLimitStore
+} from '../vercel-tiles/lib/rateLimit.js';
+import { RATE_LIMIT } from '../vercel-tiles/lib/config.js';
+import { mockRequest, mockResponse } from './helpers/http.mjs';
+
+const policy = { capacity: 3, refillPerMs: 3 / 60000 };
+
+describe.each([
+  ['memory store', () => createMemoryStore()],
+  ['key-value store', () => createKeyValueStore(createLocalKeyValueClient())]
+])('%s', (_, createStore) => {
+  it('allows a burst up to capacity, then refuses', async () => {
+    const store = createStore();
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push((await store.take('a', policy, 1000)).allowed);
+    }
+
+    expect(results).toEqual([true, true, true, false]);
+  });
+
+  it('refills tokens over the window', async () => {
+    const store = createStore();
+    for (let i = 0; i < 3; i++) await store.take('a', policy, 1000);
+
+    expect((await store.take('a', policy, 1000 + 10000)).allowed).toBe(false);
+    expect((await store.take('a', policy, 1000 + 20000)).allowed).toBe(true);
+    expect((await store.take('a', policy, 1000 + 20000)).allowed).toBe(false);
+  });
+
+  it('takes several tokens for a costly request', async () => {
+    const store = createStore();
+    const costly = { ...policy, cost: 2 };
+
+    expect((await store.take('a', costly, 1000)).allowed).toBe(true);
+    expect((await store.take('a', costly, 1000)).allowed).toBe(false);
+    expect((await store.take('a', policy, 1000)).allowed).toBe(true);
+  });
+
+  it('keeps a bucket per client', async () => {
+    const store = createStore();
+    for (let i = 0; i < 3; i++) await store.take('a', policy, 1000);
+
+    expect((await store.take('a', policy, 1000)).allowed).toBe(false);
+    expect((await store.take('b', policy, 1000)).allowed).toBe(true);
+  });
+});
+
+describe('clientKey', () => {
+  const env = { VERCEL: process.env.VERCEL, TRUST_PROXY: process.env.TRUST_PROXY };
+  const forwarded = { 'x-forwarded-for': '203.0.113.9, 198.51.100.7' };
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('ignores X-Forwarded-For without a trusted proxy', () => {
+    delete process.env.VERCEL;
+    delete process.env.TRUST_PROXY;
+
+    expect(clientKey(mockRequest({ headers: forwarded, address: '10.0.0.1' }))).toBe('10.0.0.1');
+  });
+
+  it('uses the last hop behind a trusted proxy', () => {
+    process.env.TRUST_PROXY = 'true';
+    expect(clientKey(mockRequest({ headers: forwarded, address: '10.0.0.1' }))).toBe('198.51.100.7');
+
+    delete process.env.TRUST_PROXY;
+    process.env.VERCEL = '1';
+    expect(clientKey(mockRequest({ headers: forwarded, address: '10.0.0.1' }))).toBe('198.51.100.7');
+  });
+
+  it('falls back to the socket address', () => {
+    process.env.TRUST_PROXY = 'true';
+
+    expect(clientKey(mockRequest({ address: '10.0.0.1' }))).toBe('10.0.0.1');
+    expect(clientKey({ headers: {} })).toBe('unknown');
+  });
+});
+
+describe('applyRateLimit', () => {
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  afterAll(() => {
+    setRateLimitStore(null);
+  });
+
+  it('sets the RateLimit headers on allowed requests', async () => {
+    const res = mockResponse();
+
+    expect(await applyRateLimit(mockRequest(), res)).toBe(true);
+    expect(res.headers).toEqual(expect.objectContaining({
+      'ratelimit-policy': `${RATE_LIMIT.CAPACITY};w=${RATE_LIMIT.WINDOW_SECONDS}`,
+      'ratelimit-limit': String(RATE_LIMIT.CAPACITY),
+      'ratelimit-remaining': String(RATE_LIMIT.CAPACITY - 1)
+    }));
+    expect(Number(res.headers['ratelimit-reset'])).toBeGreaterThan(0);
+  });
+
+  it('answers 429 with Retry-After once the bucket is empty', async () => {
+    const req = mockRequest();
+    for (let i = 0; i < RATE_LIMIT.CAPACITY; i++) {
+      expect(await applyRateLimit(req, mockResponse())).toBe(true);
+    }
+
+    const res = mockResponse();
+    expect(await applyRateLimit(req, res)).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Other clients are unaffected
+    expect(await applyRateLimit(mockRequest({ address: '10.0.0.2' }), mockResponse())).toBe(true);
+  });
+
+  it('spends the cost of a request and refuses one the bucket cannot cover', async () => {
+    const req = mockRequest();
+    const res = mockResponse();
+
+    expect(await applyRateLimit(req, res, { cost: RATE_LIMIT.CAPACITY - 10 })).toBe(true);
+    expect(res.headers['ratelimit-remaining']).toBe('10');
+
+    const refused = mockResponse();
+    expect(await applyRateLimit(req, refused, { cost: 11 })).toBe(false);
+    expect(refused.statusCode).toBe(429);
+    expect(await applyRateLimit(req, mockResponse(), { cost: 10 })).toBe(true);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    setRateLimitStore({ take: async () => { throw new Error('store down'); } });
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+      const res = mockResponse();
+      expect(await applyRateLimit(mockRequest(), res)).toBe(true);
+      expect(res.headers['ratelimit-limit']).toBeUndefined();
+    } finally {
+      console.error = error;
+    }
+  });
+});
@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import h3 from 'h3-js';
+import rentalListings from '../scripts/rental_listings.js';
+import h3Rollup from '../scripts/h3_rollup.js';
+
+const { loadRentals } = rentalListings;
+const { ROLLUP_MAX_LEVEL, rollupGroups } = h3Rollup;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rentals-'));
+const file = path.join(dir, 'listings.csv');
+const published = new Date('2024-03-15T00:00:00Z');
+
+fs.writeFileSync(file, [
+  'Monthly Rent,Postcode,Latitude,Longitude,Date,Property Type',
+  '1500,SW1A 1AA,,,,flat',
+  '"£1,200",,51.5010,-0.1420,,terraced',
+  '2000,SW1A 1AA,,,2023-11-02,flat'
+].join('\n'));
+fs.utimesSync(file, published, published);
+
+process.env.RENTALS_DIR = dir;
+const { default: UKLandRegistryETL } = await import('../scripts/etl_github_action.js');
+
+// Stand-in for pg that keeps heatmap_cell_periods rows by their conflict
+// key. NOW() is the start of the current transaction, as in Postgres.
+function periodTable() {
+  const rows = new Map();
+  let now = 0;
+  const client = {
+    async query(sql, params) {
+      if (sql === 'BEGIN') now++;
+
+      if (sql.includes('INSERT INTO heatmap_cell_periods')) {
+        const [cells, , periodStarts] = params;
+        cells.forEach((cell, i) => {
+          const key = [cell, params[13], params[12], periodStarts[i], params[9][i], params[10][i], params[11][i]].join('|');
+          rows.set(key, { count: params[4][i], median: params[3][i], updatedAt: now });
+        });
+      }
+
+      if (sql.includes('DELETE FROM heatmap_cell_periods')) {
+        const [source, metric] = params;
+        let rowCount = 0;
+        for (const [key, row] of rows.entries()) {
+          const [, rowSource, rowMetric] = key.split('|');
+          if (rowSource === source && rowMetric === metric && row.updatedAt < now) {
+            rows.delete(key);
+            rowCount++;
+          }
+        }
+        return { rows: [], rowCount };
+      }
+
+      return { rows: [], rowCount: 0 };
+    }
+  };
+  return { rows, client };
+}
+
+// Period starts of the base-level rent buckets
+function baseBuckets(rows) {
+  return [...rows.keys()]
+    .map(key => key.split('|'))
+    .filter(([cell, source]) => source === 'uk_rentals' && h3.getResolution(cell) === ROLLUP_MAX_LEVEL)
+    .map(([, , , periodStart]) => periodStart)
+    .sort();
+}
+
+// One weekly ETL run over the rentals directory, at the given time
+async function runRentals(client, now) {
+  const etl = new UKLandRegistryETL('postgres://unused');
+  etl.postcodeLookup.cache.set('SW1A1AA', { lat: 51.501, lng: -0.1416 });
+
+  await etl.loadRentals();
+  jest.useFakeTimers({ now });
+  try {
+    etl.placeRentals();
+  } finally {
+    jest.useRealTimers();
+  }
+
+  await etl.upsertPeriods(client, rollupGroups(etl.rentGroups, ROLLUP_MAX_LEVEL), 'rental_price', 'uk_rentals');
+  return etl;
+}
+
+describe('rental period buckets', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('date undated rows by their file', async () => {
+    const { rentals } = await loadRentals(dir);
+
+    expect(rentals.map(rental => rental.date.toISOString().slice(0, 10)))
+      .toEqual(['2024-03-15', '2024-03-15', '2023-11-02']);
+  });
+
+  it('date undated rows by defaultDate when given', async () => {
+    const { rentals } = await loadRentals(dir, { defaultDate: new Date('2024-01-31T00:00:00Z') });
+
+    expect(rentals.map(rental => rental.date.toISOString().slice(0, 10)))
+      .toEqual(['2024-01-31', '2024-01-31', '2023-11-02']);
+  });
+
+  it('do not grow when the ETL runs again on the same files', async () => {
+    const { rows, client } = periodTable();
+
+    const first = await runRentals(client, new Date('2024-05-06T03:00:00Z'));
+    const afterFirst = [...rows.keys()];
+    await runRentals(client, new Date('2024-06-03T03:00:00Z'));
+
+    expect(first.rentals.placed).toBe(3);
+    expect([...rows.keys()]).toEqual(afterFirst);
+    expect(baseBuckets(rows)).toEqual(['2023-11-01', '2024-03-01', '2024-03-01']);
+  });
+
+  it('drop the buckets of listings no longer supplied', async () => {
+    const { rows, client } = periodTable();
+    const listings = fs.readFileSync(file, 'utf8');
+    // A sales bucket from an earlier run belongs to another source
+    const sales = `${h3.latLngToCell(51.501, -0.1416, ROLLUP_MAX_LEVEL)}|uk_land_registry|median_price|2024-11-01|F|F|false`;
+    rows.set(sales, { count: 1, median: 900, updatedAt: 0 });
+
+    await runRentals(client, new Date('2024-05-06T03:00:00Z'));
+    try {
+      fs.writeFileSync(file, listings.split('\n').slice(0, 3).join('\n'));
+      fs.utimesSync(file, published, published);
+      await runRentals(client, new Date('2024-06-03T03:00:00Z'));
+    } finally {
+      fs.writeFileSync(file, listings);
+      fs.utimesSync(file, published, published);
+    }
+
+    expect(baseBuckets(rows)).toEqual(['2024-03-01', '2024-03-01']);
+    expect(rows.has(sales)).toBe(true);
+  });
+});
@@ -0,0 +1,204 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import h3Rollup from '../scripts/h3_rollup.js';
+
+const {
+  ROLLUP_MIN_LEVEL,
+  createGroup,
+  addTransaction,
+  rollupGroups,
+  addRegion,
+  rollupRegions,
+  addStatistics,
+  summarizeGroup,
+  groupByBucket
+} = h3Rollup;
+
+// Group of flat freehold resales at the given prices, all on one date
+function group(prices, date = new Date('2024-06-01T00:00:00Z')) {
+  const result = createGroup();
+  prices.forEach(price => addTransaction(result, { price, date, type: 'F', tenure: 'F', newBuild: false }));
+  return result;
+}
+
+describe('rollupGroups', () => {
+  const parent = h3.latLngToCell(51.5, -0.12, 10);
+  const [a, b] = h3.cellToChildren(parent, 12);
+
+  it('produces every level from the minimum to the base level', () => {
+    const levels = rollupGroups(new Map([[a, group([1])]]), 12);
+
+    expect([...levels.keys()].sort((x, y) => x - y))
+      .toEqual(Array.from({ length: 12 - ROLLUP_MIN_LEVEL + 1 }, (_, i) => ROLLUP_MIN_LEVEL + i));
+    expect([...levels.get(ROLLUP_MIN_LEVEL).keys()]).toEqual([h3.cellToParent(a, ROLLUP_MIN_LEVEL)]);
+  });
+
+  it('keeps every transaction so parent medians are recomputed', () => {
+    const levels = rollupGroups(new Map([[a, group([100, 200, 300])], [b, group([1000])]]), 12, 10);
+    const rolled = levels.get(10).get(parent);
+
+    expect(rolled.count).toBe(4);
+    expect(rolled.prices).toEqual([100, 200, 300, 1000]);
+    expect(rolled.types).toHaveLength(4);
+    // Not the mean of the child medians, (200 + 1000) / 2
+    expect(summarizeGroup(rolled).median).toBe(250);
+  });
+
+  it('leaves the base groups as they are', () => {
+    const base = new Map([[a, group([100])], [b, group([200])]]);
+    const levels = rollupGroups(base, 12, 10);
+
+    expect(levels.get(12)).toBe(base);
+    expect(base.get(a).prices).toEqual([100]);
+  });
+});
+
+describe('summarizeGroup', () => {
+  const now = new Date('2024-06-01T00:00:00Z');
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  it('summarises prices and dates', () => {
+    const summary = summarizeGroup({
+      ...group([300, 100, 200]),
+      dates: [new Date('2023-01-05'), new Date('2024-06-01'), new Date('2022-09-30')]
+    });
+
+    expect(summary).toEqual({
+      median: 200,
+      count: 3,
+      confidence: Math.log10(4) / 2,
+      firstSeen: new Date('2022-09-30'),
+      lastSeen: new Date('2024-06-01')
+    });
+  });
+
+  it('trusts bigger and more recent samples more', () => {
+    const small = summarizeGroup(group([100]));
+    const large = summarizeGroup(group(Array.from({ length: 99 }, () => 100)));
+    const old = summarizeGroup(group([100], new Date('2020-01-01')));
+
+    expect(large.confidence).toBe(1);
+    expect(small.confidence).toBeLessThan(large.confidence);
+    // Recency never takes confidence below 30% of the sample factor
+    expect(old.confidence).toBeCloseTo(small.confidence * 0.3);
+  });
+});
+
+describe('groupByBucket', () => {
+  const sales = createGroup();
+  [
+    { price: 100, date: new Date('2024-01-15T00:00:00Z'), type: 'flat', tenure: 'leasehold', newBuild: false },
+    { price: 200, date: new Date('2024-01-20T00:00:00Z'), type: 'flat', tenure: 'leasehold', newBuild: false },
+    { price: 300, date: new Date('2024-02-03T00:00:00Z'), type: 'flat', tenure: 'leasehold', newBuild: true },
+    { price: 400, date: new Date('2024-02-10T00:00:00Z'), type: 'detached', tenure: 'freehold', newBuild: false },
+    { price: 500, date: new Date('2024-11-30T00:00:00Z'), type: 'flat', tenure: 'leasehold', newBuild: false }
+  ].forEach(tx => addTransaction(sales, tx));
+
+  it('splits sales by month, property type, tenure and new-build flag', () => {
+    const buckets = [...groupByBucket(sales).values()];
+
+    expect(buckets.map(({ periodStart, propertyType, tenure, newBuild, prices }) =>
+      [periodStart, propertyType, tenure, newBuild, prices]
+    )).toEqual([
+      ['2024-01-01', 'flat', 'leasehold', false, [100, 200]],
+      ['2024-02-01', 'flat', 'leasehold', true, [300]],
+      ['2024-02-01', 'detached', 'freehold', false, [400]],
+      ['2024-11-01', 'flat', 'leasehold', false, [500]]
+    ]);
+    expect(buckets[0].count).toBe(2);
+  });
+
+  it('uses longer buckets when asked', () => {
+    const quarters = [...groupByBucket(sales, 3).values()];
+    const years = [...groupByBucket(sales, 12).values()];
+
+    expect(quarters.map(bucket => `${bucket.periodStart} ${bucket.propertyType} ${bucket.count}`))
+      .toEqual(['2024-01-01 flat 2', '2024-01-01 flat 1', '2024-01-01 detached 1', '2024-10-01 flat 1']);
+    expect(years.map(bucket => `${bucket.periodStart} ${bucket.propertyType} ${bucket.newBuild} ${bucket.count}`))
+      .toEqual(['2024-01-01 flat false 3', '2024-01-01 flat true 1', '2024-01-01 detached false 1']);
+  });
+});
+
+describe('addStatistics', () => {
+  const parent = h3.latLngToCell(51.5, -0.12, 10);
+  const [a, b, c, d] = h3.cellToChildren(parent, 12);
+  const date = new Date('2024-05-01T00:00:00Z');
+
+  it('shares a statistic between the cells it covers', () => {
+    const levels = rollupGroups(new Map([[a, group([1000])], [b, group([1200])]]), 12, 10);
+    const withStatistics = addStatistics(levels, [{ value: 1500, date, cells: [a, b, c, d] }]);
+
+    expect(withStatistics.get(12).get(a).statistics).toEqual([{ value: 1500, weight: 0.25, date }]);
+    expect(withStatistics.get(12).get(c).statistics).toEqual([{ value: 1500, weight: 0.25, date }]);
+    expect(withStatistics.get(10).get(parent).statistics).toEqual([{ value: 1500, weight: 1, date }]);
+  });
+
+  it('shapes the median and confidence but not the count', () => {
+    const levels = rollupGroups(new Map([[a, group([1000, 1100])]]), 12, 12);
+    const cell = addStatistics(levels, [{ value: 2000, date, cells: [a] }]).get(12).get(a);
+    const summary = summarizeGroup(cell);
+
+    expect(summary.median).toBe(1100);
+    expect(summary.count).toBe(2);
+    expect(summary.confidence).toBeGreaterThan(summarizeGroup(levels.get(12).get(a)).confidence);
+  });
+
+  it('averages the two middle points when the weights split evenly', () => {
+    const levels = rollupGroups(new Map([[a, group([1000])]]), 12, 12);
+    const cell = addStatistics(levels, [{ value: 3000, date, cells: [a] }]).get(12).get(a);
+
+    expect(summarizeGroup(cell).median).toBe(2000);
+  });
+
+  it('lets light statistics move the median only so far', () => {
+    const levels = rollupGroups(new Map([[a, group([1000, 1100, 1200])]]), 12, 12);
+    const cell = addStatistics(levels, [{ value: 5000, date, cells: [a, b, c, d] }]).get(12).get(a);
+
+    expect(summarizeGroup(cell).median).toBe(1100);
+  });
+
+  it('leaves the groups it was given untouched', () => {
+    const levels = rollupGroups(new Map([[a, group([1000])]]), 12, 10);
+    addStatistics(levels, [{ value: 1500, date, cells: [a, b] }]);
+
+    expect(levels.get(12).get(a).statistics).toBeUndefined();
+    expect(levels.get(12).has(b)).toBe(false);
+    expect(levels.get(10).get(parent).statistics).toBeUndefined();
+  });
+});
+
+describe('rollupRegions', () => {
+  const parent = h3.latLngToCell(51.5, -0.12, 10);
+  const [a, b, c] = h3.cellToChildren(parent, 12);
+
+  it('gives each cell the region most of its sales fall in', () => {
+    const regions = new Map();
+    addRegion(regions, a, 'CAMDEN');
+    addRegion(regions, a, 'CAMDEN');
+    addRegion(regions, b, 'ISLINGTON');
+    addRegion(regions, c, 'ISLINGTON');
+    addRegion(regions, c, 'ISLINGTON');
+
+    const rolled = rollupRegions(regions, 12, 10);
+
+    expect(rolled.get(a)).toBe('CAMDEN');
+    expect(rolled.get(c)).toBe('ISLINGTON');
+    expect(rolled.get(h3.cellToParent(a, 11))).toBeDefined();
+    expect(rolled.get(parent)).toBe('ISLINGTON');
+  });
+
+  it('breaks ties alphabetically', () => {
+    const regions = new Map();
+    addRegion(regions, a, 'ISLINGTON');
+    addRegion(regions, b, 'CAMDEN');
+
+    expect(rollupRegions(regions, 12, 10).get(parent)).toBe('CAMDEN');
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+import { createPool } from './helpers/db.mjs';
+import placeIndex from '../scripts/place_index.js';
+
+const { PLACE_KINDS, parsePostcode, addPlace, addPostcodes, placeRows } = placeIndex;
+
+const bath = {
+  kind: 'town',
+  name: 'BATH',
+  within: 'BATH AND NORTH EAST SOMERSET',
+  lat: 51.3852,
+  lng: -2.3554,
+  min_lat: 51.3802,
+  min_lng: -2.3599,
+  max_lat: 51.3894,
+  max_lng: -2.3528
+};
+
+const pool = createPool((sql, params) => {
+  if (sql.includes('FROM places')) {
+    return params[1] === 'NOWHERE' ? [] : [bath];
+  }
+  if (sql.includes('FROM heatmap_aggregated')) {
+    return [{ h3_index: params[0][0], price: '604607', count: '35', confidence: '0.23', value: '0.92' }];
+  }
+  return [];
+});
+
+jest.unstable_mockModule('../vercel-tiles/lib/db.js', () => ({ pool }));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => 'test' }));
+
+const { coveringLevel, normalizeQuery, postcodeCandidates } = await import('../vercel-tiles/lib/search.js');
+const { TILE_CACHE_TTL } = await import('../vercel-tiles/lib/config.js');
+const { default: handler } = await import('../vercel-tiles/api/search.js');
+
+let address = 0;
+const get = query => call(handler, { query, address: `10.2.0.${++address}` });
+
+describe('place index', () => {
+  it('splits postcodes in any spacing or case', () => {
+    expect(parsePostcode('sw1a1aa')).toEqual({ postcode: 'SW1A 1AA', sector: 'SW1A 1', outward: 'SW1A' });
+    expect(parsePostcode(' M1  1AE ')).toEqual({ postcode: 'M1 1AE', sector: 'M1 1', outward: 'M1' });
+    expect(parsePostcode('not a postcode')).toBeNull();
+  });
+
+  it('indexes every postcode in the lookup with its sector and outward code', () => {
+    const index = new Map();
+    addPostcodes(index, new Map([
+      ['SW1A1AA', { lat: 51.501, lng: -0.1416 }],
+      ['SW1A1AB', { lat: 51.503, lng: -0.1420 }],
+      ['BOGUS', { lat: 51, lng: 0 }]
+    ]));
+
+    const rows = placeRows(index);
+    const keys = rows.map(row => `${row.kind}|${row.key}`).sort();
+    expect(keys).toEqual([
+      'outward|SW1A',
+      'postcode|SW1A 1AA',
+      'postcode|SW1A 1AB',
+      'sector|SW1A 1'
+    ]);
+
+    const sector = rows.find(row => row.kind === PLACE_KINDS.SECTOR);
+    expect(sector.count).toBe(2);
+    expect(sector.lat).toBeCloseTo(51.502);
+    expect([sector.minLat, sector.maxLat]).toEqual([51.501, 51.503]);
+  });
+
+  it('keeps same-named places in different counties apart', () => {
+    const index = new Map();
+    addPlace(index, PLACE_KINDS.TOWN, 'Newport ', 51.58, -2.99, 'Gwent');
+    addPlace(index, PLACE_KINDS.TOWN, 'NEWPORT', 50.70, -1.29, 'Isle of Wight');
+    addPlace(index, PLACE_KINDS.TOWN, 'Newport', 51.59, -3.00, 'GWENT');
+    addPlace(index, PLACE_KINDS.TOWN, '', 51, 0);
+    addPlace(index, PLACE_KINDS.TOWN, 'Nowhere', NaN, 0);
+
+    const rows = placeRows(index);
+    expect(rows.map(row => [row.key, row.within, row.count])).toEqual([
+      ['NEWPORT', 'GWENT', 2],
+      ['NEWPORT', 'ISLE OF WIGHT', 1]
+    ]);
+    expect(rows[0].name).toBe('Newport');
+  });
+});
+
+describe('postcodeCandidates', () => {
+  it('tries a full postcode, then its sector and outward code', () => {
+    expect(postcodeCandidates(normalizeQuery('sw1a  1aa'))).toEqual([
+      { kind: 'postcode', key: 'SW1A 1AA' },
+      { kind: 'sector', key: 'SW1A 1' },
+      { kind: 'outward', key: 'SW1A' }
+    ]);
+  });
+
+  it('reads an ambiguous code as an outward code first', () => {
+    expect(postcodeCandidates('SW11')).toEqual([
+      { kind: 'outward', key: 'SW11' },
+      { kind: 'sector', key: 'SW1 1' }
+    ]);
+  });
+
+  it('leaves place names alone', () => {
+    expect(postcodeCandidates('MANCH')).toBeNull();
+  });
+});
+
+describe('coveringLevel', () => {
+  it('picks the finest level whose hexagons still cover the place', () => {
+    const bbox = [bath.min_lng, bath.min_lat, bath.max_lng, bath.max_lat];
+    const level = coveringLevel(bbox);
+
+    // ~0.5 km² of town: level 8 hexagons (~0.74 km²) cover it, level 9 do not
+    expect(level).toBe(8);
+    expect(h3.getHexagonAreaAvg(level + 1, 'km2')).toBeLessThan(0.5);
+  });
+
+  it('treats a postcode point as a small area', () => {
+    expect(coveringLevel([-0.1416, 51.501, -0.1416, 51.501])).toBe(9);
+  });
+
+  it('falls back to the coarsest level for huge places', () => {
+    expect(coveringLevel([-10, 40, 10, 60])).toBe(2);
+  });
+});
+
+describe('GET /api/search', () => {
+  beforeEach(() => pool.reset());
+
+  it('rejects queries shorter than 2 characters with 400', async () => {
+    const res = await get({ q: ' a ' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_PARAMETERS');
+    expect(pool.queries).toHaveLength(0);
+  });
+
+  it('looks postcodes up by exact key, most specific first', async () => {
+    await get({ q: 'ba1 1lz' });
+
+    const [{ params }] = pool.queries;
+    expect(params).toEqual([['postcode', 'sector', 'outward'], ['BA1 1LZ', 'BA1 1', 'BA1']]);
+  });
+
+  it('matches names by prefix with LIKE wildcards escaped', async () => {
+    await get({ q: 'ba%th_' });
+
+    const [{ params }] = pool.queries;
+    expect(params).toEqual([['town', 'district', 'county'], 'BA\\%TH\\_', 5]);
+  });
+
+  it('returns places with the stats of their covering cell', async () => {
+    const res = await get({ q: 'bath' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-dataset-version']).toBe('test');
+    expect(res.body).toEqual({
+      query: 'BATH',
+      metric: 'median_price',
+      source: 'all',
+      dataset_version: 'test',
+      results: [{
+        kind: 'town',
+        name: 'BATH',
+        within: 'BATH AND NORTH EAST SOMERSET',
+        center: [-2.3554, 51.3852],
+        bbox: [-2.3599, 51.3802, -2.3528, 51.3894],
+        cell: {
+          h3_index: h3.latLngToCell(51.3852, -2.3554, 8),
+          h3_level: 8,
+          price: 604607,
+          count: 35,
+          confidence: 0.23,
+          value: 0.92
+        }
+      }]
+    });
+  });
+
+  it('answers no match with an empty list cached briefly', async () => {
+    const res = await get({ q: 'nowhere' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toEqual([]);
+    expect(res.headers['cache-control']).toContain(`s-maxage=${TILE_CACHE_TTL.EMPTY}`);
+  });
+});
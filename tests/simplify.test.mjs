@@ -0,0 +1,139 @@
+import h3 from 'h3-js';
+import {
+  MERGE_MAX_ZOOM,
+  buildTileFeatures,
+  coordinatePrecision,
+  mergeCellsByBucket,
+  quantizeFeature
+} from '../vercel-tiles/lib/simplify.js';
+
+const cells = h3.gridDisk(h3.latLngToCell(51.5, -0.12, 7), 1);
+
+// Cell rows as the database returns them, with the given values
+function rows(values, extra = () => ({})) {
+  return values.map((value, i) => ({
+    h3_index: cells[i],
+    price: 100000 * (i + 1),
+    count: i + 1,
+    confidence: 0.5,
+    value,
+    ...extra(i)
+  }));
+}
+
+describe('coordinatePrecision', () => {
+  it('keeps rounding under a quarter pixel at every zoom', () => {
+    expect([0, 6, 10, 14, 18].map(coordinatePrecision)).toEqual([1, 3, 4, 5, 6]);
+
+    for (let zoom = 0; zoom <= 18; zoom++) {
+      const degreesPerPixel = 360 / (256 * Math.pow(2, zoom));
+      expect(0.5 * Math.pow(10, -coordinatePrecision(zoom))).toBeLessThanOrEqual(degreesPerPixel * 0.25);
+    }
+  });
+});
+
+describe('quantizeFeature', () => {
+  it('rounds polygons and drops vertices that collapse together', () => {
+    const feature = {
+      type: 'Feature',
+      properties: {},
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[0.1234, 51.1111], [0.1233, 51.1112], [0.2, 51.1], [0.1234, 51.1111]]]
+      }
+    };
+
+    quantizeFeature(feature, 3);
+
+    expect(feature.geometry.coordinates).toEqual([[[0.123, 51.111], [0.2, 51.1], [0.123, 51.111]]]);
+  });
+
+  it('rounds every ring of a MultiPolygon', () => {
+    const feature = {
+      type: 'Feature',
+      properties: {},
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [[[[1.06, 2.04], [1.5, 2.5], [1.06, 2.04]]], [[[3.01, 4.09], [3.5, 4.5], [3.01, 4.09]]]]
+      }
+    };
+
+    quantizeFeature(feature, 1);
+
+    expect(feature.geometry.coordinates).toEqual([
+      [[[1.1, 2], [1.5, 2.5], [1.1, 2]]],
+      [[[3, 4.1], [3.5, 4.5], [3, 4.1]]]
+    ]);
+  });
+});
+
+describe('mergeCellsByBucket', () => {
+  it('merges cells per colour bucket with transaction-weighted properties', () => {
+    // Buckets use the clients' <= thresholds: 0.2 is still the first one
+    const merged = mergeCellsByBucket(rows([0.1, 0.2, 0.9, 0.95]), '7/63/42');
+
+    expect(merged.map(feature => feature.properties.merge_id)).toEqual(['7/63/42:0', '7/63/42:4']);
+
+    const [low, high] = merged.map(feature => feature.properties);
+    expect(low).toEqual({
+      merge_id: '7/63/42:0',
+      bucket: 0,
+      cells: 2,
+      price: 200000,
+      count: 3,
+      confidence: 0.5,
+      value: (0.1 * 1 + 0.2 * 2) / 3
+    });
+    expect(high.cells).toBe(2);
+    expect(high.count).toBe(7);
+    expect(merged[0].geometry.type).toBe('MultiPolygon');
+  });
+
+  it('does not depend on row order', () => {
+    const cellRows = rows([0.1, 0.3, 0.5, 0.7, 0.9, 0.35, 0.55]);
+
+    expect(mergeCellsByBucket([...cellRows].reverse(), '7/63/42')).toEqual(mergeCellsByBucket(cellRows, '7/63/42'));
+  });
+
+  it('joins neighbouring cells into one polygon', () => {
+    const [feature] = mergeCellsByBucket(rows([0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5]), '7/63/42');
+
+    expect(feature.properties.cells).toBe(7);
+    expect(feature.geometry.coordinates).toHaveLength(1);
+  });
+
+  it('weighs cells equally when none have transactions', () => {
+    const [feature] = mergeCellsByBucket(rows([0.1, 0.2], () => ({ count: 0 })), '7/63/42');
+
+    expect(feature.properties.value).toBeCloseTo(0.15);
+  });
+
+  it('averages the change of delta cells', () => {
+    const [feature] = mergeCellsByBucket(rows([0.6, 0.6], i => ({ change_pct: i ? 10 : 4 })), '7/63/42');
+
+    expect(feature.properties.change_pct).toBeCloseTo((4 * 1 + 10 * 2) / 3);
+  });
+});
+
+describe('buildTileFeatures', () => {
+  const cellRows = rows([0.1, 0.2, 0.9]);
+
+  it('merges only when asked and at low zoom', () => {
+    expect(buildTileFeatures(cellRows, MERGE_MAX_ZOOM, { merged: true, tileKey: '8/127/85' })).toHaveLength(2);
+    expect(buildTileFeatures(cellRows, MERGE_MAX_ZOOM)).toHaveLength(3);
+    expect(buildTileFeatures(cellRows, MERGE_MAX_ZOOM + 1, { merged: true, tileKey: '9/255/170' })).toHaveLength(3);
+  });
+
+  it('rounds GeoJSON coordinates by zoom but leaves vector tiles to the encoder', () => {
+    const decimals = feature => Math.max(...feature.geometry.coordinates[0]
+      .flat()
+      .map(value => (String(value).split('.')[1] || '').length));
+
+    const [geojson] = buildTileFeatures(cellRows, 6);
+    const [vector] = buildTileFeatures(cellRows, 6, { isVectorTile: true });
+
+    expect(decimals(geojson)).toBeLessThanOrEqual(coordinatePrecision(6));
+    expect(decimals(vector)).toBeGreaterThan(coordinatePrecision(6));
+    expect(geojson.properties.h3_index).toBe(cells[0]);
+  });
+});
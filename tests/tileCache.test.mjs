@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+import { createPool } from './helpers/db.mjs';
+
+let datasetVersion = 'v1';
+let failing = false;
+let lastRun = new Date();
+const queryCellData = jest.fn(async cells => cells.slice(0, 3).map(cell => ({
+  h3_index: cell, price: 250000, count: 4, confidence: 0.5, value: 0.5
+})));
+
+const pool = createPool(sql => {
+  if (failing) throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  if (sql.includes('COUNT(*)')) return [{ rows: '1234' }];
+  if (sql.includes('FROM etl_runs')) {
+    return [{ id: '42', source_name: 'uk_land_registry', completed_at: lastRun, rows_processed: 1000, dataset_version: 'v1' }];
+  }
+  return [{ '?column?': 1 }];
+});
+
+jest.unstable_mockModule('../vercel-tiles/lib/db.js', () => ({ pool }));
+jest.unstable_mockModule('../vercel-tiles/lib/cellData.js', () => ({
+  queryCellData,
+  queryPopulatedCells: async (parents, level) => parents.flatMap(parent => h3.cellToChildren(parent, level))
+}));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => datasetVersion }));
+
+const { getCachedTile, setCachedTile, tileCacheStats } = await import('../vercel-tiles/lib/tileCache.js');
+const { TILE_MEMORY_CACHE_MAX_BYTES, ETL_STALE_AFTER_DAYS } = await import('../vercel-tiles/lib/config.js');
+const { default: tileHandler } = await import('../vercel-tiles/api/tiles/[z]/[x]/[y].js');
+const { default: healthHandler } = await import('../vercel-tiles/api/health.js');
+
+const tile = (text = 'tile') => ({ body: Buffer.from(text), empty: false });
+
+let address = 0;
+const getTile = query => call(tileHandler, {
+  query: { z: '11', x: '1022', y: '680', ...query },
+  address: `10.6.0.${++address}`
+});
+
+describe('tile cache', () => {
+  it('returns what was stored for the same dataset version', () => {
+    getCachedTile('a1', 'k');
+    setCachedTile('a1', 'k', tile('body'));
+
+    expect(getCachedTile('a1', 'k').body.toString()).toBe('body');
+    expect(getCachedTile('a1', 'other')).toBeUndefined();
+  });
+
+  it('empties itself when a new dataset version shows up', () => {
+    getCachedTile('b1', 'k');
+    setCachedTile('b1', 'k', tile());
+    const { invalidations } = tileCacheStats();
+
+    expect(getCachedTile('b2', 'k')).toBeUndefined();
+    expect(tileCacheStats()).toEqual(expect.objectContaining({
+      dataset_version: 'b2',
+      entries: 0,
+      bytes: 0,
+      invalidations: invalidations + 1
+    }));
+  });
+
+  it('drops tiles rendered against an older version', () => {
+    getCachedTile('c2', 'k');
+    setCachedTile('c1', 'k', tile());
+
+    expect(getCachedTile('c2', 'k')).toBeUndefined();
+  });
+
+  it('evicts the least recently used tiles over its size cap', () => {
+    const quarter = { body: Buffer.alloc(TILE_MEMORY_CACHE_MAX_BYTES / 4), empty: false };
+    getCachedTile('d1', 'a');
+    for (const key of ['a', 'b', 'c', 'd']) setCachedTile('d1', key, quarter);
+    const { evictions } = tileCacheStats();
+
+    // Reading a makes b the least recently used
+    getCachedTile('d1', 'a');
+    setCachedTile('d1', 'e', quarter);
+
+    expect(getCachedTile('d1', 'b')).toBeUndefined();
+    expect(getCachedTile('d1', 'a')).toBe(quarter);
+    expect(tileCacheStats()).toEqual(expect.objectContaining({
+      entries: 4,
+      bytes: TILE_MEMORY_CACHE_MAX_BYTES,
+      evictions: evictions + 1
+    }));
+  });
+
+  it('skips tiles bigger than the whole cache', () => {
+    getCachedTile('e1', 'k');
+    setCachedTile('e1', 'k', { body: { length: TILE_MEMORY_CACHE_MAX_BYTES + 1 }, empty: false });
+
+    expect(getCachedTile('e1', 'k')).toBeUndefined();
+  });
+
+  it('counts hits and misses', () => {
+    const before = tileCacheStats();
+    getCachedTile('f1', 'k');
+    setCachedTile('f1', 'k', tile());
+    getCachedTile('f1', 'k');
+
+    const after = tileCacheStats();
+    expect(after.hits - before.hits).toBe(1);
+    expect(after.misses - before.misses).toBe(1);
+    expect(after.hit_rate).toBe(Math.round((after.hits / (after.hits + after.misses)) * 1000) / 1000);
+  });
+});
+
+describe('cached tile requests', () => {
+  beforeEach(() => {
+    datasetVersion = `g${address}`;
+    queryCellData.mockClear();
+  });
+
+  it('render a tile once and serve it from memory after that', async () => {
+    const first = await getTile({});
+    const second = await getTile({});
+
+    expect(first.headers['x-tile-cache']).toBe('miss');
+    expect(second.headers['x-tile-cache']).toBe('hit');
+    expect(second.body).toEqual(first.body);
+    expect(queryCellData).toHaveBeenCalledTimes(1);
+  });
+
+  it('keep formats and filters apart', async () => {
+    await getTile({});
+    const vector = await getTile({ format: 'pbf' });
+    const filtered = await getTile({ type: 'flat' });
+
+    expect(vector.headers['x-tile-cache']).toBe('miss');
+    expect(filtered.headers['x-tile-cache']).toBe('miss');
+  });
+
+  it('render again after a new ETL run', async () => {
+    await getTile({});
+    datasetVersion = `${datasetVersion}-next`;
+
+    const res = await getTile({});
+
+    expect(res.headers['x-tile-cache']).toBe('miss');
+    expect(queryCellData).toHaveBeenCalledTimes(2);
+  });
+
+  it('bypass the cache in demo mode', async () => {
+    const res = await getTile({ demo: '1' });
+
+    expect(res.headers['x-tile-cache']).toBeUndefined();
+  });
+});
+
+describe('GET /api/health', () => {
+  const health = query => call(healthHandler, { query });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+  });
+
+  beforeEach(() => {
+    failing = false;
+    lastRun = new Date();
+    pool.reset();
+  });
+
+  it('reports the tile cache without touching the database', async () => {
+    const res = await health({});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.status).toBe('healthy');
+    expect(res.body.tile_cache).toEqual(tileCacheStats());
+    expect(pool.queries).toHaveLength(0);
+  });
+
+  it('checks the database, aggregate and last ETL run when deep', async () => {
+    const res = await health({ deep: '1' });
+    const { database, aggregated, etl } = res.body.checks;
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('healthy');
+    expect(database.ok).toBe(true);
+    expect(aggregated).toEqual(expect.objectContaining({ ok: true, rows: 1234 }));
+    expect(etl.last_success).toEqual(expect.objectContaining({ id: 42, dataset_version: 'v1' }));
+  });
+
+  it('reports a stale ETL run as degraded but still up', async () => {
+    lastRun = new Date(Date.now() - (ETL_STALE_AFTER_DAYS + 1) * 24 * 3600 * 1000);
+    const res = await health({ deep: 'true' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.checks.etl.ok).toBe(false);
+  });
+
+  it('fails with 503 when the database is unreachable', async () => {
+    failing = true;
+    const res = await health({ deep: '1' });
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.status).toBe('unhealthy');
+    expect(res.body.checks.database).toEqual(expect.objectContaining({ ok: false, code: 'DB_UNAVAILABLE' }));
+  });
+});
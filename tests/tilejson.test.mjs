@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import h3 from 'h3-js';
+import { call } from './helpers/http.mjs';
+import { createPool } from './helpers/db.mjs';
+
+const london = h3.latLngToCell(51.5, -0.12, 6);
+const manchester = h3.latLngToCell(53.48, -2.24, 6);
+let populated = [london, manchester];
+
+const pool = createPool(sql => {
+  if (sql.includes('SELECT DISTINCT h3_index')) {
+    return populated.map(cell => ({ h3_index: cell }));
+  }
+  return populated.length
+    ? [{ metric_type: 'median_price', sources: ['all', 'uk_land_registry'] }]
+    : [];
+});
+
+jest.unstable_mockModule('../vercel-tiles/lib/db.js', () => ({ pool }));
+jest.unstable_mockModule('../vercel-tiles/lib/dataset.js', () => ({ getDatasetVersion: async () => 'test' }));
+
+const { MIN_ZOOM, MAX_ZOOM, boundsCenter, buildTileJSON, configuredMetrics } = await import('../vercel-tiles/lib/tilejson.js');
+const { DATA_ATTRIBUTION } = await import('../vercel-tiles/lib/config.js');
+const { default: handler } = await import('../vercel-tiles/api/tilejson.js');
+
+let address = 0;
+const get = (query = {}, headers = {}) => call(handler, {
+  query,
+  headers: { host: 'tiles.test', ...headers },
+  address: `10.5.0.${++address}`
+});
+
+describe('buildTileJSON', () => {
+  const options = {
+    baseUrl: 'https://tiles.test',
+    query: {},
+    datasetVersion: 'test',
+    bounds: null,
+    metrics: configuredMetrics()
+  };
+
+  it('describes the hexagon tiles as TileJSON 3.0.0', () => {
+    const tilejson = buildTileJSON(options);
+
+    expect(tilejson).toEqual(expect.objectContaining({
+      tilejson: '3.0.0',
+      scheme: 'xyz',
+      attribution: DATA_ATTRIBUTION,
+      tiles: ['https://tiles.test/tiles/{z}/{x}/{y}.pbf'],
+      geojson_tiles: ['https://tiles.test/tiles/{z}/{x}/{y}.geojson'],
+      minzoom: MIN_ZOOM,
+      maxzoom: MAX_ZOOM,
+      dataset_version: 'test'
+    }));
+    expect(tilejson.vector_layers[0].fields).toHaveProperty('h3_index', 'String');
+  });
+
+  it('forwards tile parameters into the URL templates and drops the rest', () => {
+    const { tiles } = buildTileJSON({
+      ...options,
+      query: { metric: 'price_per_sqm', type: 'flat,terraced', new: '', callback: 'x' }
+    });
+
+    expect(tiles).toEqual(['https://tiles.test/tiles/{z}/{x}/{y}.pbf?metric=price_per_sqm&type=flat%2Cterraced']);
+  });
+
+  it('spans the world without populated bounds', () => {
+    expect(buildTileJSON(options).bounds).toEqual([-180, -85.0511, 180, 85.0511]);
+  });
+});
+
+describe('boundsCenter', () => {
+  it('centres on the bounds at a zoom that fits them', () => {
+    expect(boundsCenter([-2, 51, 0, 53])).toEqual([-1, 52, 6]);
+    expect(boundsCenter([-180, -85, 180, 85])).toEqual([0, 0, MIN_ZOOM]);
+    expect(boundsCenter([0, 51, 0, 51])[2]).toBe(MAX_ZOOM);
+  });
+});
+
+describe('GET /api/tilejson', () => {
+  beforeEach(() => {
+    populated = [london, manchester];
+  });
+
+  it('bounds the tileset by its populated cells and lists their metrics', async () => {
+    const res = await get({ metric: 'median_price' });
+    const { bounds, metrics, tiles } = res.body;
+
+    expect(res.statusCode).toBe(200);
+    expect(bounds[0]).toBeLessThan(-2.24);
+    expect(bounds[1]).toBeLessThan(51.5);
+    expect(bounds[2]).toBeGreaterThan(-0.12);
+    expect(bounds[3]).toBeGreaterThan(53.48);
+    expect(metrics).toEqual([{ metric: 'median_price', sources: ['all', 'uk_land_registry'] }]);
+    expect(tiles[0]).toBe('https://tiles.test/tiles/{z}/{x}/{y}.pbf?metric=median_price');
+  });
+
+  it('builds URLs for the origin the client used', async () => {
+    const res = await get({}, { 'x-forwarded-proto': 'http, https', 'x-forwarded-host': 'maps.example' });
+
+    expect(res.body.tiles[0]).toBe('http://maps.example/tiles/{z}/{x}/{y}.pbf');
+  });
+
+  it('falls back to every configured metric for an empty dataset', async () => {
+    populated = [];
+    const res = await get();
+
+    expect(res.body.bounds).toEqual([-180, -85.0511, 180, 85.0511]);
+    expect(res.body.metrics).toEqual(configuredMetrics());
+  });
+
+  it('answers demo requests without the database', async () => {
+    pool.reset();
+    const res = await get({ demo: '1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.dataset_version).toBe('demo');
+    expect(res.body.tiles[0]).toContain('demo=1');
+    expect(pool.queries).toHaveLength(0);
+  });
+
+  it('answers 304 when the ETag matches', async () => {
+    const first = await get();
+    const res = await get({}, { 'if-none-match': first.headers.etag });
+
+    expect(res.statusCode).toBe(304);
+  });
+});
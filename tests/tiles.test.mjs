@@ -0,0 +1,107 @@
+import h3 from 'h3-js';
+import {
+  childRange,
+  getH3CellsForTile,
+  polyfillBBox,
+  splitBBox,
+  tileCoverageBBox,
+  tileToBBox
+} from '../vercel-tiles/lib/tiles.js';
+
+const inRange = (cell, [first, last]) => cell >= first && cell <= last;
+
+describe('childRange', () => {
+  const parent = h3.latLngToCell(51.5, -0.12, 7);
+
+  it('spans every descendant of the parent', () => {
+    for (const level of [8, 10, 12]) {
+      const range = childRange(parent, level);
+      const children = h3.cellToChildren(parent, level);
+
+      expect(range[0]).toBe(h3.cellToCenterChild(parent, level));
+      expect(children.every(child => inRange(child, range))).toBe(true);
+    }
+  });
+
+  it('excludes the descendants of neighbouring cells', () => {
+    const range = childRange(parent, 10);
+    const neighbours = h3.gridDisk(parent, 1).filter(cell => cell !== parent);
+
+    for (const neighbour of neighbours) {
+      expect(h3.cellToChildren(neighbour, 10).some(child => inRange(child, range))).toBe(false);
+    }
+  });
+
+  it('covers pentagon descendants, which skip a digit', () => {
+    const [pentagon] = h3.getPentagons(4);
+    const range = childRange(pentagon, 7);
+
+    expect(h3.cellToChildren(pentagon, 7).every(child => inRange(child, range))).toBe(true);
+  });
+
+  it('is the cell itself at its own level', () => {
+    expect(childRange(parent, 7)).toEqual([parent, parent]);
+  });
+});
+
+describe('polyfillBBox', () => {
+  it('covers the whole world', () => {
+    expect(polyfillBBox([-180, -90, 180, 90], 1)).toHaveLength(h3.getNumCells(1));
+  });
+
+  it('wraps boxes that cross the antimeridian', () => {
+    expect(splitBBox([170, -10, -170, 10])).toEqual([[170, -10, 180, 10], [-180, -10, -170, 10]]);
+
+    const cells = polyfillBBox([170, -10, -170, 10], 3);
+    const lngs = cells.map(cell => h3.cellToLatLng(cell)[1]);
+    expect(lngs.some(lng => lng > 170)).toBe(true);
+    expect(lngs.some(lng => lng < -170)).toBe(true);
+    expect(lngs.every(lng => lng >= 170 || lng <= -170)).toBe(true);
+  });
+
+  it('splits wide boxes into pieces H3 can fill', () => {
+    for (const [west, south, east, north] of splitBBox([-180, -90, 180, 90])) {
+      expect(east - west).toBeLessThanOrEqual(90);
+      expect(north - south).toBeLessThanOrEqual(90);
+    }
+  });
+});
+
+describe('getH3CellsForTile', () => {
+  it('gives every cell to exactly one tile', () => {
+    const z = 6;
+    const seen = new Map();
+
+    for (let x = 30; x < 34; x++) {
+      for (let y = 20; y < 23; y++) {
+        for (const cell of getH3CellsForTile(z, x, y, 5)) {
+          expect(seen.get(cell)).toBeUndefined();
+          seen.set(cell, `${x}/${y}`);
+        }
+      }
+    }
+
+    expect(seen.size).toBeGreaterThan(0);
+  });
+
+  it('shares edge cells between neighbours in buffered mode', () => {
+    const owned = getH3CellsForTile(6, 31, 21, 5);
+    const buffered = getH3CellsForTile(6, 31, 21, 5, { buffered: true });
+    const neighbour = new Set(getH3CellsForTile(6, 32, 21, 5, { buffered: true }));
+
+    expect(buffered.length).toBeGreaterThan(owned.length);
+    expect(owned.every(cell => buffered.includes(cell))).toBe(true);
+    expect(buffered.some(cell => neighbour.has(cell))).toBe(true);
+  });
+
+  it('stretches the top and bottom rows to the poles', () => {
+    const [, south, , north] = tileToBBox(1, 0, 0);
+    expect(tileCoverageBBox(1, 0, 0)).toEqual([-180, south, 0, 90]);
+    expect(tileCoverageBBox(1, 0, 1)[1]).toBe(-90);
+    expect(north).toBeLessThan(86);
+
+    const northPole = h3.latLngToCell(90, 0, 2);
+    const topRow = [0, 1].flatMap(x => getH3CellsForTile(1, x, 0, 2));
+    expect(topRow).toContain(northPole);
+  });
+});
@@ -0,0 +1,79 @@
+import h3 from 'h3-js';
+import { TILE_CACHE_TTL } from '../../lib/config.js';
+import { parseTileFilters, hasBucketFilters } from '../../lib/filters.js';
+import { queryCellDetail } from '../../lib/cellDetail.js';
+import { getDatasetVersion } from '../../lib/dataset.js';
+import { createETag, isNotModified } from '../../lib/etag.js';
+import { applyRateLimit } from '../../lib/rateLimit.js';
+import { cacheControlFor } from '../../lib/cache.js';
+import { ApiError, databaseError, sendError } from '../../lib/errors.js';
+
+export default async function handler(req, res) {
+  // H3 indexes are lowercase hex; accept them in either case
+  const h3Index = String(req.query.h3_index || '').toLowerCase();
+
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Dataset-Version, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!h3.isValidCell(h3Index)) {
+    return sendError(res, new ApiError('INVALID_PARAMETERS', `Invalid H3 index '${req.query.h3_index}'`));
+  }
+
+  const { filters, error: filterError } = parseTileFilters(req.query);
+  if (filterError) {
+    return sendError(res, new ApiError('INVALID_PARAMETERS', filterError));
+  }
+
+  // The detail always covers every period and property type
+  if (hasBucketFilters(filters)) {
+    return sendError(res, new ApiError(
+      'INVALID_PARAMETERS',
+      'Cell detail accepts only metric and source; from, to, type, tenure and new are not supported'
+    ));
+  }
+
+  try {
+    const datasetVersion = await getDatasetVersion();
+    const etag = createETag(datasetVersion, {
+      h3_index: h3Index,
+      metric: filters.metric,
+      source: filters.source
+    });
+
+    res.setHeader('ETag', etag);
+    res.setHeader('X-Dataset-Version', datasetVersion);
+    res.setHeader('Cache-Control', cacheControlFor(TILE_CACHE_TTL.MID_ZOOM));
+
+    if (isNotModified(req, etag)) {
+      return res.status(304).end();
+    }
+
+    // Revalidations above are free; everything else spends a token
+    if (!(await applyRateLimit(req, res))) {
+      return;
+    }
+
+    const detail = await queryCellDetail(h3Index, filters);
+
+    if (!detail) {
+      return sendError(
+        res,
+        new ApiError('NOT_FOUND', 'No data for this cell', { h3_index: h3Index }),
+        { cacheControl: cacheControlFor(TILE_CACHE_TTL.EMPTY) }
+      );
+    }
+
+    return res.status(200).json({ ...detail, dataset_version: datasetVersion });
+
+  } catch (error) {
+    console.error('Cell detail query failed:', error);
+    return sendError(res, databaseError(error));
+  }
+}
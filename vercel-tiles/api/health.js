@@ -1,7 +1,30 @@
+import { deepHealthChecks } from '../lib/health.js';
+import { tileCacheStats } from '../lib/tileCache.js';
+
+const DEEP_VALUES = ['1', 'true'];
+
 export default async function handler(req, res) {
-  return res.status(200).json({
-    status: 'healthy',
+  const deep = DEEP_VALUES.includes(String(req.query?.deep || '').toLowerCase());
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!deep) {
+    return res.status(200).json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      service: 'weflutgrid-tiles',
+      tile_cache: tileCacheStats()
+    });
+  }
+
+  // Only an unreachable database fails the probe; stale data is reported
+  const { status, checks } = await deepHealthChecks();
+
+  return res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
     timestamp: new Date().toISOString(),
-    service: 'weflutgrid-tiles'
+    service: 'weflutgrid-tiles',
+    tile_cache: tileCacheStats(),
+    checks
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,73 @@
+import { SEARCH_MIN_LENGTH, TILE_CACHE_TTL } from '../lib/config.js';
+import { parseTileFilters } from '../lib/filters.js';
+import { normalizeQuery, searchPlaces } from '../lib/search.js';
+import { getDatasetVersion } from '../lib/dataset.js';
+import { createETag, isNotModified } from '../lib/etag.js';
+import { applyRateLimit } from '../lib/rateLimit.js';
+import { cacheControlFor } from '../lib/cache.js';
+import { ApiError, databaseError, sendError } from '../lib/errors.js';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Dataset-Version, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const query = normalizeQuery(req.query.q || '');
+  if (query.length < SEARCH_MIN_LENGTH) {
+    return sendError(res, new ApiError(
+      'INVALID_PARAMETERS',
+      `q must be at least ${SEARCH_MIN_LENGTH} characters`
+    ));
+  }
+
+  const { filters, error: filterError } = parseTileFilters(req.query);
+  if (filterError) {
+    return sendError(res, new ApiError('INVALID_PARAMETERS', filterError));
+  }
+
+  try {
+    const datasetVersion = await getDatasetVersion();
+    const etag = createETag(datasetVersion, {
+      q: query,
+      metric: filters.metric,
+      source: filters.source
+    });
+
+    res.setHeader('ETag', etag);
+    res.setHeader('X-Dataset-Version', datasetVersion);
+    res.setHeader('Cache-Control', cacheControlFor(TILE_CACHE_TTL.MID_ZOOM));
+
+    if (isNotModified(req, etag)) {
+      return res.status(304).end();
+    }
+
+    // Revalidations above are free; everything else spends a token
+    if (!(await applyRateLimit(req, res))) {
+      return;
+    }
+
+    const results = await searchPlaces(query, filters);
+
+    if (!results.length) {
+      res.setHeader('Cache-Control', cacheControlFor(TILE_CACHE_TTL.EMPTY));
+    }
+
+    return res.status(200).json({
+      query,
+      metric: filters.metric,
+      source: filters.source,
+      results,
+      dataset_version: datasetVersion
+    });
+
+  } catch (error) {
+    console.error('Search failed:', error);
+    return sendError(res, databaseError(error));
+  }
+}
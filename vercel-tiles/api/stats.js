@@ -0,0 +1,107 @@
+import { H3_MIN_LEVEL, METRIC_TYPES, STATS_MAX_LEVEL, TILE_CACHE_TTL } from '../lib/config.js';
+import { parseTileFilters } from '../lib/filters.js';
+import { parseBBox, parsePolygon, resolveAreaCells } from '../lib/area.js';
+import { queryAreaStats } from '../lib/areaStats.js';
+import { getDatasetVersion } from '../lib/dataset.js';
+import { createETag, isNotModified } from '../lib/etag.js';
+import { applyRateLimit } from '../lib/rateLimit.js';
+import { cacheControlFor } from '../lib/cache.js';
+import { ApiError, databaseError, sendError } from '../lib/errors.js';
+
+// Area comes from the query string on GET, or the JSON body on POST
+function parseArea(input) {
+  if (input.bbox && input.polygon) {
+    return { error: 'Pass either bbox or polygon, not both' };
+  }
+
+  if (input.bbox) {
+    const { bbox, error } = parseBBox(input.bbox);
+    return error ? { error } : { area: { bbox } };
+  }
+
+  if (input.polygon) {
+    const { polygons, error } = parsePolygon(input.polygon);
+    return error ? { error } : { area: { polygons } };
+  }
+
+  return { error: 'Missing bbox or polygon' };
+}
+
+function parseLevel(value) {
+  if (value === undefined || value === '') return {};
+
+  const level = parseInt(value);
+  if (isNaN(level) || level < H3_MIN_LEVEL || level > STATS_MAX_LEVEL) {
+    return { error: `level must be between ${H3_MIN_LEVEL} and ${STATS_MAX_LEVEL}` };
+  }
+
+  return { level };
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Dataset-Version, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const input = req.method === 'POST' ? { ...req.query, ...(req.body || {}) } : req.query;
+
+  const { area, error: areaError } = parseArea(input);
+  const { level, error: levelError } = parseLevel(input.level);
+  const { filters, error: filterError } = parseTileFilters(input);
+  const parameterError = areaError || levelError || filterError ||
+    (filters.metric === METRIC_TYPES.GROSS_YIELD ? 'Area statistics are not available for gross_yield' : null);
+
+  if (parameterError) {
+    return sendError(res, new ApiError('INVALID_PARAMETERS', parameterError));
+  }
+
+  const resolved = resolveAreaCells(area, level);
+  if (resolved.tooLarge) {
+    return sendError(res, new ApiError('AREA_TOO_LARGE', resolved.error));
+  }
+
+  try {
+    const datasetVersion = await getDatasetVersion();
+    res.setHeader('X-Dataset-Version', datasetVersion);
+
+    // Only GET responses are cacheable; POST bodies are not part of the URL
+    if (req.method === 'GET') {
+      const etag = createETag(datasetVersion, { area, level: resolved.level, filters });
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', cacheControlFor(TILE_CACHE_TTL.MID_ZOOM));
+
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+    } else {
+      res.setHeader('Cache-Control', 'no-store');
+    }
+
+    // Revalidations above are free; everything else spends a token
+    if (!(await applyRateLimit(req, res))) {
+      return;
+    }
+
+    const stats = await queryAreaStats(resolved.cells, resolved.level, filters);
+
+    return res.status(200).json({
+      metric: filters.metric,
+      source: filters.source,
+      h3_level: resolved.level,
+      area_km2: resolved.areaKm2,
+      cells_covered: resolved.cells.length,
+      ...stats,
+      dataset_version: datasetVersion
+    });
+
+  } catch (error) {
+    console.error('Area stats query failed:', error);
+    return sendError(res, databaseError(error));
+  }
+}
@@ -0,0 +1,66 @@
+import { TILE_CACHE_TTL } from '../lib/config.js';
+import { isDemoMode } from '../lib/demo.js';
+import { getDatasetVersion } from '../lib/dataset.js';
+import { createETag, isNotModified } from '../lib/etag.js';
+import { applyRateLimit } from '../lib/rateLimit.js';
+import { cacheControlFor } from '../lib/cache.js';
+import { databaseError, sendError } from '../lib/errors.js';
+import { buildTileJSON, queryTilesetInfo, configuredMetrics } from '../lib/tilejson.js';
+
+// Public origin of this deployment, as seen by the client
+function requestBaseUrl(req) {
+  const proto = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0];
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Dataset-Version, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const demo = isDemoMode(req);
+  const baseUrl = requestBaseUrl(req);
+
+  try {
+    const datasetVersion = demo ? 'demo' : await getDatasetVersion();
+    const etag = createETag(datasetVersion, { baseUrl, query: req.query });
+
+    res.setHeader('ETag', etag);
+    res.setHeader('X-Dataset-Version', datasetVersion);
+    res.setHeader('Cache-Control', cacheControlFor(TILE_CACHE_TTL.HIGH_ZOOM));
+
+    if (isNotModified(req, etag)) {
+      return res.status(304).end();
+    }
+
+    // Revalidations above are free; everything else spends a token
+    if (!(await applyRateLimit(req, res))) {
+      return;
+    }
+
+    // Demo tiles cover the whole world with every metric
+    const info = demo
+      ? { bounds: null, metrics: configuredMetrics() }
+      : await queryTilesetInfo();
+
+    res.setHeader('Content-Type', 'application/json');
+    return res.status(200).json(buildTileJSON({
+      baseUrl,
+      query: req.query,
+      datasetVersion,
+      bounds: info.bounds,
+      metrics: info.metrics.length ? info.metrics : configuredMetrics()
+    }));
+
+  } catch (error) {
+    console.error('TileJSON generation failed:', error);
+    return sendError(res, databaseError(error));
+  }
+}
@@ -1,50 +1,20 @@
-import { Pool } from 'pg';
-import h3 from 'h3-js';
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-  max: 10,
-  idleTimeoutMillis: 30000,
-});
-
-const ZOOM_TO_H3 = {
-  0: 2, 1: 2, 2: 3, 3: 4, 4: 4, 5: 5,
-  6: 6, 7: 7, 8: 7, 9: 8, 10: 8, 11: 9,
-  12: 9, 13: 10, 14: 10, 15: 10, 16: 11,
-  17: 11, 18: 11, 19: 12, 20: 12
-};
-
-function tileToBBox(z, x, y) {
-  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
-  const lat1 = (Math.atan(Math.sinh(n)) * 180) / Math.PI;
-  const lng1 = (x / Math.pow(2, z)) * 360 - 180;
-
-  const n2 = Math.PI - (2 * Math.PI * (y + 1)) / Math.pow(2, z);
-  const lat2 = (Math.atan(Math.sinh(n2)) * 180) / Math.PI;
-  const lng2 = ((x + 1) / Math.pow(2, z)) * 360 - 180;
-
-  return [lng1, lat2, lng2, lat1];
-}
-
-function getH3CellsForBBox(west, south, east, north, resolution) {
-  try {
-    const polygon = [[
-      [north, west],
-      [north, east],
-      [south, east],
-      [south, west],
-      [north, west]
-    ]];
-
-    return h3.polygonToCells(polygon, resolution);
-  } catch (error) {
-    console.warn('H3 polyfill failed:', error.message);
-    const centerLat = (south + north) / 2;
-    const centerLng = (west + east) / 2;
-    return [h3.latLngToCell(centerLat, centerLng, resolution)];
-  }
-}
+import { ZOOM_TO_H3 } from '../../../../lib/config.js';
+import { encodeTile } from '../../../../lib/mvt.js';
+import { isDemoMode } from '../../../../lib/demo.js';
+import { parseTileFilters } from '../../../../lib/filters.js';
+import { renderTiles } from '../../../../lib/render.js';
+import { getTileArchive, archiveCovers } from '../../../../lib/archive.js';
+import { getDatasetVersion } from '../../../../lib/dataset.js';
+import { getCachedTile, setCachedTile } from '../../../../lib/tileCache.js';
+import { createETag, isNotModified } from '../../../../lib/etag.js';
+import { applyRateLimit } from '../../../../lib/rateLimit.js';
+import { tileCacheControl } from '../../../../lib/cache.js';
+import { ApiError, databaseError, sendError } from '../../../../lib/errors.js';
+import { MERGE_MAX_ZOOM } from '../../../../lib/simplify.js';
+
+const VECTOR_TILE_FORMATS = ['pbf', 'mvt'];
+const FLAG_VALUES = ['1', 'true'];
+const MAX_ZOOM = Math.max(...Object.keys(ZOOM_TO_H3).map(Number));
 
 export default async function handler(req, res) {
   const { z, x, y } = req.query;
@@ -52,7 +22,8 @@ export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Data-Source, X-Tile-Cache, X-Dataset-Version, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -62,153 +33,155 @@ export default async function handler(req, res) {
   const tileX = parseInt(x);
   const tileY = parseInt(y);
 
+  // Format comes from the rewrite (?format=pbf) or the raw extension on y
+  const extension = String(y).split('.')[1];
+  const format = (req.query.format || extension || 'geojson').toLowerCase();
+  const isVectorTile = VECTOR_TILE_FORMATS.includes(format);
+
   if (isNaN(zoom) || isNaN(tileX) || isNaN(tileY)) {
-    return res.status(400).json({ error: 'Invalid tile coordinates' });
+    return sendError(res, new ApiError('INVALID_COORDINATES', `Tile ${z}/${x}/${y} is not numeric`));
   }
 
-  const h3Level = ZOOM_TO_H3[zoom] || 8;
-  const [west, south, east, north] = tileToBBox(zoom, tileX, tileY);
+  if (zoom < 0 || zoom > MAX_ZOOM) {
+    return sendError(res, new ApiError('TILE_OUT_OF_RANGE', `Zoom must be between 0 and ${MAX_ZOOM}`));
+  }
 
-  try {
-    const h3Cells = getH3CellsForBBox(west, south, east, north, h3Level);
+  const tileCount = Math.pow(2, zoom);
+  if (tileX < 0 || tileY < 0 || tileX >= tileCount || tileY >= tileCount) {
+    return sendError(res, new ApiError(
+      'TILE_OUT_OF_RANGE',
+      `x and y must be between 0 and ${tileCount - 1} at zoom ${zoom}`
+    ));
+  }
 
-    if (!h3Cells.length) {
-      return res.status(200).json({
-        type: 'FeatureCollection',
-        features: []
-      });
-    }
+  const { filters, error: filterError } = parseTileFilters(req.query, { compare: true });
+  if (filterError) {
+    return sendError(res, new ApiError('INVALID_PARAMETERS', filterError));
+  }
 
-    let features = [];
-    let useDbData = false;
+  // Buffered tiles also carry the edge cells owned by their neighbours
+  const buffered = FLAG_VALUES.includes(String(req.query.buffer || '').toLowerCase());
+  // Same-bucket cells can be merged into multipolygons at low zoom only
+  const merged = zoom <= MERGE_MAX_ZOOM &&
+    FLAG_VALUES.includes(String(req.query.merge || '').toLowerCase());
+  const demo = isDemoMode(req);
 
-    // Try to get data from database first
+  // A PMTiles archive, when configured, answers the tiles it covers
+  let archive = null;
+  if (!demo) {
     try {
-      const client = await pool.connect();
-
-      try {
-        // Query database for property data within these H3 cells
-        const query = `
-          SELECT 
-            h3_index,
-            weighted_metric as price,
-            tx_count as count,
-            avg_confidence as confidence,
-            normalized_value as value
-          FROM heatmap_aggregated
-          WHERE h3_index = ANY($1::text[])
-            AND h3_level = $2
-        `;
-
-        const result = await client.query(query, [h3Cells, h3Level]);
-
-        console.log(`Tile ${z}/${x}/${y}: Found ${result.rows.length} cells with data`);
-
-        if (result.rows.length > 0) {
-          useDbData = true;
-
-          // Create a map of h3_index to data for quick lookup
-          const dataMap = {};
-          result.rows.forEach(row => {
-            dataMap[row.h3_index] = {
-              price: parseFloat(row.price),
-              count: parseInt(row.count),
-              confidence: parseFloat(row.confidence),
-              value: parseFloat(row.value)
-            };
-          });
-
-          // Build features from database data
-          features = h3Cells.map(cell => {
-            try {
-              const boundary = h3.cellToBoundary(cell, true);
-              const coordinates = boundary.map(([lat, lng]) => [lng, lat]);
-              coordinates.push(coordinates[0]);
-
-              // Use real data if available, otherwise skip
-              if (dataMap[cell]) {
-                return {
-                  type: 'Feature',
-                  properties: {
-                    price: dataMap[cell].price,
-                    count: dataMap[cell].count,
-                    confidence: dataMap[cell].confidence,
-                    value: dataMap[cell].value,
-                    h3_index: cell,
-                  },
-                  geometry: {
-                    type: 'Polygon',
-                    coordinates: [coordinates]
-                  }
-                };
-              }
-              return null;
-            } catch (error) {
-              console.error(`Error processing cell ${cell}:`, error);
-              return null;
-            }
-          }).filter(Boolean);
-        } else {
-          console.log(`Tile ${z}/${x}/${y}: No data found for these cells`);
-        }
-      } finally {
-        client.release();
-      }
+      archive = await getTileArchive();
+    } catch (archiveError) {
+      console.error('PMTiles archive unavailable, using the database:', archiveError);
+    }
+  }
+  const fromArchive = Boolean(archive) && archiveCovers(archive, {
+    zoom, x: tileX, y: tileY, isVectorTile, filters, buffered, merged
+  });
+
+  let dataSource = 'database';
+  if (demo) dataSource = 'demo';
+  else if (fromArchive) dataSource = 'pmtiles';
+  res.setHeader('X-Data-Source', dataSource);
+
+  // Validators: the tile body only changes when a new ETL run completes
+  let datasetVersion = 'demo';
+  if (fromArchive) {
+    datasetVersion = archive.metadata.dataset_version;
+  } else if (!demo) {
+    try {
+      datasetVersion = await getDatasetVersion();
     } catch (dbError) {
-      console.error('Database query failed:', dbError);
-      // Don't return error to client, just return empty features
+      console.error('Dataset version lookup failed:', dbError);
+      return sendError(res, databaseError(dbError));
     }
+  }
+
+  const etag = createETag(datasetVersion, {
+    z: zoom,
+    x: tileX,
+    y: tileY,
+    format: isVectorTile ? 'mvt' : 'geojson',
+    buffered,
+    merged,
+    filters
+  });
+
+  res.setHeader('ETag', etag);
+  res.setHeader('X-Dataset-Version', datasetVersion);
+  res.setHeader('Cache-Control', tileCacheControl(zoom, { degraded: demo }));
+
+  if (isNotModified(req, etag)) {
+    return res.status(304).end();
+  }
 
-    // If no database data was retrieved, use mock data
-    if (!useDbData) {
-      features = h3Cells.map((cell, index) => {
-        try {
-          const boundary = h3.cellToBoundary(cell, true);
-          const coordinates = boundary.map(([lat, lng]) => [lng, lat]);
-          coordinates.push(coordinates[0]);
-
-          const mockPrice = 200000 + (Math.random() * 800000);
-          const mockCount = Math.floor(Math.random() * 50) + 1;
-          const mockConfidence = 0.3 + (Math.random() * 0.7);
-          const mockValue = Math.random();
-
-          return {
-            type: 'Feature',
-            properties: {
-              price: mockPrice,
-              count: mockCount,
-              confidence: mockConfidence,
-              value: mockValue,
-              h3_index: cell,
-            },
-            geometry: {
-              type: 'Polygon',
-              coordinates: [coordinates]
-            }
-          };
-        } catch (error) {
-          return null;
-        }
-      }).filter(Boolean);
+  // Revalidations above are free; everything else spends a token
+  if (!(await applyRateLimit(req, res))) {
+    return;
+  }
+
+  try {
+    if (fromArchive) {
+      // Archive tiles are stored already encoded, exactly as tileBody would
+      const data = await archive.getTile(zoom, tileX, tileY);
+      const tile = data
+        ? { body: Buffer.from(data), empty: false }
+        : tileBody([], { zoom, tileX, tileY, isVectorTile, filters });
+      return sendTile(res, tile, { zoom, isVectorTile, demo });
     }
 
-    const geojson = {
-      type: 'FeatureCollection',
-      features: features
-    };
+    // Hot tiles stay encoded in memory until the next ETL run; the ETag
+    // already covers the tile, format, flags and filters
+    if (!demo) {
+      const cached = getCachedTile(datasetVersion, etag);
+      res.setHeader('X-Tile-Cache', cached ? 'hit' : 'miss');
+      if (cached) {
+        return sendTile(res, cached, { zoom, isVectorTile, demo });
+      }
+    }
+
+    const key = `${zoom}/${tileX}/${tileY}`;
+    const rendered = await renderTiles([{ z: zoom, x: tileX, y: tileY }], zoom, {
+      filters,
+      buffered,
+      merged,
+      isVectorTile,
+      demo
+    });
+    const features = rendered.get(key);
 
-    res.setHeader('Content-Type', 'application/geo+json');
-    res.setHeader('Cache-Control', 'public, max-age=3600, stale-while-revalidate=86400');
+    const tile = tileBody(features, { zoom, tileX, tileY, isVectorTile, filters });
+    if (!demo) {
+      setCachedTile(datasetVersion, etag, tile);
+    }
 
-    return res.status(200).json(geojson);
+    return sendTile(res, tile, { zoom, isVectorTile, demo });
 
   } catch (error) {
     console.error('Tile generation error:', error);
+    return sendError(res, error);
+  }
+}
 
-    // Return empty GeoJSON on error (don't break the map)
-    return res.status(200).json({
+// Encoded response body; empty tiles get a shorter cache lifetime
+function tileBody(features, { zoom, tileX, tileY, isVectorTile, filters }) {
+  const body = isVectorTile
+    ? encodeTile(features, { z: zoom, x: tileX, y: tileY })
+    : Buffer.from(JSON.stringify({
       type: 'FeatureCollection',
-      features: []
-    });
+      metric: filters.metric,
+      source: filters.source,
+      features: features
+    }));
+
+  return { body, empty: !features.length };
+}
+
+function sendTile(res, { body, empty }, { zoom, isVectorTile, demo }) {
+  if (empty) {
+    res.setHeader('Cache-Control', tileCacheControl(zoom, { empty: true, degraded: demo }));
   }
+
+  res.setHeader('Content-Type', isVectorTile ? 'application/vnd.mapbox-vector-tile' : 'application/geo+json');
+  return res.status(200).send(body);
 }
@@ -0,0 +1,157 @@
+import { parseBatchTiles } from '../../lib/batch.js';
+import { isDemoMode } from '../../lib/demo.js';
+import { parseTileFilters } from '../../lib/filters.js';
+import { renderTiles } from '../../lib/render.js';
+import { getTileArchive, archiveCovers } from '../../lib/archive.js';
+import { getDatasetVersion } from '../../lib/dataset.js';
+import { createETag, isNotModified } from '../../lib/etag.js';
+import { applyRateLimit } from '../../lib/rateLimit.js';
+import { tileCacheControl } from '../../lib/cache.js';
+import { ApiError, databaseError, sendError } from '../../lib/errors.js';
+import { MERGE_MAX_ZOOM } from '../../lib/simplify.js';
+
+const FLAG_VALUES = ['1', 'true'];
+
+/**
+ * Several GeoJSON tiles at one zoom in a single response, keyed by z/x/y.
+ * Tiles a PMTiles archive covers are read from it; cells for the others are
+ * fetched with one query. Each tile body matches what
+ * /tiles/{z}/{x}/{y}.geojson returns for the same parameters.
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Data-Source, X-Dataset-Version, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const input = req.method === 'POST' ? { ...req.query, ...(req.body || {}) } : req.query;
+
+  const { zoom, tiles, code, error: tileError } = parseBatchTiles(input);
+  if (tileError) {
+    return sendError(res, new ApiError(code || 'INVALID_PARAMETERS', tileError));
+  }
+
+  const { filters, error: filterError } = parseTileFilters(input, { compare: true });
+  if (filterError) {
+    return sendError(res, new ApiError('INVALID_PARAMETERS', filterError));
+  }
+
+  const buffered = FLAG_VALUES.includes(String(input.buffer || '').toLowerCase());
+  const merged = zoom <= MERGE_MAX_ZOOM &&
+    FLAG_VALUES.includes(String(input.merge || '').toLowerCase());
+  const demo = isDemoMode(req);
+
+  // A PMTiles archive, when configured, answers the tiles it covers, as for
+  // single tiles
+  let archive = null;
+  if (!demo) {
+    try {
+      archive = await getTileArchive();
+    } catch (archiveError) {
+      console.error('PMTiles archive unavailable, using the database:', archiveError);
+    }
+  }
+  const archived = new Set();
+  if (archive) {
+    for (const { x, y } of tiles) {
+      if (archiveCovers(archive, { zoom, x, y, isVectorTile: false, filters, buffered, merged })) {
+        archived.add(`${zoom}/${x}/${y}`);
+      }
+    }
+  }
+  const databaseTiles = tiles.filter(({ z, x, y }) => !archived.has(`${z}/${x}/${y}`));
+
+  // One entry per source used, archive first: a batch straddling the edge of
+  // the archive lists both
+  const dataSources = [];
+  if (demo) dataSources.push('demo');
+  if (archived.size) dataSources.push('pmtiles');
+  if (!demo && databaseTiles.length) dataSources.push('database');
+  res.setHeader('X-Data-Source', dataSources.join(', '));
+
+  try {
+    const versions = [];
+    if (demo) versions.push('demo');
+    if (archived.size) versions.push(archive.metadata.dataset_version);
+    if (!demo && databaseTiles.length) versions.push(await getDatasetVersion());
+    const datasetVersion = versions.join(', ');
+    res.setHeader('X-Dataset-Version', datasetVersion);
+    res.setHeader('Cache-Control', tileCacheControl(zoom, { degraded: demo }));
+
+    // Only GET responses are cacheable; POST bodies are not part of the URL
+    if (req.method === 'GET') {
+      const etag = createETag(datasetVersion, {
+        tiles: tiles.map(({ z, x, y }) => `${z}/${x}/${y}`),
+        buffered,
+        merged,
+        filters
+      });
+      res.setHeader('ETag', etag);
+
+      if (isNotModified(req, etag)) {
+        return res.status(304).end();
+      }
+    } else {
+      res.setHeader('Cache-Control', 'no-store');
+    }
+
+    // Revalidations above are free; a batch spends one token per tile, as
+    // the same tiles requested one by one would
+    if (!(await applyRateLimit(req, res, { cost: tiles.length }))) {
+      return;
+    }
+
+    const rendered = databaseTiles.length
+      ? await renderTiles(databaseTiles, zoom, { filters, buffered, merged, demo })
+      : new Map();
+    const body = {};
+    let featureCount = 0;
+
+    for (const { z, x, y } of tiles) {
+      const key = `${z}/${x}/${y}`;
+      let tile;
+
+      if (archived.has(key)) {
+        // Archive tiles are stored as the single-tile GeoJSON body; inside
+        // its coverage a missing tile is an empty tile
+        const data = await archive.getTile(z, x, y);
+        tile = data ? JSON.parse(data.toString('utf8')) : featureCollection([], filters);
+      } else {
+        tile = featureCollection(rendered.get(key), filters);
+      }
+
+      featureCount += tile.features.length;
+      body[key] = tile;
+    }
+
+    if (!featureCount && req.method === 'GET') {
+      res.setHeader('Cache-Control', tileCacheControl(zoom, { empty: true, degraded: demo }));
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    return res.status(200).json({
+      zoom,
+      metric: filters.metric,
+      source: filters.source,
+      tiles: body
+    });
+
+  } catch (error) {
+    console.error('Batch tile generation failed:', error);
+    return sendError(res, databaseError(error));
+  }
+}
+
+function featureCollection(features, filters) {
+  return {
+    type: 'FeatureCollection',
+    metric: filters.metric,
+    source: filters.source,
+    features
+  };
+}
@@ -0,0 +1,78 @@
+import { openArchive, createFileSource, createHttpSource, TILE_TYPE } from './pmtiles.js';
+import { tileToBBox } from './tiles.js';
+import { MERGE_MAX_ZOOM } from './simplify.js';
+
+let archive;
+let archiveLocation;
+
+/**
+ * PMTiles archive configured by PMTILES_PATH (a local file or an http(s)
+ * URL), opened once per instance. Resolves to null when none is set; a
+ * failed open is retried on the next call. When PMTILES_PATH changes the
+ * open archive is closed and the new one opened.
+ */
+export function getTileArchive() {
+  const location = process.env.PMTILES_PATH;
+  if (archive && location !== archiveLocation) {
+    closeTileArchive().catch(error => console.error('Closing the PMTiles archive failed:', error));
+  }
+  if (!location) return Promise.resolve(null);
+
+  if (!archive) {
+    const source = /^https?:\/\//.test(location)
+      ? createHttpSource(location)
+      : createFileSource(location);
+
+    const opening = openArchive(source).catch(error => {
+      if (archive === opening) {
+        archive = undefined;
+        archiveLocation = undefined;
+      }
+      source.close();
+      throw error;
+    });
+    archive = opening;
+    archiveLocation = location;
+  }
+
+  return archive;
+}
+
+/**
+ * Close the open archive, if any; the next getTileArchive() opens it again
+ */
+export async function closeTileArchive() {
+  const closing = archive;
+  archive = undefined;
+  archiveLocation = undefined;
+
+  if (closing) {
+    await closing.then(open => open.close(), () => {});
+  }
+}
+
+function sameFilters(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Whether the archive can answer a tile request: rendered with the same
+ * format, filters and flags, and the tile lies inside its zoom range and
+ * bbox. Inside that coverage a missing tile is an empty tile.
+ */
+export function archiveCovers({ header, metadata }, { zoom, x, y, isVectorTile, filters, buffered, merged }) {
+  const options = metadata.options || {};
+  const isArchiveVector = header.tileType === TILE_TYPE.MVT;
+
+  if (isVectorTile !== isArchiveVector) return false;
+  if (zoom < header.minZoom || zoom > header.maxZoom) return false;
+  if (!sameFilters(options.filters || {}, filters)) return false;
+  if (Boolean(options.buffered) !== buffered) return false;
+  // Merging only ever applies up to MERGE_MAX_ZOOM, as in the handler
+  if ((Boolean(options.merged) && zoom <= MERGE_MAX_ZOOM) !== merged) return false;
+
+  const [west, south, east, north] = tileToBBox(zoom, x, y);
+  const [minLng, minLat, maxLng, maxLat] = options.bbox || header.bounds;
+  return west < maxLng && east > minLng && south < maxLat && north > minLat;
+}
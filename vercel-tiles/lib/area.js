@@ -0,0 +1,171 @@
+import h3 from 'h3-js';
+import {
+  H3_MIN_LEVEL,
+  STATS_MAX_AREA_KM2,
+  STATS_MAX_CELLS,
+  STATS_TARGET_CELLS,
+  STATS_MAX_LEVEL
+} from './config.js';
+import { getH3CellsForBBox } from './tiles.js';
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+function isLngLat([lng, lat]) {
+  return Number.isFinite(lng) && Number.isFinite(lat) &&
+    lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+}
+
+/**
+ * Parse "west,south,east,north" into a bbox array.
+ * Returns { bbox } or { error }.
+ */
+export function parseBBox(value) {
+  const parts = String(value).split(',').map(Number);
+
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+    return { error: 'bbox must be west,south,east,north' };
+  }
+
+  const [west, south, east, north] = parts;
+  if (!isLngLat([west, south]) || !isLngLat([east, north]) || west >= east || south >= north) {
+    return { error: 'bbox must be west,south,east,north within [-180, -90, 180, 90]' };
+  }
+
+  return { bbox: parts };
+}
+
+/**
+ * Parse a GeoJSON Polygon or MultiPolygon (bare or wrapped in a Feature).
+ * Returns { polygons } as a list of [lng, lat] ring arrays, or { error }.
+ */
+export function parsePolygon(value) {
+  let geojson = value;
+
+  if (typeof value === 'string') {
+    try {
+      geojson = JSON.parse(value);
+    } catch {
+      return { error: 'polygon must be valid GeoJSON' };
+    }
+  }
+
+  const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+  let polygons;
+
+  if (geometry?.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry?.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    return { error: 'polygon must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  const valid = Array.isArray(polygons) && polygons.every(rings =>
+    Array.isArray(rings) && rings.length > 0 && rings.every(ring =>
+      Array.isArray(ring) && ring.length >= 4 && ring.every(point => Array.isArray(point) && isLngLat(point))
+    )
+  );
+
+  if (!valid) {
+    return { error: 'polygon rings must hold at least four [lng, lat] positions' };
+  }
+
+  return { polygons };
+}
+
+/**
+ * Bounding box [west, south, east, north] of a list of polygons
+ */
+export function polygonsBBox(polygons) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  for (const rings of polygons) {
+    for (const [lng, lat] of rings[0]) {
+      bbox[0] = Math.min(bbox[0], lng);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lng);
+      bbox[3] = Math.max(bbox[3], lat);
+    }
+  }
+
+  return bbox;
+}
+
+/**
+ * Spherical area of a bbox in km², an upper bound for any shape inside it
+ */
+export function bboxAreaKm2([west, south, east, north]) {
+  const toRad = Math.PI / 180;
+  return EARTH_RADIUS_KM * EARTH_RADIUS_KM *
+    (east - west) * toRad *
+    Math.abs(Math.sin(north * toRad) - Math.sin(south * toRad));
+}
+
+/**
+ * Finest H3 level at which an area needs at most STATS_TARGET_CELLS cells
+ */
+export function statsLevelForArea(areaKm2) {
+  for (let level = STATS_MAX_LEVEL; level > H3_MIN_LEVEL; level--) {
+    if (areaKm2 / h3.getHexagonAreaAvg(level, 'km2') <= STATS_TARGET_CELLS) {
+      return level;
+    }
+  }
+  return H3_MIN_LEVEL;
+}
+
+/**
+ * Resolve a bbox or polygon into the H3 cells to aggregate.
+ * Refuses areas larger than STATS_MAX_AREA_KM2 or needing more than
+ * STATS_MAX_CELLS cells. The cell count is estimated from the bbox area
+ * before polyfilling, so an explicit fine level over a large area is
+ * refused without enumerating its cells.
+ * @param {Object} area - { bbox } or { polygons }
+ * @param {number} [level] - Explicit H3 level, otherwise picked from the area
+ * @returns {Object} - { cells, level, areaKm2 } or { error, tooLarge }
+ */
+export function resolveAreaCells(area, level) {
+  const bbox = area.bbox || polygonsBBox(area.polygons);
+  const areaKm2 = bboxAreaKm2(bbox);
+
+  if (areaKm2 > STATS_MAX_AREA_KM2) {
+    return {
+      tooLarge: true,
+      error: `Area of about ${Math.round(areaKm2)} km² exceeds the ${STATS_MAX_AREA_KM2} km² limit`
+    };
+  }
+
+  const h3Level = level ?? statsLevelForArea(areaKm2);
+  const estimatedCells = Math.ceil(areaKm2 / h3.getHexagonAreaAvg(h3Level, 'km2'));
+
+  if (estimatedCells > STATS_MAX_CELLS) {
+    return {
+      tooLarge: true,
+      error: `Area needs about ${estimatedCells} cells at level ${h3Level}; the limit is ${STATS_MAX_CELLS}`
+    };
+  }
+
+  let cells;
+
+  if (area.bbox) {
+    cells = getH3CellsForBBox(...area.bbox, h3Level);
+  } else {
+    const unique = new Set();
+    for (const rings of area.polygons) {
+      h3.polygonToCells(rings, h3Level, true).forEach(cell => unique.add(cell));
+    }
+    cells = [...unique];
+  }
+
+  // Backstop for the estimate: edge cells can push the exact count over
+  if (cells.length > STATS_MAX_CELLS) {
+    return {
+      tooLarge: true,
+      error: `Area needs ${cells.length} cells at level ${h3Level}; the limit is ${STATS_MAX_CELLS}`
+    };
+  }
+
+  // Area actually covered by the cells, rather than the bbox estimate
+  const coveredKm2 = cells.reduce((sum, cell) => sum + h3.cellArea(cell, 'km2'), 0);
+
+  return { cells, level: h3Level, areaKm2: coveredKm2 };
+}
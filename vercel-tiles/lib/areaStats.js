@@ -0,0 +1,86 @@
+import { pool } from './db.js';
+import { histogramQuantile } from './histogram.js';
+import { confidenceScore } from './stats.js';
+import { periodBucketRanges, snapWindow } from './periods.js';
+
+/**
+ * Transaction-weighted statistics over a set of H3 cells.
+ * Period histograms of every cell are merged, so the median and quartiles
+ * are taken over the individual transactions rather than the cell medians.
+ * Time window and property filters apply as they do for tiles, with the
+ * window widened to the period buckets of the level (see lib/periods.js).
+ * @returns {Promise<Object>} - { cells, transactions, median, quartiles,
+ *   confidence, first_seen, last_seen }
+ */
+export async function queryAreaStats(h3Cells, h3Level, filters) {
+  const { metric, source, types, tenures, newBuild } = filters;
+  const { from, to } = snapWindow(filters, h3Level);
+  const ranges = periodBucketRanges(h3Cells, h3Level);
+
+  const result = await pool.query(`
+    WITH matched AS (
+      SELECT c.h3_index AS cell, p.*
+      FROM unnest($1::text[], $10::text[], $11::text[]) AS c(h3_index, first_index, last_index)
+      JOIN heatmap_cell_periods p
+        ON p.h3_index BETWEEN c.first_index AND c.last_index
+      WHERE p.h3_level = $2
+        AND p.metric_type = $3
+        AND ($4 = 'all' OR p.metric_source = $4)
+        AND ($5::date IS NULL OR p.period_start >= $5::date)
+        AND ($6::date IS NULL OR p.period_start < $6::date)
+        AND ($7::text[] IS NULL OR p.property_type = ANY($7::text[]))
+        AND ($8::text[] IS NULL OR p.tenure = ANY($8::text[]))
+        AND ($9::boolean IS NULL OR p.new_build = $9::boolean)
+    ),
+    merged AS (
+      SELECT b.bin, SUM(b.n) AS n
+      FROM matched
+      CROSS JOIN LATERAL unnest(matched.histogram_bins, matched.histogram_counts) AS b(bin, n)
+      GROUP BY b.bin
+    )
+    SELECT
+      (SELECT COUNT(DISTINCT cell) FROM matched) AS cells,
+      (SELECT MIN(first_seen) FROM matched) AS first_seen,
+      (SELECT MAX(last_seen) FROM matched) AS last_seen,
+      (SELECT array_agg(bin ORDER BY bin) FROM merged) AS bins,
+      (SELECT array_agg(n ORDER BY bin) FROM merged) AS counts
+  `, [
+    h3Cells, ranges.level, metric, source,
+    from || null, to || null,
+    types || null, tenures || null, newBuild === undefined ? null : newBuild,
+    ranges.first, ranges.last
+  ]);
+
+  const row = result.rows[0];
+  const bins = (row.bins || []).map(Number);
+  const counts = (row.counts || []).map(Number);
+  const transactions = counts.reduce((sum, n) => sum + n, 0);
+
+  if (!transactions) {
+    return {
+      cells: 0,
+      transactions: 0,
+      median: null,
+      quartiles: null,
+      confidence: 0,
+      first_seen: null,
+      last_seen: null
+    };
+  }
+
+  const quartiles = {
+    q1: histogramQuantile(bins, counts, 0.25),
+    median: histogramQuantile(bins, counts, 0.5),
+    q3: histogramQuantile(bins, counts, 0.75)
+  };
+
+  return {
+    cells: parseInt(row.cells),
+    transactions,
+    median: quartiles.median,
+    quartiles,
+    confidence: confidenceScore(transactions, row.last_seen),
+    first_seen: row.first_seen,
+    last_seen: row.last_seen
+  };
+}
@@ -0,0 +1,148 @@
+import { ZOOM_TO_H3, BATCH_MAX_TILES } from './config.js';
+import { cellTiles, getH3CellsForTile, lngLatToTile, tilesInBBox } from './tiles.js';
+import { parseBBox } from './area.js';
+
+const MAX_ZOOM = Math.max(...Object.keys(ZOOM_TO_H3).map(Number));
+
+// Tiles as "z/x/y" strings (comma-separated on GET), [z, x, y] or { z, x, y }
+function parseTileRef(value) {
+  if (Array.isArray(value)) return value.map(Number);
+  if (value && typeof value === 'object') return [value.z, value.x, value.y].map(Number);
+  return String(value).trim().split('/').map(Number);
+}
+
+function tileKey(z, x, y) {
+  return `${z}/${x}/${y}`;
+}
+
+function tooManyTiles(count) {
+  return `${count} tiles requested; at most ${BATCH_MAX_TILES} per batch`;
+}
+
+function parseTileList(value) {
+  const refs = typeof value === 'string' ? value.split(',').filter(Boolean) : value;
+
+  if (!Array.isArray(refs) || !refs.length) {
+    return { error: 'tiles must be a list of z/x/y' };
+  }
+
+  const tiles = new Map();
+  for (const ref of refs) {
+    const [z, x, y] = parseTileRef(ref);
+
+    if (![z, x, y].every(Number.isInteger)) {
+      return { code: 'INVALID_COORDINATES', error: `Tile ${JSON.stringify(ref)} is not z/x/y` };
+    }
+
+    if (z < 0 || z > MAX_ZOOM) {
+      return { code: 'TILE_OUT_OF_RANGE', error: `Zoom must be between 0 and ${MAX_ZOOM}` };
+    }
+
+    const tileCount = Math.pow(2, z);
+    if (x < 0 || y < 0 || x >= tileCount || y >= tileCount) {
+      return {
+        code: 'TILE_OUT_OF_RANGE',
+        error: `x and y must be between 0 and ${tileCount - 1} at zoom ${z}`
+      };
+    }
+
+    tiles.set(tileKey(z, x, y), { z, x, y });
+  }
+
+  const list = [...tiles.values()];
+  if (list.some(tile => tile.z !== list[0].z)) {
+    return { error: 'All tiles in a batch must share one zoom' };
+  }
+
+  if (list.length > BATCH_MAX_TILES) {
+    return { error: tooManyTiles(list.length) };
+  }
+
+  return { zoom: list[0].z, tiles: list };
+}
+
+// Every tile intersecting the bbox at one zoom
+function parseBBoxTiles(bboxValue, zoomValue) {
+  const { bbox, error } = parseBBox(bboxValue);
+  if (error) return { error };
+
+  const zoom = Number(zoomValue);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+    return { error: `z must be an integer between 0 and ${MAX_ZOOM}` };
+  }
+
+  // Count before listing: a wide bbox at high zoom spans millions of tiles
+  const [west, south, east, north] = bbox;
+  const northWest = lngLatToTile(west, north, zoom);
+  const southEast = lngLatToTile(east, south, zoom);
+  const count = (southEast.x - northWest.x + 1) * (southEast.y - northWest.y + 1);
+
+  if (count > BATCH_MAX_TILES) {
+    return { code: 'AREA_TOO_LARGE', error: `${tooManyTiles(count)}; zoom in or shrink the bbox` };
+  }
+
+  return { zoom, tiles: tilesInBBox(bbox, zoom) };
+}
+
+/**
+ * Resolve a batch request into tiles at a single zoom.
+ * Takes either tiles (a list of z/x/y) or bbox plus z.
+ * Returns { zoom, tiles } or { code, error } where code is an ERROR_CODES
+ * key and defaults to INVALID_PARAMETERS.
+ */
+export function parseBatchTiles(input) {
+  if (input.tiles && input.bbox) {
+    return { error: 'Pass either tiles or bbox, not both' };
+  }
+
+  if (input.tiles) {
+    return parseTileList(input.tiles);
+  }
+
+  if (input.bbox) {
+    return parseBBoxTiles(input.bbox, input.z);
+  }
+
+  return { error: 'Missing tiles or bbox' };
+}
+
+/**
+ * Cells for every tile in a batch, following the same ownership rules as
+ * single tiles: each cell belongs to one tile unless buffered.
+ * @returns {Object} - { cellsByTile: Map<"z/x/y", string[]>, cells: unique string[] }
+ */
+export function getH3CellsForTiles(tiles, h3Level, { buffered = false } = {}) {
+  const cellsByTile = new Map();
+  const cells = new Set();
+
+  for (const { z, x, y } of tiles) {
+    const tileCells = getH3CellsForTile(z, x, y, h3Level, { buffered });
+    cellsByTile.set(tileKey(z, x, y), tileCells);
+    tileCells.forEach(cell => cells.add(cell));
+  }
+
+  return { cellsByTile, cells: [...cells] };
+}
+
+/**
+ * Split known cells (such as the populated cells from the database) between
+ * the tiles of a batch, with the same ownership rules as
+ * getH3CellsForTiles. Cells outside every tile are dropped.
+ * @returns {Object} - { cellsByTile: Map<"z/x/y", string[]>, cells: unique string[] }
+ */
+export function assignCellsToTiles(h3Cells, tiles, { buffered = false } = {}) {
+  const cellsByTile = new Map(tiles.map(({ z, x, y }) => [tileKey(z, x, y), []]));
+  const cells = new Set();
+
+  for (const cell of h3Cells) {
+    for (const { z, x, y } of cellTiles(cell, tiles[0].z, { buffered })) {
+      const tileCells = cellsByTile.get(tileKey(z, x, y));
+      if (tileCells) {
+        tileCells.push(cell);
+        cells.add(cell);
+      }
+    }
+  }
+
+  return { cellsByTile, cells: [...cells] };
+}
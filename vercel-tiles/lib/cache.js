@@ -0,0 +1,42 @@
+import { TILE_CACHE_TTL } from './config.js';
+
+// Browsers revalidate at least this often; ETags keep that cheap
+const BROWSER_MAX_AGE = TILE_CACHE_TTL.HIGH_ZOOM;
+
+/**
+ * CDN lifetime in seconds for a tile at the given zoom
+ */
+export function tileCacheTTL(zoom) {
+  if (zoom <= 6) return TILE_CACHE_TTL.LOW_ZOOM;
+  if (zoom <= 12) return TILE_CACHE_TTL.MID_ZOOM;
+  return TILE_CACHE_TTL.HIGH_ZOOM;
+}
+
+/**
+ * Cache-Control for a tile response.
+ * Empty tiles and degraded (demo) responses get the shorter lifetimes so
+ * they are replaced soon after real data arrives.
+ */
+export function tileCacheControl(zoom, { empty = false, degraded = false } = {}) {
+  let ttl = tileCacheTTL(zoom);
+  if (empty) ttl = Math.min(ttl, TILE_CACHE_TTL.EMPTY);
+  if (degraded) ttl = Math.min(ttl, TILE_CACHE_TTL.DEGRADED);
+
+  return cacheControlFor(ttl);
+}
+
+/**
+ * Cache-Control for a dataset-backed response with a given CDN lifetime
+ */
+export function cacheControlFor(ttl) {
+  const maxAge = Math.min(ttl, BROWSER_MAX_AGE);
+  return `public, max-age=${maxAge}, s-maxage=${ttl}, stale-while-revalidate=${ttl}`;
+}
+
+/**
+ * Cache-Control for a 503: the CDN holds it briefly so an outage does not
+ * turn every tile request into another database connection attempt.
+ */
+export function unavailableCacheControl() {
+  return `public, max-age=0, s-maxage=${TILE_CACHE_TTL.DEGRADED}`;
+}
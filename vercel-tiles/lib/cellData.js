@@ -0,0 +1,210 @@
+import { pool } from './db.js';
+import { histogramQuantile } from './histogram.js';
+import { DELTA_MIN_TRANSACTIONS, DELTA_FULL_SCALE } from './config.js';
+import { confidenceScore, deltaConfidence, divergingValue, percentileValue } from './stats.js';
+import { hasBucketFilters } from './filters.js';
+import { periodBucketRanges, snapWindow } from './periods.js';
+import { childRange } from './tiles.js';
+
+/**
+ * Load per-cell values for a set of H3 cells.
+ * All-time requests read the pre-aggregated view; requests with a time
+ * window, a compare or property filters are aggregated on the fly from the
+ * period buckets (see lib/periods.js).
+ * @returns {Promise<Array>} - [{ h3_index, price, count, confidence, value }],
+ *   plus the before/after and change fields for a compare
+ */
+export async function queryCellData(h3Cells, h3Level, filters) {
+  const client = await pool.connect();
+
+  try {
+    if (filters.compare) {
+      return await queryDeltaCells(client, h3Cells, h3Level, filters);
+    }
+    if (hasBucketFilters(filters)) {
+      return await queryBucketCells(client, h3Cells, h3Level, filters);
+    }
+    return await queryAggregatedCells(client, h3Cells, h3Level, filters);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Cells at h3Level holding data for the metric and source, under any of
+ * the given coarser parent cells. Lets large requests start from populated
+ * cells instead of polyfilling empty land and sea.
+ * @returns {Promise<string[]>} - H3 indexes
+ */
+export async function queryPopulatedCells(parents, h3Level, { metric, source }) {
+  const ranges = parents.map(parent => childRange(parent, h3Level));
+
+  const result = await pool.query(`
+    SELECT a.h3_index
+    FROM unnest($1::text[], $2::text[]) AS r(first_index, last_index)
+    JOIN heatmap_aggregated a
+      ON a.h3_index BETWEEN r.first_index AND r.last_index
+    WHERE a.h3_level = $3
+      AND a.metric_type = $4
+      AND a.metric_source = $5
+  `, [ranges.map(([first]) => first), ranges.map(([, last]) => last), h3Level, metric, source]);
+
+  return result.rows.map(row => row.h3_index);
+}
+
+async function queryAggregatedCells(client, h3Cells, h3Level, { metric, source }) {
+  const result = await client.query(`
+    SELECT
+      h3_index,
+      weighted_metric as price,
+      tx_count as count,
+      avg_confidence as confidence,
+      normalized_value as value
+    FROM heatmap_aggregated
+    WHERE h3_index = ANY($1::text[])
+      AND h3_level = $2
+      AND metric_type = $3
+      AND metric_source = $4
+  `, [h3Cells, h3Level, metric, source]);
+
+  return result.rows.map(row => ({
+    h3_index: row.h3_index,
+    price: parseFloat(row.price),
+    count: parseInt(row.count),
+    confidence: parseFloat(row.confidence),
+    value: parseFloat(row.value)
+  }));
+}
+
+/**
+ * Merge the period histograms inside [from, to), widened to the buckets of
+ * the level, that match the property filters per cell and recompute the
+ * median. Levels without buckets of their own merge their base-level
+ * descendants' buckets.
+ * @returns {Promise<Array>} - [{ h3_index, country_code, price, count, last_seen }]
+ */
+async function queryBucketHistograms(client, h3Cells, h3Level, filters) {
+  const { metric, source, types, tenures, newBuild } = filters;
+  const { from, to } = snapWindow(filters, h3Level);
+  const ranges = periodBucketRanges(h3Cells, h3Level);
+
+  const result = await client.query(`
+    WITH merged AS (
+      SELECT
+        c.h3_index,
+        MAX(p.country_code) AS country_code,
+        b.bin,
+        SUM(b.n) AS n,
+        MAX(p.last_seen) AS last_seen
+      FROM unnest($1::text[], $10::text[], $11::text[]) AS c(h3_index, first_index, last_index)
+      JOIN heatmap_cell_periods p
+        ON p.h3_index BETWEEN c.first_index AND c.last_index
+      CROSS JOIN LATERAL unnest(p.histogram_bins, p.histogram_counts) AS b(bin, n)
+      WHERE p.h3_level = $2
+        AND p.metric_type = $3
+        AND ($4 = 'all' OR p.metric_source = $4)
+        AND ($5::date IS NULL OR p.period_start >= $5::date)
+        AND ($6::date IS NULL OR p.period_start < $6::date)
+        AND ($7::text[] IS NULL OR p.property_type = ANY($7::text[]))
+        AND ($8::text[] IS NULL OR p.tenure = ANY($8::text[]))
+        AND ($9::boolean IS NULL OR p.new_build = $9::boolean)
+      GROUP BY c.h3_index, b.bin
+    )
+    SELECT
+      merged.h3_index,
+      MAX(merged.country_code) AS country_code,
+      array_agg(merged.bin ORDER BY merged.bin) AS bins,
+      array_agg(merged.n ORDER BY merged.bin) AS counts,
+      MAX(merged.last_seen) AS last_seen
+    FROM merged
+    GROUP BY merged.h3_index
+  `, [
+    h3Cells, ranges.level, metric, source,
+    from || null, to || null,
+    types || null, tenures || null, newBuild === undefined ? null : newBuild,
+    ranges.first, ranges.last
+  ]);
+
+  return result.rows.map(row => {
+    const bins = row.bins.map(Number);
+    const counts = row.counts.map(Number);
+
+    return {
+      h3_index: row.h3_index,
+      country_code: row.country_code,
+      price: histogramQuantile(bins, counts, 0.5),
+      count: counts.reduce((sum, n) => sum + n, 0),
+      last_seen: row.last_seen
+    };
+  });
+}
+
+/**
+ * Cells for a time window or property filters. Values are normalised
+ * against the all-time percentile breakpoints of the same level, metric and
+ * source, so colours stay comparable between windows and filters.
+ */
+async function queryBucketCells(client, h3Cells, h3Level, filters) {
+  const { metric, source } = filters;
+  const cells = await queryBucketHistograms(client, h3Cells, h3Level, filters);
+
+  const percentiles = await client.query(`
+    SELECT country_code, breakpoints
+    FROM heatmap_percentiles
+    WHERE h3_level = $1
+      AND metric_type = $2
+      AND metric_source = $3
+  `, [h3Level, metric, source]);
+
+  const breakpointsByCountry = new Map(
+    percentiles.rows.map(row => [row.country_code, row.breakpoints.map(Number)])
+  );
+
+  return cells.map(cell => ({
+    h3_index: cell.h3_index,
+    price: cell.price,
+    count: cell.count,
+    confidence: confidenceScore(cell.count, cell.last_seen),
+    value: percentileValue(breakpointsByCountry.get(cell.country_code), cell.price)
+  }));
+}
+
+/**
+ * Delta cells for ?compare: the median in each period and the change
+ * between them. Cells need DELTA_MIN_TRANSACTIONS sales in both periods;
+ * value is a diverging scale around 0.5 (no change).
+ */
+async function queryDeltaCells(client, h3Cells, h3Level, filters) {
+  const { before, after } = filters.compare;
+  const hasEnough = cell => cell.count >= DELTA_MIN_TRANSACTIONS && cell.price > 0;
+
+  // Periods that fall in the same quarter or year bucket at a coarse level
+  // cannot be told apart there
+  if (snapWindow(before, h3Level).to > snapWindow(after, h3Level).from) {
+    return [];
+  }
+
+  const earlier = await queryBucketHistograms(client, h3Cells, h3Level, { ...filters, ...before });
+  const later = await queryBucketHistograms(client, h3Cells, h3Level, { ...filters, ...after });
+  const earlierByCell = new Map(earlier.filter(hasEnough).map(cell => [cell.h3_index, cell]));
+
+  return later
+    .filter(cell => hasEnough(cell) && earlierByCell.has(cell.h3_index))
+    .map(cell => {
+      const previous = earlierByCell.get(cell.h3_index);
+      const ratio = cell.price / previous.price;
+
+      return {
+        h3_index: cell.h3_index,
+        price: cell.price,
+        price_before: previous.price,
+        change: cell.price - previous.price,
+        change_pct: (ratio - 1) * 100,
+        count: previous.count + cell.count,
+        count_before: previous.count,
+        count_after: cell.count,
+        confidence: deltaConfidence(previous.count, cell.count),
+        value: divergingValue(ratio, DELTA_FULL_SCALE)
+      };
+    });
+}
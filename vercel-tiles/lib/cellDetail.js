@@ -0,0 +1,139 @@
+import h3 from 'h3-js';
+import { pool } from './db.js';
+import { histogramQuantile } from './histogram.js';
+import { H3_MIN_LEVEL, H3_MAX_LEVEL } from './config.js';
+import { periodBucketRanges } from './periods.js';
+
+const DAY_MS = 1000 * 3600 * 24;
+
+/**
+ * Links to the cell's parent and children at the adjacent resolutions the
+ * ETL rolls up to
+ */
+export function cellLinks(h3Index) {
+  const level = h3.getResolution(h3Index);
+  const link = cell => ({ h3_index: cell, href: `/api/cells/${cell}` });
+
+  return {
+    self: link(h3Index),
+    parent: level > H3_MIN_LEVEL ? link(h3.cellToParent(h3Index, level - 1)) : null,
+    children: level < H3_MAX_LEVEL
+      ? h3.cellToChildren(h3Index, level + 1).map(link)
+      : []
+  };
+}
+
+/**
+ * Everything stored about one cell for a metric.
+ * Source rows and the region (the local authority most of the cell's sales
+ * fall in, written by the ETL) come from the aggregated view; quartiles and
+ * yearly counts are rebuilt from the period histograms of the requested
+ * source, read from the base level for rolled-up levels (lib/periods.js).
+ * @returns {Promise<Object|null>} - null when the cell has no data
+ */
+export async function queryCellDetail(h3Index, { metric, source }) {
+  const client = await pool.connect();
+  const ranges = periodBucketRanges([h3Index], h3.getResolution(h3Index));
+  const bucketParams = [ranges.first[0], ranges.last[0], ranges.level, metric, source];
+
+  try {
+    const aggregated = await client.query(`
+      SELECT
+        h3_level,
+        country_code,
+        region,
+        metric_source,
+        weighted_metric,
+        tx_count,
+        avg_confidence,
+        normalized_value,
+        last_update,
+        freshness
+      FROM heatmap_aggregated
+      WHERE h3_index = $1
+        AND metric_type = $2
+      ORDER BY metric_source
+    `, [h3Index, metric]);
+
+    if (!aggregated.rows.length) {
+      return null;
+    }
+
+    const seen = await client.query(`
+      SELECT MIN(first_seen) AS first_seen, MAX(last_seen) AS last_seen
+      FROM heatmap_cells
+      WHERE h3_index = $1
+        AND metric_type = $2
+        AND ($3 = 'all' OR metric_source = $3)
+    `, [h3Index, metric, source]);
+
+    const histogram = await client.query(`
+      SELECT b.bin, SUM(b.n) AS n
+      FROM heatmap_cell_periods p
+      CROSS JOIN LATERAL unnest(p.histogram_bins, p.histogram_counts) AS b(bin, n)
+      WHERE p.h3_index BETWEEN $1 AND $2
+        AND p.h3_level = $3
+        AND p.metric_type = $4
+        AND ($5 = 'all' OR p.metric_source = $5)
+      GROUP BY b.bin
+      ORDER BY b.bin
+    `, bucketParams);
+
+    const years = await client.query(`
+      SELECT
+        EXTRACT(YEAR FROM period_start)::int AS year,
+        SUM(transaction_count) AS count
+      FROM heatmap_cell_periods
+      WHERE h3_index BETWEEN $1 AND $2
+        AND h3_level = $3
+        AND metric_type = $4
+        AND ($5 = 'all' OR metric_source = $5)
+      GROUP BY year
+      ORDER BY year
+    `, bucketParams);
+
+    const [first] = aggregated.rows;
+    const { first_seen: firstSeen, last_seen: lastSeen } = seen.rows[0];
+    const bins = histogram.rows.map(row => Number(row.bin));
+    const counts = histogram.rows.map(row => Number(row.n));
+    const selected = aggregated.rows.find(row => row.metric_source === source);
+
+    return {
+      h3_index: h3Index,
+      h3_level: first.h3_level,
+      country_code: first.country_code,
+      region: aggregated.rows.find(row => row.region)?.region || null,
+      center: h3.cellToLatLng(h3Index).reverse(),
+      metric,
+      source,
+      sources: aggregated.rows.map(row => ({
+        source: row.metric_source,
+        price: parseFloat(row.weighted_metric),
+        count: parseInt(row.tx_count),
+        confidence: parseFloat(row.avg_confidence),
+        value: parseFloat(row.normalized_value),
+        last_update: row.last_update
+      })),
+      quartiles: bins.length
+        ? {
+          q1: histogramQuantile(bins, counts, 0.25),
+          median: histogramQuantile(bins, counts, 0.5),
+          q3: histogramQuantile(bins, counts, 0.75)
+        }
+        : null,
+      transactions_by_year: years.rows.map(row => ({
+        year: row.year,
+        count: parseInt(row.count)
+      })),
+      first_seen: firstSeen,
+      last_seen: lastSeen,
+      freshness: {
+        status: selected ? selected.freshness : null,
+        age_days: lastSeen ? Math.floor((Date.now() - new Date(lastSeen).getTime()) / DAY_MS) : null
+      },
+      links: cellLinks(h3Index)
+    };
+  } finally {
+    client.release();
+  }
+}
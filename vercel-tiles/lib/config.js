@@ -0,0 +1,102 @@
+/**
+ * Tile API configuration
+ * Mirrors src/config/constants.ts - keep the two in sync.
+ */
+
+export const ZOOM_TO_H3 = {
+  0: 2, 1: 2, 2: 3, 3: 4, 4: 4, 5: 5,
+  6: 6, 7: 7, 8: 7, 9: 8, 10: 8, 11: 9,
+  12: 9, 13: 10, 14: 10, 15: 10, 16: 11,
+  17: 11, 18: 11, 19: 12, 20: 12
+};
+
+// Levels written by the ETL rollups (scripts/h3_rollup.js)
+export const H3_MIN_LEVEL = 2;
+export const H3_MAX_LEVEL = 12;
+
+export const DATA_SOURCES = {
+  UK_LAND_REGISTRY: 'uk_land_registry',
+  NUMBEO: 'numbeo',
+  FHFA: 'fhfa',
+  UK_RENTALS: 'uk_rentals'
+};
+
+// Blended aggregate across every source for a metric
+export const ALL_SOURCES = 'all';
+
+export const METRIC_TYPES = {
+  MEDIAN_PRICE: 'median_price',
+  PRICE_PER_SQM: 'price_per_sqm',
+  RENTAL_PRICE: 'rental_price',
+  GROSS_YIELD: 'gross_yield'
+};
+
+export const TILE_CACHE_TTL = {
+  LOW_ZOOM: 7 * 24 * 3600,   // 7 days for zoom 0-6
+  MID_ZOOM: 24 * 3600,        // 1 day for zoom 7-12
+  HIGH_ZOOM: 3600,            // 1 hour for zoom 13+
+  EMPTY: 15 * 60,             // 15 minutes for tiles with no data yet
+  DEGRADED: 60                // 1 minute for demo data and outages
+};
+
+// Per-client token bucket: CAPACITY requests, refilled over WINDOW_SECONDS
+export const RATE_LIMIT = {
+  CAPACITY: 100,
+  WINDOW_SECONDS: 60
+};
+
+// In-memory tile cache per instance, measured in encoded tile bytes
+export const TILE_MEMORY_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+// Period buckets are yearly up to PERIOD_YEARLY_MAX_LEVEL, quarterly up to
+// PERIOD_QUARTERLY_MAX_LEVEL and monthly above. Levels from
+// PERIOD_ROLLUP_MIN_LEVEL below H3_MAX_LEVEL store none and are rolled up
+// from the H3_MAX_LEVEL buckets (scripts/h3_rollup.js)
+export const PERIOD_YEARLY_MAX_LEVEL = 5;
+export const PERIOD_QUARTERLY_MAX_LEVEL = 7;
+export const PERIOD_ROLLUP_MIN_LEVEL = 9;
+
+// Delta tiles (?compare=): cells need this many sales in each period, and
+// a change of DELTA_FULL_SCALE (+50%, or -33% the other way) fills the scale
+export const DELTA_MIN_TRANSACTIONS = 5;
+export const DELTA_FULL_SCALE = 0.5;
+
+// Area statistics limits, sized for the free-tier database
+export const STATS_MAX_AREA_KM2 = 20000;
+export const STATS_MAX_CELLS = 5000;
+export const STATS_TARGET_CELLS = 2000;
+export const STATS_MAX_LEVEL = 10;
+
+// Batch tile requests: enough for a large screen at any zoom
+export const BATCH_MAX_TILES = 64;
+
+// Tile polyfill: boxes are split into pieces at most POLYFILL_MAX_SPAN
+// degrees across and padded by POLYFILL_BUFFER_EDGES cell edges. Requests
+// estimated above POLYFILL_MAX_CELLS cells start from the populated cells
+// under parents POPULATED_PARENT_DEPTH levels up instead.
+export const POLYFILL_MAX_SPAN = 90;
+export const POLYFILL_BUFFER_EDGES = 2;
+export const POLYFILL_MAX_CELLS = 20000;
+export const POPULATED_PARENT_DEPTH = 3;
+
+// Attribution required by the Land Registry and Open Postcode Geo licences
+export const DATA_ATTRIBUTION = [
+  'Contains HM Land Registry data &copy; Crown copyright and database right. ' +
+    'Licensed under the <a href="https://www.nationalarchives.gov.uk/doc/open-government-licence/version/3/">Open Government Licence v3.0</a>.',
+  'Postcode locations from <a href="https://www.getthedata.com/open-postcode-geo">Open Postcode Geo</a>: ' +
+    'contains OS data &copy; Crown copyright and database right; ' +
+    'contains Royal Mail data &copy; Royal Mail copyright and database right; ' +
+    'contains National Statistics data &copy; Crown copyright and database right.'
+].join(' ');
+
+// The ETL runs weekly; data older than this marks the service degraded
+export const ETL_STALE_AFTER_DAYS = 8;
+
+// Place search
+export const SEARCH_RESULT_LIMIT = 5;
+export const SEARCH_MIN_LENGTH = 2;
+
+// Price Paid dimensions stored on period buckets (src/types/property.ts)
+export const PROPERTY_TYPES = ['detached', 'semi-detached', 'terraced', 'flat', 'other'];
+
+export const TENURES = ['freehold', 'leasehold'];
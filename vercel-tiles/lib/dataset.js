@@ -0,0 +1,32 @@
+import { pool } from './db.js';
+
+// How long a warm instance trusts its cached version before re-checking
+const DATASET_VERSION_TTL_MS = 60 * 1000;
+
+// Used before the first successful ETL run has recorded a version
+export const UNVERSIONED = 'unversioned';
+
+let cached = null;
+
+/**
+ * Latest dataset version, from the most recent successful etl_runs row.
+ * Cached per instance for DATASET_VERSION_TTL_MS.
+ */
+export async function getDatasetVersion() {
+  if (cached && Date.now() - cached.fetchedAt < DATASET_VERSION_TTL_MS) {
+    return cached.version;
+  }
+
+  const result = await pool.query(`
+    SELECT dataset_version
+    FROM etl_runs
+    WHERE status = 'success'
+      AND dataset_version IS NOT NULL
+    ORDER BY completed_at DESC
+    LIMIT 1
+  `);
+
+  const version = result.rows[0]?.dataset_version || UNVERSIONED;
+  cached = { version, fetchedAt: Date.now() };
+  return version;
+}
@@ -0,0 +1,13 @@
+import { Pool } from 'pg';
+
+// Shared across invocations of a warm function instance
+export const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+  max: 10,
+  idleTimeoutMillis: 30000,
+  // Fail fast rather than holding the function open: an unreachable
+  // database surfaces as DB_UNAVAILABLE, a slow query as TIMEOUT
+  connectionTimeoutMillis: 5000,
+  statement_timeout: 8000,
+});
@@ -0,0 +1,82 @@
+/**
+ * Deterministic demo data
+ * Synthetic values are seeded from the H3 index, so a cell always gets the
+ * same numbers on every request and across tiles.
+ */
+
+import { DELTA_FULL_SCALE } from './config.js';
+import { deltaConfidence, divergingValue } from './stats.js';
+
+const DEMO_ENV_VALUES = ['1', 'true', 'yes', 'on'];
+
+/**
+ * Demo mode is opt-in via TILES_DEMO_MODE or ?demo=1
+ */
+export function isDemoMode(req) {
+  const envValue = String(process.env.TILES_DEMO_MODE || '').toLowerCase();
+  const queryValue = String(req.query.demo || '').toLowerCase();
+
+  return DEMO_ENV_VALUES.includes(envValue) || DEMO_ENV_VALUES.includes(queryValue);
+}
+
+// FNV-1a 32-bit hash of the cell id
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32 PRNG
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Synthetic feature properties for an H3 cell
+ */
+export function demoCellProperties(cell) {
+  const random = seededRandom(hashString(cell));
+  const value = random();
+
+  return {
+    price: Math.round(200000 + value * 800000),
+    count: Math.floor(random() * 50) + 1,
+    confidence: 0.3 + random() * 0.7,
+    value,
+    demo: true,
+  };
+}
+
+/**
+ * Synthetic delta properties for an H3 cell, as returned for ?compare
+ */
+export function demoDeltaProperties(cell) {
+  const random = seededRandom(hashString(`${cell}:delta`));
+  const priceBefore = Math.round(200000 + random() * 800000);
+  const ratio = 0.8 + random() * 0.6;
+  const price = Math.round(priceBefore * ratio);
+  const countBefore = Math.floor(random() * 50) + 5;
+  const countAfter = Math.floor(random() * 50) + 5;
+
+  return {
+    price,
+    price_before: priceBefore,
+    change: price - priceBefore,
+    change_pct: (price / priceBefore - 1) * 100,
+    count: countBefore + countAfter,
+    count_before: countBefore,
+    count_after: countAfter,
+    confidence: deltaConfidence(countBefore, countAfter),
+    value: divergingValue(price / priceBefore, DELTA_FULL_SCALE),
+    demo: true,
+  };
+}
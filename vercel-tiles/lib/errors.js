@@ -0,0 +1,111 @@
+import { TILE_CACHE_TTL } from './config.js';
+import { unavailableCacheControl } from './cache.js';
+
+/**
+ * Error codes returned in the JSON error body, with their HTTP status and
+ * a short title. Documented in docs/api/API.md.
+ */
+export const ERROR_CODES = {
+  INVALID_COORDINATES: { status: 400, title: 'Invalid tile coordinates' },
+  TILE_OUT_OF_RANGE: { status: 400, title: 'Tile out of range' },
+  INVALID_PARAMETERS: { status: 400, title: 'Invalid parameters' },
+  AREA_TOO_LARGE: { status: 400, title: 'Area too large' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  RATE_LIMITED: { status: 429, title: 'Rate limit exceeded' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  DB_UNAVAILABLE: { status: 503, title: 'Database unavailable' },
+  TIMEOUT: { status: 503, title: 'Query timed out' }
+};
+
+// Postgres query_canceled, raised when statement_timeout fires
+const PG_QUERY_CANCELED = '57014';
+
+// SQLSTATE codes of errors raised by the server: two-character class
+// (00-58, F0, HV, P0, XX) and three-character subclass
+const SQLSTATE_PATTERN = /^([0-9]{2}|F0|HV|P0|XX)[0-9A-Z]{3}$/;
+
+// Node network errors from reaching the server
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND',
+  'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'
+]);
+
+// Failures pg and pg-pool raise without a code
+const PG_CLIENT_MESSAGES = /connection terminated|timeout exceeded when trying to connect|query read timeout/i;
+
+export class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} [message] - Client-facing detail
+   * @param {Object} [details] - Extra fields for the error body
+   */
+  constructor(code, message, details = {}) {
+    super(message || ERROR_CODES[code].title);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.details = details;
+  }
+}
+
+/**
+ * Whether an error came from the database or the connection to it, rather
+ * than from our own code
+ */
+export function isDatabaseError(error) {
+  if (!error || typeof error !== 'object') return false;
+
+  const { code } = error;
+  if (typeof code === 'string' && (SQLSTATE_PATTERN.test(code) || NETWORK_ERROR_CODES.has(code))) {
+    return true;
+  }
+  return PG_CLIENT_MESSAGES.test(String(error.message));
+}
+
+/**
+ * Map a pg failure onto TIMEOUT or DB_UNAVAILABLE. Driver messages can
+ * carry connection details, so they are logged rather than returned.
+ * Anything else, such as a TypeError or an h3-js throw, is a bug rather
+ * than an outage: it becomes INTERNAL_ERROR so clients do not retry it.
+ */
+export function databaseError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (!isDatabaseError(error)) {
+    return new ApiError('INTERNAL_ERROR', error?.message);
+  }
+
+  const timedOut = error.code === PG_QUERY_CANCELED || /query read timeout/i.test(error.message);
+  return timedOut
+    ? new ApiError('TIMEOUT', 'The database query took too long')
+    : new ApiError('DB_UNAVAILABLE', 'The database could not be reached');
+}
+
+/**
+ * Send an error as { error, code, message, ...details }.
+ * Anything that is not an ApiError is reported as INTERNAL_ERROR.
+ * Pass cacheControl for errors that are safe to cache, such as a 404.
+ */
+export function sendError(res, error, { cacheControl } = {}) {
+  const apiError = error instanceof ApiError
+    ? error
+    : new ApiError('INTERNAL_ERROR', error.message);
+
+  res.removeHeader('ETag');
+
+  if (apiError.status === 503) {
+    // Held briefly by the CDN so an outage does not reach the database
+    // on every request
+    res.setHeader('Cache-Control', unavailableCacheControl());
+    res.setHeader('Retry-After', String(TILE_CACHE_TTL.DEGRADED));
+  } else {
+    res.setHeader('Cache-Control', cacheControl || 'no-store');
+  }
+
+  return res.status(apiError.status).json({
+    error: ERROR_CODES[apiError.code].title,
+    code: apiError.code,
+    message: apiError.message,
+    ...apiError.details
+  });
+}
@@ -0,0 +1,29 @@
+import { createHash } from 'crypto';
+
+/**
+ * Strong ETag for a response, derived from the dataset version and
+ * everything that shapes the body (tile, format and filters).
+ */
+export function createETag(version, parts) {
+  const hash = createHash('sha1')
+    .update(JSON.stringify(parts))
+    .digest('base64url')
+    .slice(0, 16);
+
+  return `"${version}-${hash}"`;
+}
+
+/**
+ * Whether the request's If-None-Match already matches the ETag.
+ * If-None-Match uses weak comparison, so W/ prefixes are ignored.
+ */
+export function isNotModified(req, etag) {
+  const header = req.headers?.['if-none-match'];
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
@@ -0,0 +1,174 @@
+import { DATA_SOURCES, ALL_SOURCES, METRIC_TYPES, PROPERTY_TYPES, TENURES } from './config.js';
+
+const METRICS = Object.values(METRIC_TYPES);
+const SOURCES = [ALL_SOURCES, ...Object.values(DATA_SOURCES)];
+
+const YEAR_PATTERN = /^(\d{4})$/;
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+const QUARTER_PATTERN = /^(\d{4})-Q([1-4])$/i;
+
+/**
+ * Parse a YYYY, YYYY-MM or YYYY-Qn period into its first and last month.
+ * Months are 0-based; returns null when the value is malformed.
+ */
+export function parsePeriod(value) {
+  const wholeYear = YEAR_PATTERN.exec(value);
+  if (wholeYear) {
+    const year = parseInt(wholeYear[1]);
+    return { start: { year, month: 0 }, end: { year, month: 11 } };
+  }
+
+  const month = MONTH_PATTERN.exec(value);
+  if (month) {
+    const index = parseInt(month[2]) - 1;
+    if (index < 0 || index > 11) return null;
+    const year = parseInt(month[1]);
+    return { start: { year, month: index }, end: { year, month: index } };
+  }
+
+  const quarter = QUARTER_PATTERN.exec(value);
+  if (quarter) {
+    const year = parseInt(quarter[1]);
+    const first = (parseInt(quarter[2]) - 1) * 3;
+    return { start: { year, month: first }, end: { year, month: first + 2 } };
+  }
+
+  return null;
+}
+
+// Comma-separated list of allowed values, e.g. ?type=detached,semi-detached
+function parseList(value, allowed, name) {
+  const values = String(value).toLowerCase().split(',').map(v => v.trim()).filter(Boolean);
+  const unknown = values.find(v => !allowed.includes(v));
+
+  if (!values.length || unknown) {
+    return { error: `Unknown ${name} '${unknown || value}'. Expected one of: ${allowed.join(', ')}` };
+  }
+
+  return { values };
+}
+
+// First day of the month as YYYY-MM-DD, rolling over into the next year
+export function monthStart({ year, month }) {
+  const date = new Date(Date.UTC(year, month, 1));
+  return date.toISOString().slice(0, 10);
+}
+
+// Period as a [from, to) pair of month starts, like the from/to filters
+function periodRange(period) {
+  return {
+    from: monthStart(period.start),
+    to: monthStart({ year: period.end.year, month: period.end.month + 1 })
+  };
+}
+
+/**
+ * Parse ?compare=before:after, e.g. 2019:2024 or 2023-Q1:2024-Q1.
+ * Returns { compare: { before, after } } as [from, to) ranges, or { error }.
+ */
+export function parseCompare(value) {
+  const parts = String(value).split(':');
+  const periods = parts.map(part => parsePeriod(part.trim()));
+
+  if (parts.length !== 2 || periods.includes(null)) {
+    return { error: `Invalid compare '${value}'. Expected two periods like 2019:2024 (YYYY, YYYY-MM or YYYY-Qn)` };
+  }
+
+  const [before, after] = periods.map(periodRange);
+  if (before.to > after.from) {
+    return { error: 'The first compare period must end before the second one starts' };
+  }
+
+  return { compare: { before, after } };
+}
+
+/**
+ * Parse the tile query string into data filters.
+ * Returns { filters } on success or { error } with a client-facing message.
+ * compare (delta tiles) is only accepted where options.compare is set.
+ */
+export function parseTileFilters(query, options = {}) {
+  const metric = String(query.metric || METRIC_TYPES.MEDIAN_PRICE).toLowerCase();
+  const source = String(query.source || ALL_SOURCES).toLowerCase();
+
+  if (!METRICS.includes(metric)) {
+    return { error: `Unknown metric '${metric}'. Expected one of: ${METRICS.join(', ')}` };
+  }
+
+  if (!SOURCES.includes(source)) {
+    return { error: `Unknown source '${source}'. Expected one of: ${SOURCES.join(', ')}` };
+  }
+
+  const filters = { metric, source };
+
+  // Time window: from is inclusive, to is stored as the exclusive month after
+  if (query.from) {
+    const period = parsePeriod(String(query.from));
+    if (!period) {
+      return { error: `Invalid from '${query.from}'. Expected YYYY, YYYY-MM or YYYY-Qn` };
+    }
+    filters.from = monthStart(period.start);
+  }
+
+  if (query.to) {
+    const period = parsePeriod(String(query.to));
+    if (!period) {
+      return { error: `Invalid to '${query.to}'. Expected YYYY, YYYY-MM or YYYY-Qn` };
+    }
+    filters.to = monthStart({ year: period.end.year, month: period.end.month + 1 });
+  }
+
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  // Delta tiles: change between two periods instead of one window
+  if (query.compare) {
+    if (!options.compare) {
+      return { error: 'compare is only supported on tile requests' };
+    }
+    if (filters.from || filters.to) {
+      return { error: 'compare sets its own periods and cannot be combined with from or to' };
+    }
+
+    const { compare, error } = parseCompare(query.compare);
+    if (error) return { error };
+    filters.compare = compare;
+  }
+
+  // Property dimensions from the Price Paid data
+  if (query.type) {
+    const { values, error } = parseList(query.type, PROPERTY_TYPES, 'type');
+    if (error) return { error };
+    filters.types = values;
+  }
+
+  if (query.tenure) {
+    const { values, error } = parseList(query.tenure, TENURES, 'tenure');
+    if (error) return { error };
+    filters.tenures = values;
+  }
+
+  if (query.new !== undefined && query.new !== '') {
+    const value = String(query.new).toLowerCase();
+    if (value !== 'true' && value !== 'false') {
+      return { error: `Invalid new '${query.new}'. Expected true or false` };
+    }
+    filters.newBuild = value === 'true';
+  }
+
+  // Gross yield is stored as all-time values only, without period buckets
+  if (metric === METRIC_TYPES.GROSS_YIELD && hasBucketFilters(filters)) {
+    return { error: `${metric} has no period buckets; from, to, compare, type, tenure and new are not supported` };
+  }
+
+  return { filters };
+}
+
+/**
+ * Whether the filters need the period buckets rather than the all-time view
+ */
+export function hasBucketFilters(filters) {
+  return Boolean(filters.from || filters.to || filters.compare || filters.types || filters.tenures) ||
+    filters.newBuild !== undefined;
+}
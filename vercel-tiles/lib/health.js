@@ -0,0 +1,78 @@
+import { pool } from './db.js';
+import { ETL_STALE_AFTER_DAYS } from './config.js';
+import { databaseError } from './errors.js';
+
+const DAY_MS = 1000 * 3600 * 24;
+
+/**
+ * Run one check, timing it and turning failures into an error entry
+ */
+async function runCheck(check) {
+  const started = Date.now();
+
+  try {
+    const result = await check();
+    return { ok: true, latency_ms: Date.now() - started, ...result };
+  } catch (error) {
+    console.error('Health check failed:', error);
+    const { code, message } = databaseError(error);
+    return { ok: false, latency_ms: Date.now() - started, code, message };
+  }
+}
+
+/**
+ * Deep health: database connectivity, aggregated row count, last successful
+ * ETL run and its freshness.
+ * @returns {Promise<Object>} - { status, checks } with status healthy,
+ *   degraded (reachable but empty or stale) or unhealthy (unreachable)
+ */
+export async function deepHealthChecks() {
+  const database = await runCheck(async () => {
+    await pool.query('SELECT 1');
+    return {};
+  });
+
+  if (!database.ok) {
+    return { status: 'unhealthy', checks: { database } };
+  }
+
+  const aggregated = await runCheck(async () => {
+    const result = await pool.query('SELECT COUNT(*) AS rows FROM heatmap_aggregated');
+    const rows = parseInt(result.rows[0].rows);
+    return { ok: rows > 0, rows };
+  });
+
+  const etl = await runCheck(async () => {
+    const result = await pool.query(`
+      SELECT id, source_name, completed_at, rows_processed, dataset_version
+      FROM etl_runs
+      WHERE status = 'success'
+      ORDER BY completed_at DESC
+      LIMIT 1
+    `);
+
+    const run = result.rows[0];
+    if (!run) {
+      return { ok: false, last_success: null, age_days: null };
+    }
+
+    const ageDays = (Date.now() - new Date(run.completed_at).getTime()) / DAY_MS;
+    return {
+      ok: ageDays <= ETL_STALE_AFTER_DAYS,
+      last_success: {
+        id: Number(run.id),
+        source: run.source_name,
+        completed_at: run.completed_at,
+        rows_processed: run.rows_processed,
+        dataset_version: run.dataset_version
+      },
+      age_days: Math.round(ageDays * 10) / 10,
+      stale_after_days: ETL_STALE_AFTER_DAYS
+    };
+  });
+
+  return {
+    status: aggregated.ok && etl.ok ? 'healthy' : 'degraded',
+    checks: { database, aggregated, etl }
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Sparse log-scale histograms produced by the ETL period buckets.
+ * Bin layout mirrors scripts/price_histogram.js - keep the two in sync.
+ */
+
+const HISTOGRAM_MIN_EXPONENT = 1;   // 10
+const HISTOGRAM_BINS_PER_DECADE = 64;
+
+function binLowerBound(bin) {
+  return Math.pow(10, HISTOGRAM_MIN_EXPONENT + bin / HISTOGRAM_BINS_PER_DECADE);
+}
+
+/**
+ * Estimate a quantile from a sparse histogram.
+ * Interpolates geometrically inside the bin, matching the log-scale layout.
+ * @param {number[]} bins - Bin indexes, ascending
+ * @param {number[]} counts - Count per bin
+ * @param {number} q - Quantile in [0, 1]
+ */
+export function histogramQuantile(bins, counts, q) {
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  if (total === 0) return null;
+
+  const target = q * total;
+  let cumulative = 0;
+
+  for (let i = 0; i < bins.length; i++) {
+    const n = counts[i];
+    if (cumulative + n >= target) {
+      const fraction = n === 0 ? 0 : (target - cumulative) / n;
+      const lower = binLowerBound(bins[i]);
+      const upper = binLowerBound(bins[i] + 1);
+      return lower * Math.pow(upper / lower, fraction);
+    }
+    cumulative += n;
+  }
+
+  return binLowerBound(bins[bins.length - 1] + 1);
+}
@@ -0,0 +1,246 @@
+/**
+ * Minimal Mapbox Vector Tile (v2.1) encoder for polygon layers.
+ * Spec: https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+ */
+
+export const MVT_EXTENT = 4096;
+export const MVT_LAYER_NAME = 'hexagons';
+
+const GEOM_POLYGON = 3;
+const CMD_MOVE_TO = 1;
+const CMD_LINE_TO = 2;
+const CMD_CLOSE_PATH = 7;
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+
+class ProtoWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    // Avoid 32-bit bitwise ops so values up to 2^53 encode correctly
+    let v = value;
+    while (v >= 0x80) {
+      this.bytes.push((v % 0x80) | 0x80);
+      v = Math.floor(v / 0x80);
+    }
+    this.bytes.push(v);
+  }
+
+  tag(field, wireType) {
+    this.varint((field << 3) | wireType);
+  }
+
+  uint(field, value) {
+    this.tag(field, VARINT);
+    this.varint(value);
+  }
+
+  sint(field, value) {
+    this.tag(field, VARINT);
+    this.varint(zigzag(value));
+  }
+
+  double(field, value) {
+    const buf = Buffer.alloc(8);
+    buf.writeDoubleLE(value, 0);
+    this.tag(field, FIXED64);
+    this.bytes.push(...buf);
+  }
+
+  string(field, value) {
+    this.message(field, Buffer.from(String(value), 'utf8'));
+  }
+
+  message(field, bytes) {
+    this.tag(field, LENGTH_DELIMITED);
+    this.varint(bytes.length);
+    for (const b of bytes) this.bytes.push(b);
+  }
+
+  packed(field, values) {
+    const inner = new ProtoWriter();
+    values.forEach(v => inner.varint(v));
+    this.message(field, inner.bytes);
+  }
+
+  finish() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+function zigzag(n) {
+  return n < 0 ? -2 * n - 1 : 2 * n;
+}
+
+function command(id, count) {
+  return (id & 0x7) | (count << 3);
+}
+
+/**
+ * Project [lng, lat] into tile-local integer coordinates
+ */
+function projectToTile(lng, lat, z, x, y, extent) {
+  const scale = Math.pow(2, z);
+  const sin = Math.sin((lat * Math.PI) / 180);
+  const worldX = (lng + 180) / 360;
+  const worldY = 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+
+  return [
+    Math.round((worldX * scale - x) * extent),
+    Math.round((worldY * scale - y) * extent)
+  ];
+}
+
+/**
+ * Quantize a GeoJSON ring, dropping repeated points and the closing vertex
+ */
+function quantizeRing(ring, z, x, y, extent) {
+  const points = [];
+  for (const [lng, lat] of ring) {
+    const point = projectToTile(lng, lat, z, x, y, extent);
+    const prev = points[points.length - 1];
+    if (!prev || prev[0] !== point[0] || prev[1] !== point[1]) {
+      points.push(point);
+    }
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    points.pop();
+  }
+
+  return points;
+}
+
+function signedArea(points) {
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+  }
+  return sum / 2;
+}
+
+/**
+ * Encode polygon rings as MVT geometry commands.
+ * Exterior rings must have positive area in tile space (clockwise on screen),
+ * holes negative, so each ring is re-oriented after quantization.
+ */
+function encodePolygons(polygons, z, x, y, extent) {
+  const geometry = [];
+  let cursorX = 0;
+  let cursorY = 0;
+
+  for (const rings of polygons) {
+    rings.forEach((ring, ringIndex) => {
+      const points = quantizeRing(ring, z, x, y, extent);
+      if (points.length < 3) return;
+
+      const area = signedArea(points);
+      if (area === 0) return;
+      const isExterior = ringIndex === 0;
+      if ((isExterior && area < 0) || (!isExterior && area > 0)) {
+        points.reverse();
+      }
+
+      points.forEach(([px, py], i) => {
+        if (i === 0) {
+          geometry.push(command(CMD_MOVE_TO, 1));
+        } else if (i === 1) {
+          geometry.push(command(CMD_LINE_TO, points.length - 1));
+        }
+        geometry.push(zigzag(px - cursorX), zigzag(py - cursorY));
+        cursorX = px;
+        cursorY = py;
+      });
+      geometry.push(command(CMD_CLOSE_PATH, 1));
+    });
+  }
+
+  return geometry;
+}
+
+function geometryPolygons(geometry) {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function encodeValue(value) {
+  const writer = new ProtoWriter();
+
+  if (typeof value === 'string') {
+    writer.string(1, value);
+  } else if (typeof value === 'boolean') {
+    writer.uint(7, value ? 1 : 0);
+  } else if (Number.isInteger(value)) {
+    if (value >= 0) {
+      writer.uint(5, value);
+    } else {
+      writer.sint(6, value);
+    }
+  } else {
+    writer.double(3, value);
+  }
+
+  return writer.finish();
+}
+
+/**
+ * Encode GeoJSON polygon features into a single-layer vector tile buffer.
+ * Properties that are null, undefined or non-finite numbers are omitted.
+ */
+export function encodeTile(features, { z, x, y, extent = MVT_EXTENT, layerName = MVT_LAYER_NAME }) {
+  const keys = [];
+  const keyIndex = new Map();
+  const values = [];
+  const valueIndex = new Map();
+  const layer = new ProtoWriter();
+
+  layer.uint(15, 2);
+  layer.string(1, layerName);
+
+  for (const feature of features) {
+    const geometry = encodePolygons(geometryPolygons(feature.geometry), z, x, y, extent);
+    if (!geometry.length) continue;
+
+    const tags = [];
+    for (const [key, value] of Object.entries(feature.properties || {})) {
+      if (value === null || value === undefined) continue;
+      if (typeof value === 'number' && !Number.isFinite(value)) continue;
+      if (typeof value === 'object') continue;
+
+      if (!keyIndex.has(key)) {
+        keyIndex.set(key, keys.length);
+        keys.push(key);
+      }
+
+      const valueKey = `${typeof value}:${value}`;
+      if (!valueIndex.has(valueKey)) {
+        valueIndex.set(valueKey, values.length);
+        values.push(value);
+      }
+
+      tags.push(keyIndex.get(key), valueIndex.get(valueKey));
+    }
+
+    const encoded = new ProtoWriter();
+    if (tags.length) encoded.packed(2, tags);
+    encoded.uint(3, GEOM_POLYGON);
+    encoded.packed(4, geometry);
+    layer.message(2, encoded.bytes);
+  }
+
+  keys.forEach(key => layer.string(3, key));
+  values.forEach(value => layer.message(4, encodeValue(value)));
+  layer.uint(5, extent);
+
+  const tile = new ProtoWriter();
+  tile.message(3, layer.bytes);
+  return tile.finish();
+}
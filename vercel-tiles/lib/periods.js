@@ -0,0 +1,74 @@
+import {
+  H3_MAX_LEVEL,
+  PERIOD_YEARLY_MAX_LEVEL,
+  PERIOD_QUARTERLY_MAX_LEVEL,
+  PERIOD_ROLLUP_MIN_LEVEL
+} from './config.js';
+import { monthStart } from './filters.js';
+import { childRange } from './tiles.js';
+
+/**
+ * Level whose period buckets answer queries at an H3 level: the level
+ * itself, or the base level for levels that are rolled up at query time
+ */
+export function periodBucketLevel(level) {
+  return level >= PERIOD_ROLLUP_MIN_LEVEL ? H3_MAX_LEVEL : level;
+}
+
+/**
+ * Length in months of the period buckets behind an H3 level
+ */
+export function periodBucketMonths(level) {
+  const bucketLevel = periodBucketLevel(level);
+  if (bucketLevel <= PERIOD_YEARLY_MAX_LEVEL) return 12;
+  if (bucketLevel <= PERIOD_QUARTERLY_MAX_LEVEL) return 3;
+  return 1;
+}
+
+// Shift a YYYY-MM-01 month start to the start of its bucket, or of the
+// next bucket when it falls inside one and roundUp is set
+function snapMonth(value, months, roundUp) {
+  const [year, month] = value.split('-').map(Number);
+  const index = year * 12 + month - 1;
+  const snapped = (roundUp ? Math.ceil(index / months) : Math.floor(index / months)) * months;
+  return monthStart({ year: Math.floor(snapped / 12), month: snapped % 12 });
+}
+
+/**
+ * Widen a [from, to) window to whole period buckets of an H3 level, so a
+ * window never cuts a stored bucket in two. At coarse levels a month
+ * window covers its quarter or year.
+ * @param {Object} window - { from, to }, either may be missing
+ * @param {number} level - H3 level being queried
+ * @returns {Object} - { from, to }
+ */
+export function snapWindow({ from, to }, level) {
+  const months = periodBucketMonths(level);
+  return {
+    from: from && snapMonth(from, months, false),
+    to: to && snapMonth(to, months, true)
+  };
+}
+
+/**
+ * Where the period buckets of some cells are stored: per cell, the
+ * [first, last] h3_index range to read at the bucket level. Cells at a
+ * rolled-up level map to their base-level descendants.
+ * @param {string[]} cells - H3 indexes, all at level
+ * @param {number} level - H3 level of the cells
+ * @returns {Object} - { level, first: string[], last: string[] }
+ */
+export function periodBucketRanges(cells, level) {
+  const bucketLevel = periodBucketLevel(level);
+
+  if (bucketLevel === level) {
+    return { level, first: cells, last: cells };
+  }
+
+  const ranges = cells.map(cell => childRange(cell, bucketLevel));
+  return {
+    level: bucketLevel,
+    first: ranges.map(([first]) => first),
+    last: ranges.map(([, last]) => last)
+  };
+}
@@ -0,0 +1,456 @@
+/**
+ * Minimal PMTiles v3 archives: written from rendered tiles, read back one
+ * tile at a time by byte range.
+ * Spec: https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+const MAGIC = 'PMTiles';
+const SPEC_VERSION = 3;
+const HEADER_BYTES = 127;
+
+// Clients fetch the header and root directory in one 16 KiB request
+const ROOT_MAX_BYTES = 16384;
+const MIN_LEAF_ENTRIES = 4096;
+
+// Leaf directories can nest; real archives need at most two levels
+const MAX_DIRECTORY_DEPTH = 3;
+const LEAF_CACHE_SIZE = 64;
+
+export const COMPRESSION = { UNKNOWN: 0, NONE: 1, GZIP: 2, BROTLI: 3, ZSTD: 4 };
+export const TILE_TYPE = { UNKNOWN: 0, MVT: 1, PNG: 2, JPEG: 3, WEBP: 4, AVIF: 5 };
+
+/**
+ * Tile id: tiles of all lower zooms first, then the Hilbert curve position
+ * of x/y within zoom z. Plain arithmetic keeps ids exact up to 2^53.
+ */
+export function tileId(z, x, y) {
+  const base = (Math.pow(4, z) - 1) / 3;
+  let tx = x;
+  let ty = y;
+  let position = 0;
+
+  for (let size = Math.pow(2, z) / 2; size >= 1; size /= 2) {
+    const rx = (tx & size) > 0 ? 1 : 0;
+    const ry = (ty & size) > 0 ? 1 : 0;
+    position += size * size * ((3 * rx) ^ ry);
+
+    // Rotate the quadrant so the curve stays continuous
+    if (ry === 0) {
+      if (rx === 1) {
+        tx = size - 1 - (tx % size);
+        ty = size - 1 - (ty % size);
+      }
+      [tx, ty] = [ty, tx];
+    }
+  }
+
+  return base + position;
+}
+
+function writeVarint(bytes, value) {
+  let v = value;
+  while (v >= 0x80) {
+    bytes.push((v % 0x80) | 0x80);
+    v = Math.floor(v / 0x80);
+  }
+  bytes.push(v);
+}
+
+function readVarint(buffer, cursor) {
+  let value = 0;
+  let scale = 1;
+  let byte;
+
+  do {
+    if (cursor.pos >= buffer.length) {
+      throw new Error('Truncated PMTiles directory');
+    }
+    byte = buffer[cursor.pos++];
+    value += (byte & 0x7f) * scale;
+    scale *= 0x80;
+  } while (byte & 0x80);
+
+  return value;
+}
+
+export function compress(buffer, compression) {
+  if (compression === COMPRESSION.NONE) return buffer;
+  if (compression === COMPRESSION.GZIP) return zlib.gzipSync(buffer);
+  throw new Error(`Unsupported PMTiles compression ${compression}`);
+}
+
+export function decompress(buffer, compression) {
+  if (compression === COMPRESSION.NONE) return buffer;
+  if (compression === COMPRESSION.GZIP) return zlib.gunzipSync(buffer);
+  throw new Error(`Unsupported PMTiles compression ${compression}`);
+}
+
+/**
+ * Directory: entry count, then tile id deltas, run lengths, lengths and
+ * offsets as separate varint columns. An offset of 0 means "directly after
+ * the previous entry", anything else is offset + 1.
+ */
+function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+
+  let lastId = 0;
+  for (const entry of entries) {
+    writeVarint(bytes, entry.tileId - lastId);
+    lastId = entry.tileId;
+  }
+  entries.forEach(entry => writeVarint(bytes, entry.runLength));
+  entries.forEach(entry => writeVarint(bytes, entry.length));
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    const contiguous = previous && entry.offset === previous.offset + previous.length;
+    writeVarint(bytes, contiguous ? 0 : entry.offset + 1);
+  });
+
+  return Buffer.from(bytes);
+}
+
+function deserializeDirectory(buffer) {
+  const cursor = { pos: 0 };
+  const count = readVarint(buffer, cursor);
+  const entries = [];
+
+  let lastId = 0;
+  for (let i = 0; i < count; i++) {
+    lastId += readVarint(buffer, cursor);
+    entries.push({ tileId: lastId, offset: 0, length: 0, runLength: 1 });
+  }
+  entries.forEach(entry => { entry.runLength = readVarint(buffer, cursor); });
+  entries.forEach(entry => { entry.length = readVarint(buffer, cursor); });
+  entries.forEach((entry, i) => {
+    const value = readVarint(buffer, cursor);
+    entry.offset = value === 0 && i > 0
+      ? entries[i - 1].offset + entries[i - 1].length
+      : value - 1;
+  });
+
+  return entries;
+}
+
+/**
+ * Root directory, plus leaf directories when every entry will not fit in
+ * the first 16 KiB. Leaves double in size until the root fits.
+ */
+function buildDirectories(entries, compression) {
+  const root = compress(serializeDirectory(entries), compression);
+  if (root.length <= ROOT_MAX_BYTES - HEADER_BYTES) {
+    return { root, leaves: Buffer.alloc(0) };
+  }
+
+  for (let leafSize = MIN_LEAF_ENTRIES; ; leafSize *= 2) {
+    const rootEntries = [];
+    const leaves = [];
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leafEntries = entries.slice(i, i + leafSize);
+      const leaf = compress(serializeDirectory(leafEntries), compression);
+      rootEntries.push({ tileId: leafEntries[0].tileId, offset, length: leaf.length, runLength: 0 });
+      leaves.push(leaf);
+      offset += leaf.length;
+    }
+
+    const leafRoot = compress(serializeDirectory(rootEntries), compression);
+    if (leafRoot.length <= ROOT_MAX_BYTES - HEADER_BYTES) {
+      return { root: leafRoot, leaves: Buffer.concat(leaves) };
+    }
+  }
+}
+
+const e7 = degrees => Math.round(degrees * 1e7);
+
+function encodeHeader(header) {
+  const buffer = Buffer.alloc(HEADER_BYTES);
+  buffer.write(MAGIC, 0, 'ascii');
+  buffer.writeUInt8(SPEC_VERSION, 7);
+
+  [
+    header.rootDirectoryOffset, header.rootDirectoryLength,
+    header.metadataOffset, header.metadataLength,
+    header.leafDirectoryOffset, header.leafDirectoryLength,
+    header.tileDataOffset, header.tileDataLength,
+    header.addressedTiles, header.tileEntries, header.tileContents
+  ].forEach((value, i) => buffer.writeBigUInt64LE(BigInt(value), 8 + i * 8));
+
+  buffer.writeUInt8(header.clustered ? 1 : 0, 96);
+  buffer.writeUInt8(header.internalCompression, 97);
+  buffer.writeUInt8(header.tileCompression, 98);
+  buffer.writeUInt8(header.tileType, 99);
+  buffer.writeUInt8(header.minZoom, 100);
+  buffer.writeUInt8(header.maxZoom, 101);
+
+  const [west, south, east, north] = header.bounds;
+  const [centerLng, centerLat, centerZoom] = header.center;
+  buffer.writeInt32LE(e7(west), 102);
+  buffer.writeInt32LE(e7(south), 106);
+  buffer.writeInt32LE(e7(east), 110);
+  buffer.writeInt32LE(e7(north), 114);
+  buffer.writeUInt8(centerZoom, 118);
+  buffer.writeInt32LE(e7(centerLng), 119);
+  buffer.writeInt32LE(e7(centerLat), 123);
+
+  return buffer;
+}
+
+function decodeHeader(buffer) {
+  if (buffer.length < HEADER_BYTES || buffer.toString('ascii', 0, 7) !== MAGIC) {
+    throw new Error('Not a PMTiles archive');
+  }
+  if (buffer.readUInt8(7) !== SPEC_VERSION) {
+    throw new Error(`Unsupported PMTiles version ${buffer.readUInt8(7)}`);
+  }
+
+  const u64 = offset => Number(buffer.readBigUInt64LE(offset));
+  const degrees = offset => buffer.readInt32LE(offset) / 1e7;
+
+  return {
+    rootDirectoryOffset: u64(8),
+    rootDirectoryLength: u64(16),
+    metadataOffset: u64(24),
+    metadataLength: u64(32),
+    leafDirectoryOffset: u64(40),
+    leafDirectoryLength: u64(48),
+    tileDataOffset: u64(56),
+    tileDataLength: u64(64),
+    addressedTiles: u64(72),
+    tileEntries: u64(80),
+    tileContents: u64(88),
+    clustered: buffer.readUInt8(96) === 1,
+    internalCompression: buffer.readUInt8(97),
+    tileCompression: buffer.readUInt8(98),
+    tileType: buffer.readUInt8(99),
+    minZoom: buffer.readUInt8(100),
+    maxZoom: buffer.readUInt8(101),
+    bounds: [degrees(102), degrees(106), degrees(110), degrees(114)],
+    center: [degrees(119), degrees(123), buffer.readUInt8(118)]
+  };
+}
+
+/**
+ * Archive writer. Tile data is streamed to a scratch file as tiles arrive
+ * (in ascending tile id order, so the archive is clustered); identical
+ * tiles are stored once and consecutive repeats become one run.
+ * @param {string} scratchFile - Temporary file for tile data
+ */
+export function createArchiveWriter(scratchFile) {
+  const fd = fs.openSync(scratchFile, 'w');
+  const entries = [];
+  const offsetsByHash = new Map();
+  let dataLength = 0;
+  let addressedTiles = 0;
+
+  return {
+    /**
+     * @param {number} id - From tileId(); must be above every id added so far
+     * @param {Buffer} data - Tile bytes, already compressed
+     */
+    addTile(id, data) {
+      const last = entries[entries.length - 1];
+      if (last && id < last.tileId + last.runLength) {
+        throw new Error('Tiles must be added in ascending tile id order');
+      }
+
+      const hash = crypto.createHash('sha1').update(data).digest('hex');
+      let offset = offsetsByHash.get(hash);
+      if (offset === undefined) {
+        offset = dataLength;
+        fs.writeSync(fd, data);
+        dataLength += data.length;
+        offsetsByHash.set(hash, offset);
+      }
+
+      addressedTiles++;
+      if (last && last.offset === offset && last.tileId + last.runLength === id) {
+        last.runLength++;
+      } else {
+        entries.push({ tileId: id, offset, length: data.length, runLength: 1 });
+      }
+    },
+
+    /**
+     * Write header, directories and metadata, then append the tile data
+     * @param {string} file - Archive path
+     * @param {Object} options - { metadata, tileType, tileCompression,
+     *   minZoom, maxZoom, bounds: [w, s, e, n], center: [lng, lat, zoom] }
+     * @returns {Promise<Object>} - The archive header
+     */
+    async finish(file, { metadata, tileType, tileCompression, minZoom, maxZoom, bounds, center }) {
+      fs.closeSync(fd);
+
+      const internalCompression = COMPRESSION.GZIP;
+      const { root, leaves } = buildDirectories(entries, internalCompression);
+      const metadataBytes = compress(Buffer.from(JSON.stringify(metadata)), internalCompression);
+
+      const header = {
+        rootDirectoryOffset: HEADER_BYTES,
+        rootDirectoryLength: root.length,
+        metadataOffset: HEADER_BYTES + root.length,
+        metadataLength: metadataBytes.length,
+        leafDirectoryOffset: HEADER_BYTES + root.length + metadataBytes.length,
+        leafDirectoryLength: leaves.length,
+        tileDataOffset: HEADER_BYTES + root.length + metadataBytes.length + leaves.length,
+        tileDataLength: dataLength,
+        addressedTiles,
+        tileEntries: entries.length,
+        tileContents: offsetsByHash.size,
+        clustered: true,
+        internalCompression,
+        tileCompression,
+        tileType,
+        minZoom,
+        maxZoom,
+        bounds,
+        center
+      };
+
+      fs.writeFileSync(file, Buffer.concat([encodeHeader(header), root, metadataBytes, leaves]));
+      await pipeline(fs.createReadStream(scratchFile), fs.createWriteStream(file, { flags: 'a' }));
+      fs.rmSync(scratchFile);
+
+      return header;
+    }
+  };
+}
+
+/**
+ * Byte-range source over a local file. The file is opened on the first read
+ * and held until close().
+ */
+export function createFileSource(file) {
+  let opening;
+  let closed = false;
+
+  return {
+    key: file,
+    async getBytes(offset, length) {
+      if (closed) throw new Error(`PMTiles source ${file} is closed`);
+
+      opening = opening || fs.promises.open(file, 'r');
+      const handle = await opening;
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, offset);
+      return buffer.subarray(0, bytesRead);
+    },
+    async close() {
+      closed = true;
+      const pending = opening;
+      opening = undefined;
+
+      // A file that never opened has nothing to close
+      const handle = pending && await pending.catch(() => null);
+      if (handle) await handle.close();
+    }
+  };
+}
+
+/**
+ * Byte-range source over HTTP, for archives on static hosting or object
+ * storage. The server must honour Range requests.
+ */
+export function createHttpSource(url) {
+  return {
+    key: url,
+    async getBytes(offset, length) {
+      const response = await fetch(url, {
+        headers: { Range: `bytes=${offset}-${offset + length - 1}` }
+      });
+
+      if (response.status !== 206) {
+        throw new Error(`PMTiles range request to ${url} returned HTTP ${response.status}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+    // Nothing is held between requests
+    async close() {}
+  };
+}
+
+// Entry covering a tile id: an exact match, a run that includes it, or the
+// leaf directory whose range starts below it
+function findEntry(entries, id) {
+  let low = 0;
+  let high = entries.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const diff = id - entries[mid].tileId;
+    if (diff > 0) low = mid + 1;
+    else if (diff < 0) high = mid - 1;
+    else return entries[mid];
+  }
+
+  if (high >= 0) {
+    const entry = entries[high];
+    if (entry.runLength === 0 || id - entry.tileId < entry.runLength) return entry;
+  }
+
+  return null;
+}
+
+/**
+ * Open an archive from a byte-range source. The header, root directory and
+ * metadata are read once; leaf directories are cached as they are used.
+ * @returns {Promise<Object>} - { header, metadata, getTile(z, x, y), close() }
+ *   where getTile resolves to the decompressed tile bytes, or null when
+ *   absent, and close() releases the source
+ */
+export async function openArchive(source) {
+  const head = await source.getBytes(0, ROOT_MAX_BYTES);
+  const header = decodeHeader(head);
+
+  const readDirectory = async (offset, length) => {
+    const bytes = offset + length <= head.length
+      ? head.subarray(offset, offset + length)
+      : await source.getBytes(offset, length);
+    return deserializeDirectory(decompress(bytes, header.internalCompression));
+  };
+
+  const root = await readDirectory(header.rootDirectoryOffset, header.rootDirectoryLength);
+  const metadataBytes = await source.getBytes(header.metadataOffset, header.metadataLength);
+  const metadata = JSON.parse(decompress(metadataBytes, header.internalCompression).toString('utf8'));
+
+  const leafCache = new Map();
+  const readLeaf = async (offset, length) => {
+    const key = `${offset}:${length}`;
+    if (!leafCache.has(key)) {
+      if (leafCache.size >= LEAF_CACHE_SIZE) {
+        leafCache.delete(leafCache.keys().next().value);
+      }
+      leafCache.set(key, readDirectory(header.leafDirectoryOffset + offset, length));
+    }
+    return leafCache.get(key);
+  };
+
+  async function getTile(z, x, y) {
+    if (z < header.minZoom || z > header.maxZoom) return null;
+
+    const id = tileId(z, x, y);
+    let directory = root;
+
+    for (let depth = 0; depth <= MAX_DIRECTORY_DEPTH; depth++) {
+      const entry = findEntry(directory, id);
+      if (!entry) return null;
+
+      if (entry.runLength > 0) {
+        const data = await source.getBytes(header.tileDataOffset + entry.offset, entry.length);
+        return decompress(data, header.tileCompression);
+      }
+
+      directory = await readLeaf(entry.offset, entry.length);
+    }
+
+    return null;
+  }
+
+  return { header, metadata, getTile, close: () => source.close() };
+}
@@ -0,0 +1,183 @@
+import { RATE_LIMIT } from './config.js';
+import { ApiError, sendError } from './errors.js';
+
+// Memory store entries are swept once it holds this many clients
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+/**
+ * Refill a bucket for the time elapsed and try to take policy.cost tokens
+ * (default 1)
+ */
+function takeToken(bucket, { capacity, refillPerMs, cost = 1 }, now) {
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  const tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerMs);
+  const allowed = tokens >= cost;
+
+  return {
+    allowed,
+    bucket: { tokens: allowed ? tokens - cost : tokens, updatedAt: now }
+  };
+}
+
+/**
+ * Per-instance store. Each serverless instance counts on its own, so the
+ * effective limit scales with the number of warm instances.
+ */
+export function createMemoryStore() {
+  const buckets = new Map();
+
+  return {
+    async take(key, policy, now = Date.now()) {
+      if (buckets.size >= MEMORY_STORE_SWEEP_SIZE) {
+        const fullAfterMs = policy.capacity / policy.refillPerMs;
+        for (const [bucketKey, bucket] of buckets) {
+          if (now - bucket.updatedAt >= fullAfterMs) buckets.delete(bucketKey);
+        }
+      }
+
+      const current = buckets.get(key) || { tokens: policy.capacity, updatedAt: now };
+      const { allowed, bucket } = takeToken(current, policy, now);
+      buckets.set(key, bucket);
+      return { allowed, tokens: bucket.tokens };
+    }
+  };
+}
+
+/**
+ * Store shared between instances, on top of a key-value client with
+ * async get(key) and set(key, value, { px }) - the Vercel KV / Upstash
+ * Redis API. Read-modify-write is not atomic, so concurrent requests from
+ * one client can occasionally both spend the same token.
+ */
+export function createKeyValueStore(client, prefix = 'ratelimit:') {
+  return {
+    async take(key, policy, now = Date.now()) {
+      const storeKey = `${prefix}${key}`;
+      const current = (await client.get(storeKey)) || { tokens: policy.capacity, updatedAt: now };
+      const { allowed, bucket } = takeToken(current, policy, now);
+
+      // Expire once the bucket would be full again anyway
+      const px = Math.ceil((policy.capacity - bucket.tokens) / policy.refillPerMs) + 1000;
+      await client.set(storeKey, bucket, { px });
+      return { allowed, tokens: bucket.tokens };
+    }
+  };
+}
+
+/**
+ * In-process stand-in for a shared key-value client, for local development
+ * of the shared store path without a Redis
+ */
+export function createLocalKeyValueClient() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, { px } = {}) {
+      entries.set(key, {
+        value: structuredClone(value),
+        expiresAt: px ? Date.now() + px : Infinity
+      });
+      return 'OK';
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * Store selected by RATE_LIMIT_STORE: memory (default) or local-kv.
+ * A real shared client can be plugged in with setRateLimitStore().
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'local-kv'
+      ? createKeyValueStore(createLocalKeyValueClient())
+      : createMemoryStore();
+  }
+  return store;
+}
+
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+/**
+ * Whether X-Forwarded-For comes from a proxy we trust: the Vercel edge
+ * (VERCEL is set on every deployment) or TRUST_PROXY=true
+ */
+function trustsProxy() {
+  return Boolean(process.env.VERCEL) ||
+    ['1', 'true'].includes(String(process.env.TRUST_PROXY || '').toLowerCase());
+}
+
+/**
+ * Client key. Behind a trusted proxy this is the last X-Forwarded-For hop,
+ * the address the proxy itself saw; earlier hops are client-supplied and
+ * can be spoofed. Otherwise it is the socket address.
+ */
+export function clientKey(req) {
+  if (trustsProxy()) {
+    const hops = String(req.headers?.['x-forwarded-for'] || '')
+      .split(',')
+      .map(hop => hop.trim())
+      .filter(Boolean);
+    if (hops.length) {
+      return hops[hops.length - 1];
+    }
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Spend cost tokens (one per tile or request) for the client and set
+ * RateLimit-* headers. Sends the 429 itself and returns false when the
+ * client is out of tokens. Call after conditional-request handling so 304s
+ * stay free.
+ */
+export async function applyRateLimit(req, res, { cost = 1 } = {}) {
+  const policy = {
+    capacity: RATE_LIMIT.CAPACITY,
+    refillPerMs: RATE_LIMIT.CAPACITY / (RATE_LIMIT.WINDOW_SECONDS * 1000),
+    // A request costing more than a full bucket could never go through
+    cost: Math.min(cost, RATE_LIMIT.CAPACITY)
+  };
+
+  let result;
+  try {
+    result = await getRateLimitStore().take(clientKey(req), policy);
+  } catch (error) {
+    // A broken limiter store should not take the API down with it
+    console.error('Rate limit store failed:', error);
+    return true;
+  }
+
+  const perSecond = policy.refillPerMs * 1000;
+  const resetSeconds = Math.ceil((policy.capacity - result.tokens) / perSecond);
+
+  res.setHeader('RateLimit-Policy', `${RATE_LIMIT.CAPACITY};w=${RATE_LIMIT.WINDOW_SECONDS}`);
+  res.setHeader('RateLimit-Limit', String(RATE_LIMIT.CAPACITY));
+  res.setHeader('RateLimit-Remaining', String(Math.floor(result.tokens)));
+  res.setHeader('RateLimit-Reset', String(resetSeconds));
+
+  if (result.allowed) {
+    return true;
+  }
+
+  const retryAfter = Math.ceil((policy.cost - result.tokens) / perSecond);
+  res.setHeader('Retry-After', String(retryAfter));
+  sendError(res, new ApiError(
+    'RATE_LIMITED',
+    `Limit is ${RATE_LIMIT.CAPACITY} requests per ${RATE_LIMIT.WINDOW_SECONDS} seconds. Retry in ${retryAfter}s`
+  ));
+  return false;
+}
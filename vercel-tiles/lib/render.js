@@ -0,0 +1,98 @@
+import h3 from 'h3-js';
+import { ZOOM_TO_H3, POLYFILL_MAX_CELLS, POPULATED_PARENT_DEPTH } from './config.js';
+import { assignCellsToTiles, getH3CellsForTiles } from './batch.js';
+import { bboxAreaKm2 } from './area.js';
+import { cellBufferKm, polyfillBBox, tileCoverageBBox } from './tiles.js';
+import { demoCellProperties, demoDeltaProperties } from './demo.js';
+import { queryCellData, queryPopulatedCells } from './cellData.js';
+import { ApiError, databaseError } from './errors.js';
+import { buildTileFeatures } from './simplify.js';
+
+/**
+ * Rough number of cells a polyfill of the tiles would enumerate
+ */
+export function estimateTileCells(tiles, h3Level) {
+  const areaKm2 = tiles.reduce((sum, { z, x, y }) => sum + bboxAreaKm2(tileCoverageBBox(z, x, y)), 0);
+  return Math.round(areaKm2 / h3.getHexagonAreaAvg(h3Level, 'km2'));
+}
+
+// Cells for tiles too large to polyfill: the populated cells under coarse
+// parents covering them, from the database
+async function populatedCellsForTiles(tiles, h3Level, { filters, buffered }) {
+  const parentLevel = Math.max(0, h3Level - POPULATED_PARENT_DEPTH);
+  const parents = new Set();
+
+  for (const { z, x, y } of tiles) {
+    polyfillBBox(tileCoverageBBox(z, x, y), parentLevel, { bufferKm: cellBufferKm(parentLevel) })
+      .forEach(parent => parents.add(parent));
+  }
+
+  const populated = await queryPopulatedCells([...parents], h3Level, filters);
+  return assignCellsToTiles(populated, tiles, { buffered });
+}
+
+/**
+ * Render tiles at one zoom into features, with one cell query for all of
+ * them. Shared by the tile, batch and pre-render paths so they always agree.
+ * @param {Array} tiles - [{ z, x, y }], all at zoom
+ * @param {number} zoom - Tile zoom
+ * @param {Object} options - { filters, buffered, merged, isVectorTile, demo }
+ * @returns {Promise<Map<string, Array>>} - "z/x/y" -> features, in tile order
+ * @throws {ApiError} - DB_UNAVAILABLE or TIMEOUT when the cell query fails,
+ *   AREA_TOO_LARGE for demo tiles above POLYFILL_MAX_CELLS
+ */
+export async function renderTiles(tiles, zoom, {
+  filters,
+  buffered = false,
+  merged = false,
+  isVectorTile = false,
+  demo = false
+}) {
+  const h3Level = ZOOM_TO_H3[zoom];
+  const estimatedCells = estimateTileCells(tiles, h3Level);
+  const populatedOnly = estimatedCells > POLYFILL_MAX_CELLS;
+
+  if (populatedOnly && demo) {
+    // Demo cells have no database to start from
+    throw new ApiError(
+      'AREA_TOO_LARGE',
+      `Tiles need about ${estimatedCells} cells at level ${h3Level}; the demo limit is ${POLYFILL_MAX_CELLS}`
+    );
+  }
+
+  let { cellsByTile, cells: h3Cells } = populatedOnly
+    ? { cellsByTile: new Map(), cells: [] }
+    : getH3CellsForTiles(tiles, h3Level, { buffered });
+
+  let cells = [];
+  if (demo) {
+    // Synthetic values are seeded per cell, never mixed with real data
+    const properties = filters.compare ? demoDeltaProperties : demoCellProperties;
+    cells = h3Cells.map(cell => ({ h3_index: cell, ...properties(cell) }));
+  } else {
+    try {
+      if (populatedOnly) {
+        ({ cellsByTile, cells: h3Cells } = await populatedCellsForTiles(tiles, h3Level, { filters, buffered }));
+      }
+
+      // Cells without data are left out rather than filled in
+      if (h3Cells.length) {
+        cells = await queryCellData(h3Cells, h3Level, filters);
+      }
+    } catch (dbError) {
+      console.error('Database query failed:', dbError);
+      throw databaseError(dbError);
+    }
+  }
+
+  const cellData = new Map(cells.map(cell => [cell.h3_index, cell]));
+  const rendered = new Map();
+
+  for (const [key, tileCells] of cellsByTile) {
+    // Index order: polyfilled and populated cells give the same body
+    const tileData = tileCells.filter(cell => cellData.has(cell)).sort().map(cell => cellData.get(cell));
+    rendered.set(key, buildTileFeatures(tileData, zoom, { merged, isVectorTile, tileKey: key }));
+  }
+
+  return rendered;
+}
@@ -0,0 +1,158 @@
+import h3 from 'h3-js';
+import { pool } from './db.js';
+import { H3_MIN_LEVEL, STATS_MAX_LEVEL, SEARCH_RESULT_LIMIT } from './config.js';
+import { bboxAreaKm2 } from './area.js';
+
+// Place kinds written by scripts/place_index.js
+const NAME_KINDS = ['town', 'district', 'county'];
+
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d)([A-Z]{2})$/;
+const SECTOR_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d)$/;
+const OUTWARD_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?$/;
+
+// A postcode is treated as this big when picking its covering cell
+const MIN_COVER_KM2 = 0.1;
+
+/**
+ * Normalise a search query the way place keys are stored
+ */
+export function normalizeQuery(q) {
+  return String(q).trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Postcode-shaped queries resolve to exact place keys, most specific first.
+ * A full postcode missing from the lookup falls back to its sector and
+ * outward code.
+ * @returns {Array|null} - [{ kind, key }], or null for a place name
+ */
+export function postcodeCandidates(query) {
+  const postcode = POSTCODE_PATTERN.exec(query);
+  if (postcode) {
+    const [, outward, sector, unit] = postcode;
+    return [
+      { kind: 'postcode', key: `${outward} ${sector}${unit}` },
+      { kind: 'sector', key: `${outward} ${sector}` },
+      { kind: 'outward', key: outward }
+    ];
+  }
+
+  const candidates = [];
+
+  // "SW11" is both an outward code and sector 1 of SW1
+  if (OUTWARD_PATTERN.test(query)) {
+    candidates.push({ kind: 'outward', key: query });
+  }
+
+  const sector = SECTOR_PATTERN.exec(query);
+  if (sector) {
+    candidates.push({ kind: 'sector', key: `${sector[1]} ${sector[2]}` });
+  }
+
+  return candidates.length ? candidates : null;
+}
+
+/**
+ * Finest H3 level whose hexagons are still at least as big as the place
+ */
+export function coveringLevel(bbox) {
+  const areaKm2 = Math.max(bboxAreaKm2(bbox), MIN_COVER_KM2);
+
+  for (let level = STATS_MAX_LEVEL; level > H3_MIN_LEVEL; level--) {
+    if (h3.getHexagonAreaAvg(level, 'km2') >= areaKm2) {
+      return level;
+    }
+  }
+  return H3_MIN_LEVEL;
+}
+
+async function findPlaces(client, query) {
+  const candidates = postcodeCandidates(query);
+
+  if (candidates) {
+    const result = await client.query(`
+      SELECT places.*
+      FROM places
+      JOIN unnest($1::text[], $2::text[]) WITH ORDINALITY AS c(kind, place_key, rank)
+        ON places.kind = c.kind AND places.place_key = c.place_key
+      ORDER BY c.rank
+      LIMIT 1
+    `, [candidates.map(c => c.kind), candidates.map(c => c.key)]);
+    return result.rows;
+  }
+
+  const result = await client.query(`
+    SELECT *
+    FROM places
+    WHERE kind = ANY($1::text[])
+      AND place_key LIKE $2 || '%'
+    ORDER BY (place_key = $2) DESC, point_count DESC
+    LIMIT $3
+  `, [NAME_KINDS, query.replace(/[%_\\]/g, '\\$&'), SEARCH_RESULT_LIMIT]);
+  return result.rows;
+}
+
+/**
+ * Resolve a query to places with a centre, bbox and the stats of the
+ * covering H3 cell for a metric and source.
+ * @returns {Promise<Array>} - [{ kind, name, within, center, bbox, cell }]
+ */
+export async function searchPlaces(q, { metric, source }) {
+  const client = await pool.connect();
+
+  try {
+    const places = await findPlaces(client, normalizeQuery(q));
+
+    const results = places.map(place => {
+      const bbox = [place.min_lng, place.min_lat, place.max_lng, place.max_lat];
+      const level = coveringLevel(bbox);
+
+      return {
+        kind: place.kind,
+        name: place.name,
+        within: place.within || null,
+        center: [place.lng, place.lat],
+        bbox,
+        h3_index: h3.latLngToCell(place.lat, place.lng, level),
+        h3_level: level
+      };
+    });
+
+    if (!results.length) {
+      return [];
+    }
+
+    const stats = await client.query(`
+      SELECT
+        h3_index,
+        weighted_metric as price,
+        tx_count as count,
+        avg_confidence as confidence,
+        normalized_value as value
+      FROM heatmap_aggregated
+      WHERE h3_index = ANY($1::text[])
+        AND metric_type = $2
+        AND metric_source = $3
+    `, [results.map(result => result.h3_index), metric, source]);
+
+    const statsByCell = new Map(stats.rows.map(row => [row.h3_index, row]));
+
+    return results.map(({ h3_index, h3_level, ...result }) => {
+      const row = statsByCell.get(h3_index);
+
+      return {
+        ...result,
+        cell: {
+          h3_index,
+          h3_level,
+          price: row ? parseFloat(row.price) : null,
+          count: row ? parseInt(row.count) : 0,
+          confidence: row ? parseFloat(row.confidence) : null,
+          value: row ? parseFloat(row.value) : null
+        }
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Tile, bounding box and median helpers shared by every runtime: the tile
+ * API (ES modules, lib/tiles.js), the local server in src/ and the ETL
+ * scripts (CommonJS). Kept as CommonJS so all of them can load it.
+ * Types: shared.d.cts.
+ */
+
+const h3 = require('h3-js');
+
+const KM_PER_DEGREE = 111.32;
+// Longitude padding is computed no closer to the poles than this
+const MAX_BUFFER_LAT = 89;
+
+/**
+ * Convert tile coordinates to bounding box [west, south, east, north]
+ */
+function tileToBBox(z, x, y) {
+  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
+  const lat1 = (Math.atan(Math.sinh(n)) * 180) / Math.PI;
+  const lng1 = (x / Math.pow(2, z)) * 360 - 180;
+
+  const n2 = Math.PI - (2 * Math.PI * (y + 1)) / Math.pow(2, z);
+  const lat2 = (Math.atan(Math.sinh(n2)) * 180) / Math.PI;
+  const lng2 = ((x + 1) / Math.pow(2, z)) * 360 - 180;
+
+  return [lng1, lat2, lng2, lat1];
+}
+
+/**
+ * Tile containing a point at zoom z (Web Mercator, same scheme as tileToBBox)
+ */
+function lngLatToTile(lng, lat, z) {
+  const scale = Math.pow(2, z);
+  const latRad = (lat * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * scale);
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale);
+
+  // Points on the far east / south edge belong to the last tile
+  return {
+    x: Math.min(Math.max(x, 0), scale - 1),
+    y: Math.min(Math.max(y, 0), scale - 1)
+  };
+}
+
+/**
+ * Split a [west, south, east, north] box into pieces H3 can polyfill: none
+ * wider or taller than maxSpan degrees, latitudes clamped to ±90 and boxes
+ * crossing ±180° (west > east, or past either edge) wrapped into an
+ * eastern and a western part. H3 reads any ring wider than 180° as
+ * crossing the antimeridian, so a whole-world box cannot go in as is.
+ */
+function splitBBox([west, south, east, north], maxSpan) {
+  const bottom = Math.max(south, -90);
+  const top = Math.min(north, 90);
+  const width = east >= west ? east - west : east - west + 360;
+
+  let spans;
+  if (width >= 360) {
+    spans = [[-180, 180]];
+  } else {
+    const start = ((((west + 180) % 360) + 360) % 360) - 180;
+    const end = start + width;
+    spans = end > 180 ? [[start, 180], [-180, end - 360]] : [[start, end]];
+  }
+
+  const boxes = [];
+  for (const [left, right] of spans) {
+    const columns = Math.max(1, Math.ceil((right - left) / maxSpan));
+    const rows = Math.max(1, Math.ceil((top - bottom) / maxSpan));
+    const step = (right - left) / columns;
+    const rowStep = (top - bottom) / rows;
+
+    for (let col = 0; col < columns; col++) {
+      for (let row = 0; row < rows; row++) {
+        boxes.push([
+          left + col * step,
+          bottom + row * rowStep,
+          col === columns - 1 ? right : left + (col + 1) * step,
+          row === rows - 1 ? top : bottom + (row + 1) * rowStep
+        ]);
+      }
+    }
+  }
+
+  return boxes;
+}
+
+/**
+ * Pad a box by km on every side. Longitude padding grows towards the
+ * poles; the result may cross ±180°, which splitBBox wraps.
+ */
+function bufferBBox([west, south, east, north], km) {
+  const latPad = km / KM_PER_DEGREE;
+  const bottom = Math.max(south - latPad, -90);
+  const top = Math.min(north + latPad, 90);
+  const widestLat = Math.min(Math.max(Math.abs(bottom), Math.abs(top)), MAX_BUFFER_LAT);
+  const lngPad = km / (KM_PER_DEGREE * Math.cos((widestLat * Math.PI) / 180));
+
+  if (east - west + 2 * lngPad >= 360) {
+    return [-180, bottom, 180, top];
+  }
+  return [west - lngPad, bottom, east + lngPad, top];
+}
+
+/**
+ * H3 cells whose centre lies in a [west, south, east, north] box, after
+ * padding it by bufferKm. Works for any box, whole world included; pieces
+ * are at most maxSpan degrees across.
+ */
+function polyfillBBox(bbox, resolution, { bufferKm = 0, maxSpan }) {
+  const cells = new Set();
+
+  for (const [west, south, east, north] of splitBBox(bufferBBox(bbox, bufferKm), maxSpan)) {
+    const polygon = [[
+      [north, west],
+      [north, east],
+      [south, east],
+      [south, west],
+      [north, west]
+    ]];
+    h3.polygonToCellsExperimental(polygon, resolution, h3.POLYGON_TO_CELLS_FLAGS.containmentCenter)
+      .forEach(cell => cells.add(cell));
+  }
+
+  return [...cells];
+}
+
+/**
+ * GeoJSON polygon of an H3 cell.
+ * cellToBoundary in GeoJSON mode already yields a closed [lng, lat] ring.
+ */
+function cellToPolygon(cell) {
+  return {
+    type: 'Polygon',
+    coordinates: [h3.cellToBoundary(cell, true)]
+  };
+}
+
+/**
+ * Median of a number array, averaging the middle pair for an even count
+ * @returns {number} - 0 for an empty array
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+module.exports = {
+  tileToBBox,
+  lngLatToTile,
+  splitBBox,
+  bufferBBox,
+  polyfillBBox,
+  cellToPolygon,
+  median
+};
@@ -0,0 +1,27 @@
+// Types for shared.cjs, used by the TypeScript sources in src/
+
+/** [west, south, east, north] in degrees */
+export type BBox = [number, number, number, number];
+
+export interface Polygon {
+  type: 'Polygon';
+  coordinates: number[][][];
+}
+
+export function tileToBBox(z: number, x: number, y: number): BBox;
+
+export function lngLatToTile(lng: number, lat: number, z: number): { x: number; y: number };
+
+export function splitBBox(bbox: BBox, maxSpan: number): BBox[];
+
+export function bufferBBox(bbox: BBox, km: number): BBox;
+
+export function polyfillBBox(
+  bbox: BBox,
+  resolution: number,
+  options: { bufferKm?: number; maxSpan: number }
+): string[];
+
+export function cellToPolygon(cell: string): Polygon;
+
+export function median(values: number[]): number;
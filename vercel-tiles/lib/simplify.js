@@ -0,0 +1,156 @@
+import h3 from 'h3-js';
+import { cellToFeature } from './tiles.js';
+
+// Tiles are drawn at 256px; keep rounding error below a quarter pixel
+const TILE_SIZE = 256;
+const MAX_ERROR_PX = 0.25;
+
+// Cell merging is only worth it while hexagons are a few pixels wide
+export const MERGE_MAX_ZOOM = 8;
+
+// Matches the five colour steps used by the web and mobile clients
+const VALUE_BUCKETS = 5;
+
+/**
+ * Decimal places needed for [lng, lat] coordinates at a zoom level
+ */
+export function coordinatePrecision(zoom) {
+  const degreesPerPixel = 360 / (TILE_SIZE * Math.pow(2, zoom));
+  return Math.max(0, Math.ceil(-Math.log10(degreesPerPixel * MAX_ERROR_PX)));
+}
+
+/**
+ * Round a ring to the given precision, dropping vertices that collapse
+ * onto their predecessor. The ring stays closed.
+ */
+function roundRing(ring, precision) {
+  const factor = Math.pow(10, precision);
+  const rounded = [];
+
+  for (const [lng, lat] of ring) {
+    const point = [Math.round(lng * factor) / factor, Math.round(lat * factor) / factor];
+    const previous = rounded[rounded.length - 1];
+    if (!previous || previous[0] !== point[0] || previous[1] !== point[1]) {
+      rounded.push(point);
+    }
+  }
+
+  return rounded;
+}
+
+/**
+ * Round every coordinate of a Polygon or MultiPolygon feature in place
+ */
+export function quantizeFeature(feature, precision) {
+  const { geometry } = feature;
+
+  if (geometry.type === 'Polygon') {
+    geometry.coordinates = geometry.coordinates.map(ring => roundRing(ring, precision));
+  } else if (geometry.type === 'MultiPolygon') {
+    geometry.coordinates = geometry.coordinates.map(polygon =>
+      polygon.map(ring => roundRing(ring, precision))
+    );
+  }
+
+  return feature;
+}
+
+// Colour bucket for a normalised value, using the clients' <= thresholds
+function valueBucket(value) {
+  return Math.min(VALUE_BUCKETS - 1, Math.max(0, Math.ceil(value * VALUE_BUCKETS) - 1));
+}
+
+// Transaction-weighted median of the cell medians
+function weightedMedian(cells) {
+  const sorted = [...cells].sort((a, b) => a.price - b.price);
+  const half = sorted.reduce((sum, cell) => sum + cell.count, 0) / 2;
+
+  let seen = 0;
+  for (const cell of sorted) {
+    seen += cell.count;
+    if (seen >= half) return cell.price;
+  }
+  return sorted[sorted.length - 1].price;
+}
+
+/**
+ * Merge adjacent cells that fall in the same colour bucket into one
+ * MultiPolygon feature per bucket. Merged features have no h3_index;
+ * merge_id ("z/x/y:bucket") identifies them across tiles instead.
+ * @param {Array} cells - [{ h3_index, price, count, confidence, value }]
+ * @param {string} tileKey - "z/x/y" of the tile the cells were drawn for
+ * @returns {Array} - GeoJSON features with merge_id, bucket, cells, price,
+ *   count, confidence and value properties, plus change_pct for delta cells
+ *   and demo when every member is a demo cell
+ */
+export function mergeCellsByBucket(cells, tileKey) {
+  const buckets = new Map();
+
+  // Fixed order so the output does not depend on database row order
+  const sorted = [...cells].sort((a, b) => (a.h3_index < b.h3_index ? -1 : 1));
+
+  for (const cell of sorted) {
+    const bucket = valueBucket(cell.value);
+    if (!buckets.has(bucket)) {
+      buckets.set(bucket, []);
+    }
+    buckets.get(bucket).push(cell);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([bucket, members]) => {
+      const count = members.reduce((sum, cell) => sum + cell.count, 0);
+      const weight = cell => (count > 0 ? cell.count / count : 1 / members.length);
+      const properties = {
+        merge_id: `${tileKey}:${bucket}`,
+        bucket,
+        cells: members.length,
+        price: weightedMedian(members),
+        count,
+        confidence: members.reduce((sum, cell) => sum + cell.confidence * weight(cell), 0),
+        value: members.reduce((sum, cell) => sum + cell.value * weight(cell), 0)
+      };
+
+      // Delta (compare) cells also carry their weighted mean change
+      if (members[0].change_pct !== undefined) {
+        properties.change_pct = members.reduce((sum, cell) => sum + cell.change_pct * weight(cell), 0);
+      }
+
+      // Synthetic cells stay marked once merged
+      if (members.every(cell => cell.demo)) {
+        properties.demo = true;
+      }
+
+      return {
+        type: 'Feature',
+        properties,
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: h3.cellsToMultiPolygon(members.map(cell => cell.h3_index), true)
+        }
+      };
+    });
+}
+
+/**
+ * Tile features for cells with data: merged per colour bucket when asked
+ * (low zoom only), one hexagon per cell otherwise. GeoJSON output is
+ * rounded here; vector tiles are quantized by the encoder instead.
+ * @param {Array} cells - [{ h3_index, price, count, confidence, value }]
+ * @param {number} zoom - Tile zoom
+ * @param {Object} options - { merged, isVectorTile, tileKey }; tileKey
+ *   ("z/x/y") is required when merged
+ */
+export function buildTileFeatures(cells, zoom, { merged = false, isVectorTile = false, tileKey } = {}) {
+  const features = merged && zoom <= MERGE_MAX_ZOOM && cells.length
+    ? mergeCellsByBucket(cells, tileKey)
+    : cells.map(({ h3_index, ...properties }) => cellToFeature(h3_index, properties));
+
+  if (!isVectorTile) {
+    const precision = coordinatePrecision(zoom);
+    features.forEach(feature => quantizeFeature(feature, precision));
+  }
+
+  return features;
+}
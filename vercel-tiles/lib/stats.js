@@ -0,0 +1,44 @@
+/**
+ * Confidence score (0-1) from sample size and recency.
+ * Same formula the ETL uses when writing heatmap_cells.
+ */
+export function confidenceScore(count, lastSeen) {
+  const recencyDays = (Date.now() - new Date(lastSeen).getTime()) / (1000 * 3600 * 24);
+  const sampleFactor = Math.min(1, Math.log10(count + 1) / 2);
+  const recencyFactor = Math.max(0.3, 1 - (recencyDays / 365));
+  return sampleFactor * recencyFactor;
+}
+
+/**
+ * Confidence score (0-1) for a change between two period medians.
+ * The error of a difference grows with both samples, so the effective
+ * sample 1 / (1/a + 1/b) is dominated by the smaller period.
+ */
+export function deltaConfidence(countBefore, countAfter) {
+  const effective = (countBefore * countAfter) / (countBefore + countAfter);
+  return Math.min(1, Math.log10(effective + 1) / 2);
+}
+
+/**
+ * Diverging value (0-1) for a price ratio: 0.5 is no change, and the log
+ * ratio is scaled so a rise of fullScale reaches 1 and the equivalent fall
+ * reaches 0. Rises and falls of the same factor sit symmetrically.
+ */
+export function divergingValue(ratio, fullScale) {
+  const scaled = Math.log(ratio) / Math.log(1 + fullScale);
+  return 0.5 + Math.max(-1, Math.min(1, scaled)) / 2;
+}
+
+/**
+ * Percentile (0-1) of a value against ascending percentile breakpoints
+ */
+export function percentileValue(breakpoints, value) {
+  if (!breakpoints || !breakpoints.length) return 0.5;
+
+  let below = 0;
+  for (const breakpoint of breakpoints) {
+    if (breakpoint <= value) below++;
+  }
+
+  return below / breakpoints.length;
+}
@@ -0,0 +1,88 @@
+import { TILE_MEMORY_CACHE_MAX_BYTES } from './config.js';
+
+// Encoded tiles by key; Map iteration order doubles as the LRU order
+const entries = new Map();
+let bytes = 0;
+let datasetVersion = null;
+
+const counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+/**
+ * Drop every entry when a new dataset version shows up. Versions come from
+ * the latest successful etl_runs row, so this runs once per completed ETL.
+ */
+function syncVersion(version) {
+  if (version === datasetVersion) return;
+
+  if (entries.size) counters.invalidations++;
+  entries.clear();
+  bytes = 0;
+  datasetVersion = version;
+}
+
+/**
+ * Cached tile for the current dataset version, marked most recently used
+ * @param {string} version - Dataset version the request was validated against
+ * @param {string} key - Tile key (the ETag covers tile, format and filters)
+ * @returns {Object|undefined} - { body, empty }
+ */
+export function getCachedTile(version, key) {
+  syncVersion(version);
+
+  const tile = entries.get(key);
+  if (!tile) {
+    counters.misses++;
+    return undefined;
+  }
+
+  entries.delete(key);
+  entries.set(key, tile);
+  counters.hits++;
+  return tile;
+}
+
+/**
+ * Keep an encoded tile, evicting least recently used tiles over the size cap.
+ * Tiles rendered against an older version than the cache holds are dropped.
+ * @param {string} version - Dataset version the tile was rendered from
+ * @param {string} key - Tile key
+ * @param {Object} tile - { body: Buffer, empty: boolean }
+ */
+export function setCachedTile(version, key, tile) {
+  if (version !== datasetVersion) return;
+
+  const size = tile.body.length;
+  if (size > TILE_MEMORY_CACHE_MAX_BYTES) return;
+
+  const previous = entries.get(key);
+  if (previous) {
+    entries.delete(key);
+    bytes -= previous.body.length;
+  }
+
+  entries.set(key, tile);
+  bytes += size;
+
+  for (const [oldKey, oldTile] of entries) {
+    if (bytes <= TILE_MEMORY_CACHE_MAX_BYTES) break;
+    entries.delete(oldKey);
+    bytes -= oldTile.body.length;
+    counters.evictions++;
+  }
+}
+
+/**
+ * Hit/miss counters and occupancy for this instance
+ */
+export function tileCacheStats() {
+  const lookups = counters.hits + counters.misses;
+
+  return {
+    dataset_version: datasetVersion,
+    entries: entries.size,
+    bytes,
+    max_bytes: TILE_MEMORY_CACHE_MAX_BYTES,
+    ...counters,
+    hit_rate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null
+  };
+}
@@ -0,0 +1,141 @@
+import h3 from 'h3-js';
+import { pool } from './db.js';
+import {
+  ZOOM_TO_H3,
+  DATA_SOURCES,
+  ALL_SOURCES,
+  METRIC_TYPES,
+  DATA_ATTRIBUTION
+} from './config.js';
+import { MVT_LAYER_NAME } from './mvt.js';
+
+// Coarse enough to scan quickly, fine enough for tight bounds
+const BOUNDS_H3_LEVEL = 6;
+
+// Tile query parameters carried over into the URL templates
+const FORWARDED_PARAMS = ['metric', 'source', 'from', 'to', 'compare', 'type', 'tenure', 'new', 'buffer', 'demo'];
+
+const ZOOMS = Object.keys(ZOOM_TO_H3).map(Number);
+export const MIN_ZOOM = Math.min(...ZOOMS);
+export const MAX_ZOOM = Math.max(...ZOOMS);
+
+export const TILESET_NAME = 'WeflutGrid property prices';
+export const TILESET_DESCRIPTION = 'Property metrics aggregated into H3 hexagons';
+
+const WORLD_BOUNDS = [-180, -85.0511, 180, 85.0511];
+
+/**
+ * Bounds [west, south, east, north] of every populated cell, plus the
+ * metric/source pairs present in the aggregate
+ * @returns {Promise<Object>} - { bounds, metrics: [{ metric, sources }] }
+ */
+export async function queryTilesetInfo() {
+  const cells = await pool.query(`
+    SELECT DISTINCT h3_index
+    FROM heatmap_aggregated
+    WHERE h3_level = $1
+  `, [BOUNDS_H3_LEVEL]);
+
+  const layers = await pool.query(`
+    SELECT metric_type, array_agg(DISTINCT metric_source ORDER BY metric_source) AS sources
+    FROM heatmap_aggregated
+    WHERE h3_level = $1
+    GROUP BY metric_type
+    ORDER BY metric_type
+  `, [BOUNDS_H3_LEVEL]);
+
+  let bounds = null;
+  for (const { h3_index: cell } of cells.rows) {
+    for (const [lat, lng] of h3.cellToBoundary(cell)) {
+      bounds = bounds
+        ? [Math.min(bounds[0], lng), Math.min(bounds[1], lat), Math.max(bounds[2], lng), Math.max(bounds[3], lat)]
+        : [lng, lat, lng, lat];
+    }
+  }
+
+  return {
+    bounds,
+    metrics: layers.rows.map(row => ({ metric: row.metric_type, sources: row.sources }))
+  };
+}
+
+/**
+ * Every metric and source the API accepts, for demo mode and empty datasets
+ */
+export function configuredMetrics() {
+  return Object.values(METRIC_TYPES).map(metric => ({
+    metric,
+    sources: [ALL_SOURCES, ...Object.values(DATA_SOURCES)]
+  }));
+}
+
+// Zoom at which the bounds span about one tile
+function fitZoom([west, south, east, north]) {
+  const span = Math.max(east - west, (north - south) * 2, 1e-6);
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.floor(Math.log2(360 / span))));
+}
+
+/**
+ * Midpoint of [west, south, east, north] bounds and a zoom that fits them
+ * @returns {number[]} - [lng, lat, zoom]
+ */
+export function boundsCenter(bounds) {
+  return [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2, fitZoom(bounds)];
+}
+
+/**
+ * TileJSON vector_layers entry for the hexagon layer
+ */
+export function vectorLayers(minzoom = MIN_ZOOM, maxzoom = MAX_ZOOM) {
+  return [{
+    id: MVT_LAYER_NAME,
+    description: 'One polygon per H3 cell; the H3 level follows the zoom',
+    minzoom,
+    maxzoom,
+    fields: {
+      h3_index: 'String',
+      price: 'Number',
+      count: 'Number',
+      confidence: 'Number',
+      value: 'Number'
+    }
+  }];
+}
+
+/**
+ * TileJSON 3.0.0 document for the hexagon tiles
+ * @param {Object} options
+ * @param {string} options.baseUrl - Origin serving /tiles, e.g. https://host
+ * @param {Object} options.query - Request query; tile parameters are forwarded
+ * @param {string} options.datasetVersion - Current dataset version
+ * @param {number[]|null} options.bounds - Populated bounds, world when null
+ * @param {Array} options.metrics - [{ metric, sources }]
+ */
+export function buildTileJSON({ baseUrl, query, datasetVersion, bounds, metrics }) {
+  const params = new URLSearchParams();
+  for (const name of FORWARDED_PARAMS) {
+    if (query[name] !== undefined && query[name] !== '') {
+      params.set(name, String(query[name]));
+    }
+  }
+  const search = params.toString() ? `?${params}` : '';
+  const tileBounds = bounds || WORLD_BOUNDS;
+
+  return {
+    tilejson: '3.0.0',
+    name: TILESET_NAME,
+    description: TILESET_DESCRIPTION,
+    attribution: DATA_ATTRIBUTION,
+    scheme: 'xyz',
+    tiles: [`${baseUrl}/tiles/{z}/{x}/{y}.pbf${search}`],
+    geojson_tiles: [`${baseUrl}/tiles/{z}/{x}/{y}.geojson${search}`],
+    minzoom: MIN_ZOOM,
+    maxzoom: MAX_ZOOM,
+    bounds: tileBounds,
+    center: boundsCenter(tileBounds),
+    vector_layers: vectorLayers(),
+    h3_levels: ZOOM_TO_H3,
+    metrics,
+    dataset_version: datasetVersion
+  };
+}
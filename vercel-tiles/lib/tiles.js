@@ -0,0 +1,185 @@
+import h3 from 'h3-js';
+import {
+  tileToBBox,
+  lngLatToTile,
+  splitBBox as splitBBoxAt,
+  polyfillBBox as polyfillBBoxAt,
+  cellToPolygon
+} from './shared.cjs';
+import { POLYFILL_MAX_SPAN, POLYFILL_BUFFER_EDGES } from './config.js';
+
+export { tileToBBox, lngLatToTile, bufferBBox } from './shared.cjs';
+
+/**
+ * Area a tile draws cells from: its bbox, with the top and bottom rows
+ * stretched to the poles so cells beyond the Web Mercator latitude limit
+ * (about ±85.05°) still belong to a tile
+ */
+export function tileCoverageBBox(z, x, y) {
+  const [west, south, east, north] = tileToBBox(z, x, y);
+  const lastRow = Math.pow(2, z) - 1;
+  return [west, y === lastRow ? -90 : south, east, y === 0 ? 90 : north];
+}
+
+/**
+ * Split a box into pieces of at most POLYFILL_MAX_SPAN degrees that H3 can
+ * polyfill (see shared.cjs)
+ */
+export function splitBBox(bbox) {
+  return splitBBoxAt(bbox, POLYFILL_MAX_SPAN);
+}
+
+/**
+ * Distance in km by which boxes are padded for cells at a resolution, so
+ * cells whose centre lies just outside still reach the polyfill
+ */
+export function cellBufferKm(resolution) {
+  return POLYFILL_BUFFER_EDGES * h3.getHexagonEdgeLengthAvg(resolution, 'km');
+}
+
+/**
+ * H3 cells whose centre lies in a [west, south, east, north] box, after
+ * padding it by bufferKm. Works for any box, whole world included.
+ */
+export function polyfillBBox(bbox, resolution, { bufferKm = 0 } = {}) {
+  return polyfillBBoxAt(bbox, resolution, { bufferKm, maxSpan: POLYFILL_MAX_SPAN });
+}
+
+/**
+ * Get all H3 cells whose centre lies in a bounding box
+ */
+export function getH3CellsForBBox(west, south, east, north, resolution) {
+  return polyfillBBox([west, south, east, north], resolution);
+}
+
+/**
+ * Bounding boxes of a cell's boundary: two when it straddles ±180°, and
+ * every longitude when it contains a pole
+ */
+export function cellBBoxes(cell) {
+  const boundary = h3.cellToBoundary(cell, true);
+  const lngs = boundary.map(([lng]) => lng);
+  const lats = boundary.map(([, lat]) => lat);
+  const south = Math.min(...lats);
+  const north = Math.max(...lats);
+  const resolution = h3.getResolution(cell);
+
+  if (h3.latLngToCell(90, 0, resolution) === cell) {
+    return [[-180, south, 180, 90]];
+  }
+  if (h3.latLngToCell(-90, 0, resolution) === cell) {
+    return [[-180, -90, 180, north]];
+  }
+
+  if (Math.max(...lngs) - Math.min(...lngs) <= 180) {
+    return [[Math.min(...lngs), south, Math.max(...lngs), north]];
+  }
+
+  // Straddling cells have vertices near both +180 and -180
+  const east = Math.max(...lngs.filter(lng => lng < 0));
+  const west = Math.min(...lngs.filter(lng => lng >= 0));
+  return [[west, south, 180, north], [-180, south, east, north]];
+}
+
+/**
+ * Whether a cell's boundary box overlaps a [west, south, east, north] box
+ */
+export function cellOverlapsBBox(cell, [west, south, east, north]) {
+  return cellBBoxes(cell).some(([cellWest, cellSouth, cellEast, cellNorth]) =>
+    cellWest <= east && cellEast >= west && cellSouth <= north && cellNorth >= south
+  );
+}
+
+/**
+ * First and last possible H3 index of a parent's descendants at a finer
+ * level. Descendants sort between the two, so a text range on h3_index
+ * finds them without the H3 database extension.
+ */
+export function childRange(parent, level) {
+  const first = h3.cellToCenterChild(parent, level);
+  let last = BigInt(`0x${first}`);
+
+  // The centre child has digit 0 at every finer resolution; 6 is the largest
+  for (let res = h3.getResolution(parent) + 1; res <= level; res++) {
+    last |= 6n << BigInt(3 * (15 - res));
+  }
+
+  return [first, last.toString(16)];
+}
+
+/**
+ * Every tile at zoom z intersecting a [west, south, east, north] bbox,
+ * row by row from the north-west corner
+ */
+export function tilesInBBox([west, south, east, north], z) {
+  const northWest = lngLatToTile(west, north, z);
+  const southEast = lngLatToTile(east, south, z);
+  const tiles = [];
+
+  for (let y = northWest.y; y <= southEast.y; y++) {
+    for (let x = northWest.x; x <= southEast.x; x++) {
+      tiles.push({ z, x, y });
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Whether tile z/x/y owns a cell, i.e. contains the cell's centroid.
+ * Every cell has exactly one owner per zoom, so adjacent tiles never
+ * return the same hexagon.
+ */
+export function tileOwnsCell(cell, z, x, y) {
+  const [lat, lng] = h3.cellToLatLng(cell);
+  const owner = lngLatToTile(lng, lat, z);
+  return owner.x === x && owner.y === y;
+}
+
+/**
+ * Tiles at zoom z that a cell belongs to: the tile owning its centre, or in
+ * buffered mode every tile its boundary overlaps
+ * @returns {Array} - [{ z, x, y }]
+ */
+export function cellTiles(cell, z, { buffered = false } = {}) {
+  if (!buffered) {
+    const [lat, lng] = h3.cellToLatLng(cell);
+    return [{ z, ...lngLatToTile(lng, lat, z) }];
+  }
+
+  return cellBBoxes(cell).flatMap(bbox => tilesInBBox(bbox, z));
+}
+
+/**
+ * H3 cells for a tile.
+ * By default only the cells the tile owns are returned. In buffered mode
+ * every cell overlapping the tile is returned, so neighbouring tiles share
+ * their edge cells and clients must dedupe by h3_index. The polyfill is
+ * padded by a couple of cell edges, so cells centred just outside the tile
+ * are still considered, and covers tileCoverageBBox(), so the top and
+ * bottom rows also take the polar cells Web Mercator cannot show.
+ */
+export function getH3CellsForTile(z, x, y, resolution, { buffered = false } = {}) {
+  const bbox = tileCoverageBBox(z, x, y);
+  const cells = polyfillBBox(bbox, resolution, { bufferKm: cellBufferKm(resolution) });
+
+  if (buffered) {
+    return cells.filter(cell => cellOverlapsBBox(cell, bbox));
+  }
+
+  return cells.filter(cell => tileOwnsCell(cell, z, x, y));
+}
+
+/**
+ * Build a GeoJSON hexagon feature for an H3 cell
+ */
+export function cellToFeature(cell, properties) {
+  return {
+    type: 'Feature',
+    properties: {
+      ...properties,
+      h3_index: cell,
+    },
+    geometry: cellToPolygon(cell)
+  };
+}
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -10,6 +10,7 @@ import {
 import Constants from 'expo-constants';
 import { StatusBar } from 'expo-status-bar';
 import { ErrorBoundary } from './ErrorBoundary';
+import { useMapStore, MetricKey } from './src/store/mapstore';
 
 // Conditional imports for native vs web
 let MapView: any;
@@ -29,6 +30,22 @@ if (Platform.OS === 'web') {
 
 const TILE_API_URL =
   Constants.expoConfig?.extra?.tileApiUrl || 'http://localhost:3000';
+// Tiles and cell details both live under the deployment's /api routes
+const API_URL = `${TILE_API_URL}/api`;
+
+type MapRegion = {
+  latitude: number;
+  longitude: number;
+  latitudeDelta: number;
+  longitudeDelta: number;
+};
+
+const METRIC_OPTIONS: { key: MetricKey; label: string; title: string }[] = [
+  { key: 'median_price', label: 'Sale', title: 'Median Price' },
+  { key: 'price_per_sqm', label: '£/m²', title: 'Price per m²' },
+  { key: 'rental_price', label: 'Rent', title: 'Rental Price' },
+  { key: 'gross_yield', label: 'Yield', title: 'Gross Yield' },
+];
 
 export default function App() {
   return (
@@ -41,8 +58,16 @@ export default function App() {
 function AppContent() {
   const [hexagons, setHexagons] = useState<any[]>([]);
   const [selectedHex, setSelectedHex] = useState<any | null>(null);
+  const [hexDetail, setHexDetail] = useState<any | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const selectedMetric = useMapStore((state) => state.selectedMetric);
+  const setSelectedMetric = useMapStore((state) => state.setSelectedMetric);
+  const lastRegion = useRef<MapRegion | null>(null);
+  // Last response per tile URL, revalidated with If-None-Match
+  const tileCache = useRef(new Map<string, { etag: string; geojson: any }>());
+  const metricTitle =
+    METRIC_OPTIONS.find((option) => option.key === selectedMetric)?.title ?? 'Median Price';
 
   const getColor = (value: number, confidence: number): string => {
     const colors = [
@@ -72,13 +97,14 @@ function AppContent() {
     return `£${price.toFixed(0)}`;
   };
 
+  // Yields are percentages, every other metric is in pounds
+  const formatValue = (value: number): string =>
+    selectedMetric === 'gross_yield' ? `${value.toFixed(1)}%` : formatPrice(value);
+
   const loadTiles = useCallback(
-    async (region: {
-      latitude: number;
-      longitude: number;
-      latitudeDelta: number;
-      longitudeDelta: number;
-    }) => {
+    async (region: MapRegion) => {
+      lastRegion.current = region;
+
       try {
         setLoading(true);
         setError(null);
@@ -98,14 +124,24 @@ function AppContent() {
             Math.pow(2, z)
         );
 
-        const tileUrl = `${TILE_API_URL}/tiles/${z}/${x}/${y}.geojson`;
+        const tileUrl = `${API_URL}/tiles/${z}/${x}/${y}.geojson?metric=${selectedMetric}`;
         console.log('Fetching:', tileUrl);
 
-        const response = await fetch(tileUrl);
+        const cached = tileCache.current.get(tileUrl);
+        const response = await fetch(tileUrl, {
+          headers: cached ? { 'If-None-Match': cached.etag } : {},
+        });
 
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        let geojson;
+        if (response.status === 304 && cached) {
+          geojson = cached.geojson;
+        } else {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-        const geojson = await response.json();
+          geojson = await response.json();
+          const etag = response.headers.get('ETag');
+          if (etag) tileCache.current.set(tileUrl, { etag, geojson });
+        }
         console.log('Received features:', geojson.features?.length || 0);
 
         // loadTiles function, coordinate mapping:
@@ -120,6 +156,7 @@ function AppContent() {
           });
 
           return {
+            h3Index: feature.properties.h3_index,
             coordinates,
             price: feature.properties.price,
             count: feature.properties.count,
@@ -136,9 +173,37 @@ function AppContent() {
         setLoading(false);
       }
     },
-    []
+    [selectedMetric]
   );
 
+  // Reload the visible area when the metric layer changes
+  useEffect(() => {
+    if (lastRegion.current) {
+      loadTiles(lastRegion.current);
+    }
+  }, [loadTiles]);
+
+  // Lazily load the full cell detail for the popup
+  useEffect(() => {
+    setHexDetail(null);
+    if (!selectedHex?.h3Index) return;
+
+    let cancelled = false;
+    fetch(`${API_URL}/cells/${selectedHex.h3Index}?metric=${selectedMetric}`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((detail) => {
+        if (!cancelled) setHexDetail(detail);
+      })
+      .catch((err) => console.error('Cell detail error:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedHex, selectedMetric]);
+
   return (
     <View style={styles.container}>
       <MapView
@@ -151,9 +216,9 @@ function AppContent() {
         }}
         onRegionChangeComplete={loadTiles}
       >
-        {hexagons.map((hex, index) => (
+        {hexagons.map((hex) => (
           <Polygon
-            key={index}
+            key={hex.h3Index}
             coordinates={hex.coordinates}
             fillColor={getColor(hex.value, hex.confidence)}
             strokeColor="rgba(0,0,0,0.15)"
@@ -192,9 +257,9 @@ function AppContent() {
           <Text style={styles.popupTitle}>Property Data</Text>
 
           <View style={styles.popupRow}>
-            <Text style={styles.popupLabel}>Median Price:</Text>
+            <Text style={styles.popupLabel}>{metricTitle}:</Text>
             <Text style={styles.popupValue}>
-              {formatPrice(selectedHex.price)}
+              {formatValue(selectedHex.price)}
             </Text>
           </View>
 
@@ -218,11 +283,50 @@ function AppContent() {
               ]}
             />
           </View>
+
+          {hexDetail?.quartiles && (
+            <View style={[styles.popupRow, styles.popupDetailRow]}>
+              <Text style={styles.popupLabel}>Quartiles:</Text>
+              <Text style={styles.popupValue}>
+                {formatValue(hexDetail.quartiles.q1)} – {formatValue(hexDetail.quartiles.q3)}
+              </Text>
+            </View>
+          )}
+
+          {hexDetail?.first_seen && (
+            <View style={styles.popupRow}>
+              <Text style={styles.popupLabel}>Sales seen:</Text>
+              <Text style={styles.popupValue}>
+                {hexDetail.first_seen.slice(0, 4)}–{hexDetail.last_seen.slice(0, 4)}
+              </Text>
+            </View>
+          )}
         </View>
       )}
 
       <View style={styles.legend}>
         <Text style={styles.legendTitle}>Price Range</Text>
+        <View style={styles.metricSwitch}>
+          {METRIC_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.key}
+              style={[
+                styles.metricOption,
+                option.key === selectedMetric && styles.metricOptionActive,
+              ]}
+              onPress={() => setSelectedMetric(option.key)}
+            >
+              <Text
+                style={[
+                  styles.metricOptionText,
+                  option.key === selectedMetric && styles.metricOptionTextActive,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
         <View style={styles.legendGradient} />
         <View style={styles.legendLabels}>
           <Text style={styles.legendLabel}>Low</Text>
@@ -316,6 +420,7 @@ const styles = StyleSheet.create({
   popupRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 10 },
   popupLabel: { fontSize: 16, color: '#666' },
   popupValue: { fontSize: 16, fontWeight: 'bold', color: '#333' },
+  popupDetailRow: { marginTop: 15 },
   confidenceMeter: {
     height: 8,
     backgroundColor: '#e0e0e0',
@@ -345,6 +450,22 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     color: '#333',
   },
+  metricSwitch: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  metricOption: {
+    flex: 1,
+    paddingVertical: 4,
+    marginHorizontal: 2,
+    borderRadius: 4,
+    backgroundColor: '#eeeeee',
+    alignItems: 'center',
+  },
+  metricOptionActive: { backgroundColor: '#2196F3' },
+  metricOptionText: { fontSize: 11, color: '#333' },
+  metricOptionTextActive: { color: 'white', fontWeight: 'bold' },
   legendGradient: {
     height: 24,
     borderRadius: 4,
@@ -1,7 +1,9 @@
 import { create } from 'zustand';
 
+export type MetricKey = 'median_price' | 'price_per_sqm' | 'rental_price' | 'gross_yield';
+
 interface MapState {
-  selectedMetric: 'median_price' | 'price_per_sqm' | 'rental_price';
+  selectedMetric: MetricKey;
   showConfidenceOverlay: boolean;
   minConfidence: number;
   setSelectedMetric: (metric: MapState['selectedMetric']) => void;